@@ -0,0 +1,176 @@
+import axios from "axios";
+import moment from "moment-timezone";
+import { hasPermission } from "../../utils/permissions.js";
+
+/**
+ * jikan - Menampilkan jadwal anime hari ini dari Jikan API
+ */
+
+/**
+ * Ambil jadwal anime hari ini dari Jikan API. Error dari API dilempar ke
+ * pemanggil.
+ * @param {Function} t - Translator chat tujuan
+ * @param {String} timezone - Zona waktu yang menentukan "hari ini"
+ * @returns {Promise<String>} - Pesan jadwal
+ */
+const getAnimeSchedule = async (t, timezone) => {
+    const today = moment().tz(timezone).format("dddd").toLowerCase();
+    const response = await axios.get(
+        `https://api.jikan.moe/v4/schedules?filter=${today}`
+    );
+    const animeList = response.data.data;
+
+    if (!animeList || animeList.length === 0) return t("jikan.empty");
+
+    // Tanggal ditulis dalam bahasa pembaca
+    const date = new Date().toLocaleDateString(t("_meta.dateLocale"), {
+        timeZone: timezone,
+        weekday: "long",
+        day: "2-digit",
+        month: "long",
+        year: "numeric"
+    });
+    let message = `${t("jikan.title", { date })}\n\n`;
+
+    animeList.forEach((anime, index) => {
+        const genres = anime.genres.map(g => g.name).join(", ");
+
+        message += `${t("jikan.entry", {
+            index: index + 1,
+            title: anime.title,
+            year: anime.year || "????",
+            type: anime.type?.toUpperCase() || "UNKNOWN",
+            time: anime.broadcast?.time || t("jikan.unknownTime"),
+            genres: genres || t("jikan.noGenres")
+        })}\n\n`;
+    });
+
+    return message;
+};
+
+// Tipe job scheduler untuk kiriman jadwal harian
+const DAILY_JOB = "jikan.daily";
+
+// Jam kiriman harian jika tidak ditentukan
+const DEFAULT_TIME = "07:00";
+
+const command = {
+    name: "jikan",
+    aliases: ["mal"],
+    description:
+        "Menampilkan jadwal anime hari ini dari Jikan API, atau kirim setiap hari ke chat ini",
+    usage: "/jikan [subscribe [HH:mm] | unsubscribe]",
+    examples: ["jikan", "jikan subscribe 08:00", "jikan unsubscribe"],
+    args: {
+        positional: [
+            {
+                name: "action",
+                choices: ["subscribe", "unsubscribe"],
+                description: "Langganan jadwal harian di chat ini"
+            },
+            { name: "time", description: "Jam kiriman harian (HH:mm)" }
+        ]
+    },
+
+    // Daftarkan handler kiriman harian ke scheduler
+    async onLoad({ scheduler }) {
+        this.scheduler = scheduler;
+        scheduler.define(DAILY_JOB, async (job, { sock, getTranslator }) => {
+            const { chatId } = job.data;
+            // Kalau API gagal, error dilempar supaya scheduler mencatatnya
+            // di lastError dan grup tidak dikirimi pesan gagal
+            const scheduleMessage = await getAnimeSchedule(
+                getTranslator(chatId),
+                job.timezone || scheduler.timezone
+            );
+            await sock.sendMessage(chatId, { text: scheduleMessage });
+        });
+    },
+
+    async onUnload() {
+        // Job yang tersimpan menunggu sampai command dimuat lagi
+        this.scheduler?.undefine(DAILY_JOB);
+    },
+
+    /**
+     * Execute the jikan command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { from, params, state, timezone, t } = context;
+
+        try {
+            if (params.action) {
+                return await manageSubscription(context);
+            }
+
+            let scheduleMessage;
+            try {
+                scheduleMessage = await getAnimeSchedule(t, timezone);
+            } catch (error) {
+                console.error("Error mengambil jadwal anime:", error);
+                state.failure = error;
+                return await context.reply(t("jikan.failed"));
+            }
+
+            await sock.sendMessage(from, {
+                text: scheduleMessage
+            });
+        } catch (err) {
+            throw new Error(`Failed to execute jikan command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Langganan atau berhenti langganan jadwal harian di chat ini
+ * @param {Object} context - Command context
+ */
+async function manageSubscription(context) {
+    const { scheduler, from, isGroup, role, params, t } = context;
+    const jobId = `jikan:${from}`;
+
+    // Di grup hanya admin yang boleh mengatur langganan
+    if (isGroup && !hasPermission(role, "chatAdmin")) {
+        return await context.reply(
+            t("access.denied", { permission: "chatAdmin" })
+        );
+    }
+
+    if (params.action === "unsubscribe") {
+        return await context.reply(
+            t(
+                scheduler.cancel(jobId)
+                    ? "jikan.unsubscribed"
+                    : "jikan.notSubscribed"
+            )
+        );
+    }
+
+    const match = (params.time || DEFAULT_TIME).match(/^(\d{1,2})[:.](\d{2})$/);
+    const hour = Number(match?.[1]);
+    const minute = Number(match?.[2]);
+    if (!match || hour > 23 || minute > 59) {
+        return await context.reply(
+            t("jikan.invalidTime", { time: params.time })
+        );
+    }
+
+    scheduler.schedule({
+        id: jobId,
+        type: DAILY_JOB,
+        cron: `${minute} ${hour} * * *`,
+        data: { chatId: from }
+    });
+
+    await context.reply(
+        t("jikan.subscribed", {
+            time: `${String(hour).padStart(2, "0")}:${match[2]}`
+        })
+    );
+}
+
+export default command;
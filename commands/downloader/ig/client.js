@@ -0,0 +1,236 @@
+/**
+ * Client Instagram API (login, sesi, dan pengambilan media) untuk plugin ig
+ */
+import { IgApiClient } from "instagram-private-api";
+import { Logger } from "../../../utils/AzusaLogger.js";
+import { SessionManager } from "./session.js";
+// Konfigurasi
+const CONFIG = {
+    SESSION_FILE_PATH: "./session.json",
+    MAX_RETRY_ATTEMPTS: 3,
+    RETRY_DELAY_MS: 2000
+};
+// Initialize logger
+const AzusaLog = new Logger();
+// Kelas untuk mengelola operasi Instagram API
+export class InstagramClient {
+    constructor() {
+        this.ig = new IgApiClient();
+        this.sessionManager = new SessionManager(CONFIG.SESSION_FILE_PATH);
+        this.isLoggedIn = false;
+    }
+    async initialize() {
+        try {
+            // Validasi variabel lingkungan
+            this._validateEnvironmentVars();
+            // Generate device
+            this.ig.state.generateDevice(process.env.IG_USERNAME);
+            // Set proxy jika ada
+            if (process.env.IG_PROXY) {
+                this.ig.state.proxyUrl = process.env.IG_PROXY;
+            }
+            // Subscribe ke event end request untuk menyimpan sesi
+            this.ig.request.end$.subscribe(async () => {
+                try {
+                    const serialized = await this.ig.state.serialize();
+                    delete serialized.constants; // Menghapus constants untuk mengurangi ukuran file
+                    await this.sessionManager.save(serialized);
+                } catch (error) {
+                    AzusaLog.handleError(
+                        error,
+                        "Gagal menyimpan sesi setelah request"
+                    );
+                }
+            });
+            return true;
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal menginisialisasi Instagram client");
+
+            return false;
+        }
+    }
+    _validateEnvironmentVars() {
+        // Validasi variabel lingkungan yang diperlukan
+        if (!process.env.IG_USERNAME) {
+            throw new Error("IG_USERNAME tidak ditemukan di file .env");
+        }
+        if (!process.env.IG_PASSWORD) {
+            throw new Error("IG_PASSWORD tidak ditemukan di file .env");
+        }
+    }
+    async login() {
+        try {
+            // Coba load session terlebih dahulu
+            if (await this.sessionManager.exists()) {
+                const sessionData = await this.sessionManager.load();
+                if (sessionData) {
+                    await this.ig.state.deserialize(sessionData);
+                    // Validasi sesi dengan mencoba mengambil user saat ini
+                    try {
+                        await this.ig.account.currentUser();
+                        this.isLoggedIn = true;
+
+                        AzusaLog.log({
+                            type: "success",
+                            message: `Berhasil login menggunakan sesi yang tersimpan`
+                        });
+                        return true;
+                    } catch (sessionError) {
+                        AzusaLog.log({
+                            type: "warning",
+                            message: `Sesi kadaluarsa, mencoba login ulang...`
+                        });
+                        await this.sessionManager.clear();
+                    }
+                }
+            }
+            // Login dengan username dan password
+            await this.ig.account.login(
+                process.env.IG_USERNAME,
+                process.env.IG_PASSWORD
+            );
+            this.isLoggedIn = true;
+            // Simpan sesi baru
+            const serialized = await this.ig.state.serialize();
+            delete serialized.constants;
+            await this.sessionManager.save(serialized);
+
+            AzusaLog.log({
+                type: "success",
+                message: `Success Login with Username & Password`
+            });
+            return true;
+        } catch (error) {
+            this.isLoggedIn = false;
+            AzusaLog.handleError(error, "Failed Login");
+
+            return false;
+        }
+    }
+    async getMediaInfo(mediaId) {
+        let attempts = 0;
+        while (attempts < CONFIG.MAX_RETRY_ATTEMPTS) {
+            try {
+                if (!this.isLoggedIn) {
+                    const loginSuccess = await this.login();
+                    if (!loginSuccess) {
+                        throw new Error("Tidak dapat melanjutkan tanpa login");
+                    }
+                }
+                const media = await this.ig.media.info(mediaId);
+                if (!media || !media.items || media.items.length === 0) {
+                    throw new Error("Media tidak ditemukan atau sudah dihapus");
+                }
+                return media.items[0];
+            } catch (error) {
+                attempts++;
+                if (
+                    error.name === "IgResponseError" &&
+                    error.message.includes("login_required")
+                ) {
+                    this.isLoggedIn = false;
+                    AzusaLog.log({
+                        type: "warning",
+                        message: `Sesi kadaluarsa, mencoba login ulang...`
+                    });
+                    await this.sessionManager.clear();
+                } else if (
+                    error.name === "IgResponseError" &&
+                    error.message.includes("media_not_found")
+                ) {
+                    AzusaLog.log({
+                        type: "error",
+                        message: `Media tidak ditemukan atau sudah dihapus:`
+                    });
+
+                    break;
+                } else {
+                    if (attempts < CONFIG.MAX_RETRY_ATTEMPTS) {
+                        AzusaLog.log({
+                            type: "warning",
+                            message: `Gagal mengambil media (percobaan ${attempts}/${CONFIG.MAX_RETRY_ATTEMPTS}). Mencoba lagi...`
+                        });
+
+                        // Delay before retry
+                        await new Promise(resolve =>
+                            setTimeout(resolve, CONFIG.RETRY_DELAY_MS)
+                        );
+                    } else {
+                        AzusaLog.handleError(
+                            error,
+                            `Gagal mengambil media setelah ${CONFIG.MAX_RETRY_ATTEMPTS} percobaan:`
+                        );
+                    }
+                }
+            }
+        }
+        return null;
+    }
+    static getMediaType(media) {
+        const { media_type, product_type } = media;
+        if (media_type === 1) return "Photo";
+        if (media_type === 2) {
+            if (product_type === "feed") return "Video";
+            if (product_type === "igtv") return "IGTV";
+            if (product_type === "clips") return "Reel";
+            return "Video"; // Default fallback for media_type 2
+        }
+        if (media_type === 8) return "Album";
+        return "Unknown";
+    }
+    static getMediaUrls(media) {
+        try {
+            const urls = [];
+            if (media.media_type === 8 && Array.isArray(media.carousel_media)) {
+                // Album dengan beberapa media
+                media.carousel_media.forEach((item, index) => {
+                    if (
+                        item.media_type === 1 &&
+                        item.image_versions2?.candidates?.length > 0
+                    ) {
+                        // Photo
+                        urls.push({
+                            type: "Photo",
+                            url: item.image_versions2.candidates[0].url,
+                            index: index
+                        });
+                    } else if (
+                        item.media_type === 2 &&
+                        item.video_versions?.length > 0
+                    ) {
+                        // Video
+                        urls.push({
+                            type: "Video",
+                            url: item.video_versions[0].url,
+                            index: index
+                        });
+                    }
+                });
+            } else if (
+                media.media_type === 2 &&
+                media.video_versions?.length > 0
+            ) {
+                // Single video
+                urls.push({
+                    type: "Video",
+                    url: media.video_versions[0].url,
+                    index: 0
+                });
+            } else if (
+                media.media_type === 1 &&
+                media.image_versions2?.candidates?.length > 0
+            ) {
+                // Single photo
+                urls.push({
+                    type: "Photo",
+                    url: media.image_versions2.candidates[0].url,
+                    index: 0
+                });
+            }
+            return urls;
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal mengekstrak URL media");
+            return [];
+        }
+    }
+}
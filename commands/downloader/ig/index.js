@@ -0,0 +1,269 @@
+/**
+ * ig - Mendownload foto atau video dari Instagram
+ */
+import { InstagramUrlParser } from "../../../modules/instagram.js";
+import { InstagramClient } from "./client.js";
+const command = {
+    name: "ig",
+    aliases: ["instagram", "igdl"],
+    description: "Mendownload foto atau video dari Instagram",
+    usage: "/ig [URL Instagram] (atau reply pesan yang berisi link)",
+    examples: ["ig https://www.instagram.com/p/abcdef123456/"],
+    cooldown: 10, // Cooldown dalam detik
+    heavy: true, // Dijalankan lewat antrian download
+    async execute(
+        sock,
+        msg,
+        args,
+        { AzusaLog, from, pushName, prefix, quoted, job, state, t }
+    ) {
+        try {
+            // Ambil URL dari argumen, atau dari pesan yang di-reply
+            const url =
+                args[0] ||
+                quoted?.urls.find(link => InstagramUrlParser.getShortcode(link));
+            // Periksa apakah URL diberikan
+            if (!url) {
+                await sock.sendMessage(
+                    from,
+                    {
+                        text: t("ig.usage", {
+                            usage: `${prefix}ig [URL Instagram]`,
+                            example: `${prefix}ig https://www.instagram.com/p/abcdef123456/`
+                        })
+                    },
+                    { quoted: msg }
+                );
+                return;
+            }
+            // Tampilkan status di pesan antrian
+            await job.update(t("ig.processing"));
+            // Validasi URL dan dapatkan shortcode
+            const shortcode = InstagramUrlParser.getShortcode(url);
+            if (!shortcode) {
+                await sock.sendMessage(from, {
+                    text: t("ig.invalidUrl")
+                });
+                return;
+            }
+            // Konversi shortcode ke media ID
+            const mediaId = InstagramUrlParser.shortcodeToMediaId(shortcode);
+            if (!mediaId) {
+                // Sudah dibalas, tapi tetap dihitung gagal di /stats
+                state.failure = new Error("Invalid Instagram shortcode");
+                await sock.sendMessage(
+                    from,
+                    {
+                        text: t("ig.convertFailed")
+                    },
+                    { quoted: msg }
+                );
+                return;
+            }
+            // Inisialisasi Instagram client
+            const client = new InstagramClient();
+            await client.initialize();
+            // Login jika diperlukan
+            if (!(await client.login())) {
+                state.failure = new Error("Instagram login failed");
+                await sock.sendMessage(
+                    from,
+                    {
+                        text: t("ig.loginFailed")
+                    },
+                    { quoted: msg }
+                );
+                return;
+            }
+            // Ambil info media
+            const mediaItem = await client.getMediaInfo(mediaId);
+            if (!mediaItem) {
+                state.failure = new Error("Media not found");
+                await sock.sendMessage(
+                    from,
+                    {
+                        text: t("ig.notFound")
+                    },
+                    { quoted: msg }
+                );
+                return;
+            }
+            // Dapatkan data media
+            const mediaType = InstagramClient.getMediaType(mediaItem);
+            const mediaUrls = InstagramClient.getMediaUrls(mediaItem);
+            const username = mediaItem.user?.username || "unknown";
+            const caption = mediaItem.caption?.text || "";
+            // Cek apakah ada URL media yang bisa diunduh
+            if (!mediaUrls || mediaUrls.length === 0) {
+                state.failure = new Error("No downloadable media");
+                await sock.sendMessage(
+                    from,
+                    {
+                        text: t("ig.noMedia")
+                    },
+                    { quoted: msg }
+                );
+                return;
+            }
+            const stats = {
+                likeCount: mediaItem.like_count || 0,
+                commentCount: mediaItem.comment_count || 0,
+                viewCount:
+                    mediaItem.play_count !== undefined
+                        ? mediaItem.play_count
+                        : mediaItem.view_count !== undefined
+                        ? mediaItem.view_count
+                        : null
+            };
+            const formattedCaption = formatCaption(
+                username,
+                caption,
+                mediaUrls.length,
+                mediaType,
+                url,
+                stats,
+                t
+            );
+            if (mediaType === "Album") {
+                // Album: kirim semua media dulu, lalu caption
+                let successCount = 0;
+                for (const [index, item] of mediaUrls.entries()) {
+                    // Berhenti jika job dibatalkan
+                    if (job.signal.aborted) return;
+                    try {
+                        if (item.type === "Photo") {
+                            await sock.sendMessage(from, {
+                                image: { url: item.url }
+                            });
+                        } else {
+                            await sock.sendMessage(from, {
+                                video: { url: item.url }
+                            });
+                        }
+                        successCount++;
+                    } catch (itemError) {
+                        AzusaLog.log({
+                            type: "error",
+                            message: `Gagal mengirim item Instagram ${index}: ${itemError.message}`
+                        });
+                    }
+                }
+                if (successCount > 0) {
+                    await sock.sendMessage(
+                        from,
+                        {
+                            text: formattedCaption
+                        },
+                        { quoted: msg }
+                    );
+                }
+                if (successCount === 0) {
+                    state.failure = new Error("No album item could be sent");
+                    await sock.sendMessage(
+                        from,
+                        {
+                            text: t("ig.noneSent")
+                        },
+                        { quoted: msg }
+                    );
+                } else if (successCount < mediaUrls.length) {
+                    await sock.sendMessage(
+                        from,
+                        {
+                            text: t("ig.partial", {
+                                sent: successCount,
+                                count: mediaUrls.length
+                            })
+                        },
+                        { quoted: msg }
+                    );
+                }
+            } else {
+                // Single photo/video/reel: kirim langsung dengan caption
+                try {
+                    const firstItem = mediaUrls[0];
+                    if (firstItem.type === "Photo") {
+                        await sock.sendMessage(
+                            from,
+                            {
+                                image: { url: firstItem.url },
+                                caption: formattedCaption
+                            },
+                            { quoted: msg }
+                        );
+                    } else {
+                        await sock.sendMessage(
+                            from,
+                            {
+                                video: { url: firstItem.url },
+                                caption: formattedCaption
+                            },
+                            { quoted: msg }
+                        );
+                    }
+                } catch (itemError) {
+                    AzusaLog.log({
+                        type: "error",
+                        message: `Gagal mengirim media: ${itemError.message}`
+                    });
+                    state.failure = itemError;
+                    await sock.sendMessage(
+                        from,
+                        {
+                            text: t("ig.sendFailed")
+                        },
+                        { quoted: msg }
+                    );
+                }
+            }
+        } catch (err) {
+            await sock.sendMessage(
+                from,
+                {
+                    text: t("ig.error")
+                },
+                { quoted: msg }
+            );
+            AzusaLog.log({
+                type: "error",
+                message: `Command ig error: ${err.message}`,
+                stack: err.stack
+            });
+            throw new Error(`Gagal menjalankan command ig: ${err.message}`);
+        }
+    }
+};
+export default command;
+// Fungsi utility
+function formatCaption(
+    username,
+    caption,
+    totalItems,
+    mediaType,
+    url,
+    stats,
+    t
+) {
+    const formatNum = num =>
+        num ? num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ".") : "0";
+    let formattedCaption = `*Instagram ${mediaType}*\n`;
+    formattedCaption += `👤 *@${username}*\n\n`;
+    if (caption) {
+        const maxLength = 300;
+        formattedCaption +=
+            caption.length > maxLength
+                ? caption.substring(0, maxLength) + "..."
+                : caption;
+        formattedCaption += "\n\n";
+    }
+    // Tambahkan statistik
+    const stat = (key, count) =>
+        `${t(`ig.caption.${key}`, { count, formatted: formatNum(count) })}\n`;
+    formattedCaption += stat("likes", stats.likeCount);
+    formattedCaption += stat("comments", stats.commentCount);
+    if (stats.viewCount !== null) {
+        formattedCaption += stat("views", stats.viewCount);
+    }
+    formattedCaption += `\n> Downloaded By : _Azusa-Bot_`;
+    return formattedCaption;
+}
@@ -0,0 +1,67 @@
+/**
+ * Penyimpanan sesi login Instagram untuk plugin ig
+ */
+import fs from "fs/promises";
+import path from "path";
+import { Logger } from "../../../utils/AzusaLogger.js";
+// Initialize logger
+const AzusaLog = new Logger();
+// Kelas untuk mengelola session
+export class SessionManager {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+    async exists() {
+        try {
+            await fs.access(this.filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+    async save(data) {
+        try {
+            // Pastikan data tidak null atau undefined
+            if (!data) {
+                throw new Error("Data sesi kosong");
+            }
+            // Buat direktori jika belum ada
+            const dir = path.dirname(this.filePath);
+            try {
+                await fs.mkdir(dir, { recursive: true });
+            } catch (err) {
+                // Ignore error jika direktori sudah ada
+                if (err.code !== "EEXIST") throw err;
+            }
+            await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
+            return true;
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal menyimpan sesi");
+            return false;
+        }
+    }
+    async load() {
+        try {
+            if (!(await this.exists())) {
+                return null;
+            }
+            const data = await fs.readFile(this.filePath, "utf-8");
+            return JSON.parse(data);
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal memuat sesi");
+            return null;
+        }
+    }
+    async clear() {
+        try {
+            if (await this.exists()) {
+                await fs.unlink(this.filePath);
+                AzusaLog.log({ type: "info", message: "Sesi dihapus" });
+            }
+            return true;
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal menghapus sesi");
+            return false;
+        }
+    }
+}
@@ -4,7 +4,12 @@
 
 import Tiktok from "tiktermux";
 import axios from "axios";
-import { fetchTikTokData, TikTokApiError } from "../modules/tiktok.js";
+import {
+    fetchTikTokData,
+    isValidTikTokUrl,
+    TikTokApiError
+} from "../../modules/tiktok.js";
+import i18n from "../../utils/i18n.js";
 
 /**
  * Formats a number for display (e.g., 1500 -> 1.5K)
@@ -35,11 +40,12 @@ const formatDuration = seconds => {
 /**
  * Formats Unix timestamp to readable date
  * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} locale - Date locale, e.g. "id-ID"
  * @returns {string} - Formatted date string
  */
-const formatDate = timestamp => {
+const formatDate = (timestamp, locale = "id-ID") => {
     const date = new Date(timestamp * 1000);
-    return date.toLocaleDateString("id-ID", {
+    return date.toLocaleDateString(locale, {
         year: "numeric",
         month: "long",
         day: "numeric"
@@ -54,6 +60,7 @@ const formatDate = timestamp => {
  * @param {boolean} options.includeStats - Whether to include video stats (default: true)
  * @param {boolean} options.includeDownloadInfo - Whether to include download info (default: true)
  * @param {string} options.botName - Name of the bot for footer (default: 'Bot')
+ * @param {Function} options.t - Translator for the labels (default: bot language)
  * @returns {Promise<Object>} - Object containing caption and video data
  * @throws {TikTokApiError} - If the URL is invalid or the API request fails
  */
@@ -63,7 +70,8 @@ export async function captionGenerator(url, options = {}) {
         includeEmojis = true,
         includeStats = true,
         includeDownloadInfo = true,
-        botName = "Bot"
+        botName = "Bot",
+        t = i18n.translator()
     } = options;
 
     // Emojis for different sections
@@ -95,16 +103,20 @@ export async function captionGenerator(url, options = {}) {
         }
 
         // Build caption
-        let caption = `*${emoji.title}TikTok Downloader*\n\n`;
+        let caption = `*${emoji.title}${t("tiktok.caption.title")}*\n\n`;
 
         // Video title
         if (data.title) {
-            caption += `${emoji.title}*Caption:* ${data.title.trim()}\n\n`;
+            caption += `${emoji.title}${t("tiktok.caption.caption", {
+                text: data.title.trim()
+            })}\n\n`;
         }
 
         // Video author
         if (data.author) {
-            caption += `${emoji.author}*Author:* @${data.author.unique_id}`;
+            caption += `${emoji.author}${t("tiktok.caption.author", {
+                author: `@${data.author.unique_id}`
+            })}`;
             if (
                 data.author.nickname &&
                 data.author.nickname !== data.author.unique_id
@@ -116,61 +128,47 @@ export async function captionGenerator(url, options = {}) {
 
         // Music info
         if (data.music_info) {
-            const musicTitle = data.music_info.title || "Unknown";
-            const musicAuthor = data.music_info.author || "Unknown";
+            const unknown = t("tiktok.caption.unknown");
             const isOriginal = data.music_info.original
-                ? " (Original Sound)"
+                ? t("tiktok.caption.originalSound")
                 : "";
 
-            caption += `${emoji.music}*Music:* ${musicTitle} - ${musicAuthor}${isOriginal}\n`;
+            caption += `${emoji.music}${t("tiktok.caption.music", {
+                title: data.music_info.title || unknown,
+                author: data.music_info.author || unknown
+            })}${isOriginal}\n`;
         }
 
         // Duration
         if (data.duration) {
-            caption += `${emoji.duration}*Duration:* ${formatDuration(
-                data.duration
-            )}\n`;
+            caption += `${emoji.duration}${t("tiktok.caption.duration", {
+                duration: formatDuration(data.duration)
+            })}\n`;
         }
 
         // Stats section
         if (includeStats) {
-            caption += "\n*📊 Stats:*\n";
-
-            if (data.play_count !== undefined) {
-                caption += `${emoji.plays}Views: ${formatNumber(
-                    data.play_count
-                )}\n`;
-            }
-
-            if (data.digg_count !== undefined) {
-                caption += `${emoji.likes}Likes: ${formatNumber(
-                    data.digg_count
-                )}\n`;
-            }
-
-            if (data.comment_count !== undefined) {
-                caption += `${emoji.comments}Comments: ${formatNumber(
-                    data.comment_count
-                )}\n`;
-            }
-
-            if (data.share_count !== undefined) {
-                caption += `${emoji.shares}Shares: ${formatNumber(
-                    data.share_count
-                )}\n`;
-            }
-
-            if (data.download_count !== undefined) {
-                caption += `${emoji.downloads}Downloads: ${formatNumber(
-                    data.download_count
-                )}\n`;
+            caption += `\n${t("tiktok.caption.stats")}\n`;
+
+            const stats = [
+                ["plays", "views", data.play_count],
+                ["likes", "likes", data.digg_count],
+                ["comments", "comments", data.comment_count],
+                ["shares", "shares", data.share_count],
+                ["downloads", "downloads", data.download_count]
+            ];
+            for (const [icon, label, count] of stats) {
+                if (count === undefined) continue;
+                caption += `${emoji[icon]}${t(`tiktok.caption.${label}`, {
+                    count: formatNumber(count)
+                })}\n`;
             }
         }
         // Creation date
         if (data.create_time) {
-            caption += `${emoji.date}*Posted:* ${formatDate(
-                data.create_time
-            )}\n`;
+            caption += `${emoji.date}${t("tiktok.caption.posted", {
+                date: formatDate(data.create_time, t("_meta.dateLocale"))
+            })}\n`;
         }
         // Footer
         caption += `\n> Downloaded by : _Azusa - Bot_\n`;
@@ -190,56 +188,6 @@ export async function captionGenerator(url, options = {}) {
     }
 }
 
-/**
- * Validates a TikTok post URL
- * @param {string} url - The URL to validate
- * @returns {boolean} - True if the URL is a valid TikTok post URL, false otherwise
- */
-function isValidTikTokUrl(url) {
-    if (!url || typeof url !== "string") {
-        return false;
-    }
-
-    try {
-        const urlObj = new URL(url);
-
-        // List of accepted TikTok hostnames
-        const validHostnames = [
-            "tiktok.com",
-            "www.tiktok.com",
-            "m.tiktok.com",
-            "vm.tiktok.com",
-            "vt.tiktok.com"
-        ];
-
-        if (!validHostnames.includes(urlObj.hostname)) {
-            return false;
-        }
-
-        // List of regex patterns for different TikTok URL formats
-        const patterns = [
-            // Standard web format
-            /^https?:\/\/(?:www\.)?tiktok\.com\/@[\w.-]+\/video\/\d+/,
-
-            // Mobile share shortlink
-            /^https?:\/\/vm\.tiktok\.com\/[A-Za-z0-9]+\/?$/,
-
-            // Short format (mobile)
-            /^https?:\/\/m\.tiktok\.com\/v\/\d+/,
-
-            // Regional domains
-            /^https?:\/\/(?:www\.)?tiktok\.com\/[a-z]{2}\/[@\w.-]+\/video\/\d+/,
-
-            // vt.tiktok.com shortlink
-            /^https?:\/\/vt\.tiktok\.com\/[A-Za-z0-9]+\/?$/
-        ];
-
-        return patterns.some(pattern => pattern.test(url));
-    } catch (error) {
-        return false;
-    }
-}
-
 /**
  * Creates a formatted caption for the downloaded TikTok media
  * @param {Object} result - The TikTok result object from API
@@ -317,7 +265,9 @@ const command = {
     name: "tiktok",
     aliases: ["td", "tt"],
     description: "Download TikTok video (HD) or images from a URL",
-    usage: "/tiktok <url>",
+    usage: "/tiktok <url> (or reply to a message containing the link)",
+    heavy: true, // Runs through the download queue
+    examples: ["tiktok https://vt.tiktok.com/ZShUCvXUf/", "tt (as a reply to a TikTok link)"],
 
     /**
      * Execute the tiktok downloader command
@@ -328,22 +278,29 @@ const command = {
      *   - AzusaLog: logger instance
      *   - from: ID pengirim/chat
      *   - pushName: nama pengguna
+     *   - quoted: pesan yang di-reply (link diambil dari sini jika args kosong)
+     *   - job: antrian download (update pesan status, signal pembatalan)
+     *   - t: terjemahan pesan sesuai bahasa chat/user
      */
-    async execute(sock, msg, args, { AzusaLog, from, pushName }) {
+    async execute(
+        sock,
+        msg,
+        args,
+        { AzusaLog, from, pushName, quoted, job, state, t }
+    ) {
         try {
-            const url = args[0];
+            // Fall back to a TikTok link in the replied-to message
+            const url = args[0] || quoted?.urls.find(isValidTikTokUrl);
 
             // Enhanced URL validation
             if (!url || !isValidTikTokUrl(url)) {
                 return await sock.sendMessage(from, {
-                    text: `Invalid TikTok URL, ${pushName}. Please provide a valid TikTok link.`
+                    text: t("tiktok.invalidUrl", { name: pushName })
                 });
             }
 
             // Show processing message
-            await sock.sendMessage(from, {
-                text: `⏳ Processing your TikTok download request...`
-            });
+            await job.update(t("tiktok.processing"));
 
             // Download data
             const res = await Tiktok.Downloader(url, { version: "v2" });
@@ -355,7 +312,7 @@ const command = {
             const result = res.result;
             // console.log(result.images);
             const caption = generateCaption(result, pushName, url);
-            const caption2 = await captionGenerator(url);
+            const caption2 = await captionGenerator(url, { t });
 
             if (result.type === "video") {
                 // Get the best video URL (HD preferred, with fallback)
@@ -378,6 +335,9 @@ const command = {
                     // Send all images first without caption
 
                     for (let i = 0; i < result.images.length; i++) {
+                        // Stop when the job was cancelled
+                        if (job.signal.aborted) return;
+
                         const stream = await fetchTikcdnData(result.images[i]);
                         const buffer = Buffer.from(stream);
                         await sock.sendMessage(from, {
@@ -394,12 +354,15 @@ const command = {
                 }
             } else {
                 await sock.sendMessage(from, {
-                    text: `⚠️ Unsupported media type: ${result.type}. Only videos and images are supported.`
+                    text: t("tiktok.unsupported", { type: result.type })
                 });
             }
         } catch (err) {
+            // Handled here, but still a failed download for /stats
+            state.failure = err;
+
             await sock.sendMessage(from, {
-                text: `⚠️ Error downloading from TikTok: ${err.message}. Please try again or check your URL.`
+                text: t("tiktok.error", { error: err.message })
             });
 
             AzusaLog.log({
@@ -2,6 +2,13 @@
  * YouTube downloader command - Download YouTube videos with enhanced error handling
  */
 import axios from "axios";
+import { isValidYoutubeUrl, extractVideoId } from "../../modules/youtube.js";
+
+// Longest video (in minutes) the bot downloads
+const MAX_DURATION_MINUTES = 30;
+
+// Qualities the API offers
+const QUALITIES = ["low", "medium", "high"];
 
 /**
  * Formats a number with suffixes (e.g., 1500 -> 1.5K)
@@ -37,40 +44,13 @@ const truncate = (text, length = 200) => {
     return text.length > length ? text.substring(0, length) + "..." : text;
 };
 
-/**
- * Validates a YouTube URL
- */
-const isValidYoutubeUrl = url => {
-    const YT_REGEX =
-        /^https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/).+/;
-    return url && typeof url === "string" && YT_REGEX.test(url);
-};
-
-/**
- * Extracts video ID from YouTube URL
- */
-const extractVideoId = url => {
-    try {
-        const urlObj = new URL(url);
-        if (url.includes("youtu.be")) {
-            return urlObj.pathname.slice(1);
-        } else if (url.includes("youtube.com/watch")) {
-            return urlObj.searchParams.get("v");
-        } else if (url.includes("youtube.com/shorts")) {
-            return urlObj.pathname.split("/").pop();
-        }
-    } catch (error) {
-        return null;
-    }
-    return null;
-};
-
 /**
  * Universal fetch function for retrieving data from various websites
  * @param {string} url - The URL to fetch data from
  * @param {string} referer - The referer URL (optional)
  * @param {Object} customHeaders - Additional headers to include (optional)
  * @param {string} responseType - The response type (default: 'json')
+ * @param {AbortSignal} signal - Aborts the request (optional)
  * @returns {Promise<any>} - The response data
  */
 async function universalFetch(
@@ -79,7 +59,8 @@ async function universalFetch(
         referer = "",
         customHeaders = {},
         responseType = "json",
-        userAgent = "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/137.0.0.0 Mobile Safari/537.36"
+        userAgent = "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/137.0.0.0 Mobile Safari/537.36",
+        signal
     } = {}
 ) {
     try {
@@ -112,7 +93,8 @@ async function universalFetch(
         // Make the request
         const response = await axios.get(url, {
             headers,
-            responseType
+            responseType,
+            signal
         });
 
         return response.data;
@@ -125,37 +107,38 @@ async function universalFetch(
 /**
  * Generates caption for a YouTube video
  */
-function generateYoutubeCaption(data) {
+function generateYoutubeCaption(data, t) {
     // Safely extract properties with fallbacks
     const {
-        title = "Unknown Title",
-        uploader = "Unknown Channel",
+        title = t("youtube.caption.unknownTitle"),
+        uploader = t("youtube.caption.unknownChannel"),
         view_count = 0,
         like_count = 0,
         duration = 0,
-        upload_date = "Unknown Date",
+        upload_date = t("youtube.caption.unknownDate"),
         description = ""
     } = data;
 
     // Format duration if not already formatted
     const duration_formatted =
         data.duration_formatted || formatDuration(duration);
+    const line = (key, value) => `${t(`youtube.caption.${key}`, { value })}\n`;
 
-    let caption = `*🎬 YouTube Downloader*\n\n`;
-    caption += `*Title:* ${title}\n`;
-    caption += `*Channel:* ${uploader}\n`;
-    caption += `*Views:* ${formatNumber(view_count)}\n`;
+    let caption = `${t("youtube.caption.video")}\n\n`;
+    caption += line("title", title);
+    caption += line("channel", uploader);
+    caption += line("views", formatNumber(view_count));
 
     // Only add likes if available
     if (like_count !== null) {
-        caption += `*Likes:* ${formatNumber(like_count)}\n`;
+        caption += line("likes", formatNumber(like_count));
     }
 
-    caption += `*Duration:* ${duration_formatted}\n`;
-    caption += `*Uploaded:* ${upload_date}\n\n`;
+    caption += line("duration", duration_formatted);
+    caption += `${line("uploaded", upload_date)}\n`;
 
     if (description) {
-        caption += `*Description:* ${truncate(description, 300)}\n\n`;
+        caption += `${line("description", truncate(description, 300))}\n`;
     }
 
     caption += `> Downloaded by: _Azusa - Bot_\n`;
@@ -167,7 +150,7 @@ function generateYoutubeCaption(data) {
  * Performs the API request to download a YouTube video
  * @returns {Promise<Object>} The API response
  */
-async function fetchYoutubeVideo(url, quality = "medium") {
+async function fetchYoutubeVideo(url, quality = "medium", signal) {
     try {
         const apiUrl = `https://azusa-backend.my.id/api/get?url=${encodeURIComponent(
             url
@@ -175,6 +158,7 @@ async function fetchYoutubeVideo(url, quality = "medium") {
 
         const response = await axios.get(apiUrl, {
             timeout: 30000, // 30 seconds timeout
+            signal,
             headers: {
                 "User-Agent": "Azusa-Bot/1.0"
             }
@@ -210,44 +194,69 @@ const youtubeCommand = {
     name: "youtube",
     aliases: ["yt", "ytdl"],
     description: "Download YouTube video (best quality)",
-    usage: "/youtube <link>",
+    usage: "/youtube <link> [low|medium|high] (or reply to a message containing the link)",
     cooldown: 30, // 30 seconds cooldown between uses
-
-    async execute(sock, msg, args, { AzusaLog, from, pushName }) {
+    heavy: true, // Runs through the download queue
+    examples: [
+        "youtube https://youtu.be/2PuFyjAs7JA",
+        "yt https://youtu.be/2PuFyjAs7JA high",
+        "yt high (as a reply to a YouTube link)"
+    ],
+    args: {
+        positional: [
+            // Not typed as url: "/yt high" in reply to a link puts the
+            // quality here, and execute() checks the link itself
+            { name: "url", description: "YouTube video link" },
+            {
+                name: "quality",
+                choices: QUALITIES,
+                default: "medium",
+                description: "Video quality"
+            }
+        ]
+    },
+
+    async execute(
+        sock,
+        msg,
+        args,
+        { AzusaLog, from, pushName, params, prefix, quoted, job, state, t }
+    ) {
         // Track when the command started
         const startTime = Date.now();
         let statusMessage = null;
 
         try {
             // Validate input
-            const url = args[0];
-const reso = args[1] || "medium";
+            // Fall back to a YouTube link in the replied-to message; then a
+            // lone first argument like "high" is the quality
+            const qualityOnly = QUALITIES.includes(params.url);
+            const quotedUrl = quoted?.urls.find(isValidYoutubeUrl);
+            const url = qualityOnly ? quotedUrl : params.url || quotedUrl;
+            const reso = qualityOnly ? params.url : params.quality;
             if (!url) {
                 return await sock.sendMessage(from, {
-                    text: `❌ Please include a YouTube link, ${pushName}.\n\nExample: /yt https://youtu.be/2PuFyjAs7JA`
+                    text: t("youtube.missingUrl", {
+                        name: pushName,
+                        example: `${prefix}yt https://youtu.be/2PuFyjAs7JA`
+                    })
                 });
             }
 
             if (!isValidYoutubeUrl(url)) {
                 return await sock.sendMessage(from, {
-                    text: `❌ Invalid YouTube URL, ${pushName}. Please enter a correct YouTube link.`
+                    text: t("youtube.invalidUrl", { name: pushName })
                 });
             }
 
             // Extract video ID for logging
             const videoId = extractVideoId(url);
 
-            // Send initial status message
-            statusMessage = await sock.sendMessage(
-                from,
-                {
-                    text: `⏳ Processing YouTube download request...\nPlease wait, this may take a moment.`
-                },
-                { quoted: msg }
-            );
+            // Reuse the queue's status message
+            statusMessage = await job.update(t("youtube.processing"));
 
             // Fetch video data
-            const apiData = await fetchYoutubeVideo(url, reso);
+            const apiData = await fetchYoutubeVideo(url, reso, job.signal);
 
             // Validate API response
             if (
@@ -258,34 +267,33 @@ const reso = args[1] || "medium";
                 throw new Error("API did not provide a valid download URL");
             }
 
-            // Cancel if video duration is more than 30 minutes (1800 seconds)
-            if (apiData.video.duration > 1800) {
-                if (statusMessage && statusMessage.key) {
-                    return await sock.sendMessage(
-                        from,
-                        {
-                            text: `NGOTAK KONTOL VIDEO NYA DURASI *${apiData.video.duration_formatted}* GUOBLOK!!!! MAXIMAL 30 MENIT PUQIMAK`,
-                            edit: statusMessage.key
-                        },
-                        { quoted: msg }
-                    );
-                }
+            // Stop when the job was cancelled
+            if (job.signal.aborted) return;
+
+            // Cancel if the video is longer than MAX_DURATION_MINUTES
+            if (apiData.video.duration > MAX_DURATION_MINUTES * 60) {
+                return await job.update(
+                    t("youtube.videoTooLong", {
+                        duration: apiData.video.duration_formatted,
+                        count: MAX_DURATION_MINUTES
+                    })
+                );
             }
 
             // Generate caption based on video data
-            const caption = generateYoutubeCaption(apiData.video);
+            const caption = generateYoutubeCaption(apiData.video, t);
 
-            // Update status message if needed
-            if (statusMessage && statusMessage.key) {
-                await sock.sendMessage(from, {
-                    text: `✅ Video found! Sending video... (${apiData.file.size_mb} MB)`,
-                    edit: statusMessage.key
-                });
-            }
+            // Update status message
+            await job.update(
+                t("youtube.videoFound", { size: apiData.file.size_mb })
+            );
             const vidBuffer = await universalFetch(apiData.file.download_url, {
                 referer: "https://azusa-backend.my.id/",
-                responseType: "arraybuffer"
+                responseType: "arraybuffer",
+                signal: job.signal
             });
+            if (job.signal.aborted) return;
+
             const buffer = Buffer.from(vidBuffer);
             // Send the video
             await sock.sendMessage(from, {
@@ -293,27 +301,32 @@ const reso = args[1] || "medium";
                 caption
             });
         } catch (err) {
+            // Cancelled with /jobs cancel: the queue already said so
+            if (job.signal.aborted) return;
+
+            // Handled here, but still a failed download for /stats
+            state.failure = err;
+
             // Handle different error types
-            let errorMessage =
-                "⚠️ An error occurred while downloading the video.";
+            let errorMessage = t("youtube.errors.video");
 
             if (err.message.includes("API error")) {
-                errorMessage = `⚠️ Server error: ${err.message}`;
+                errorMessage = t("youtube.errors.server", { error: err.message });
             } else if (err.message.includes("timeout")) {
-                errorMessage =
-                    "⚠️ Download timeout! Server might be busy. Please try again later.";
+                errorMessage = t("youtube.errors.timeout");
             } else if (err.message.includes("internet connection")) {
-                errorMessage =
-                    "⚠️ Cannot connect to server. Please check your internet connection.";
+                errorMessage = t("youtube.errors.connection");
             } else if (err.message.includes("file size")) {
-                errorMessage =
-                    "⚠️ Video size is too large to send via WhatsApp. Try a shorter video.";
+                errorMessage = t("youtube.errors.videoTooLarge");
             }
 
             // Send error message
             await sock.sendMessage(from, {
-                text: `${errorMessage} Try again later.\n\nDetails: ${err.message}`,
-                edit: statusMessage
+                text: t("youtube.errors.details", {
+                    message: errorMessage,
+                    error: err.message
+                }),
+                edit: statusMessage?.key
             });
 
             // Log error with context
@@ -344,9 +357,10 @@ youtubeCommand.retry = async function (
                 error.message.includes("connection"))
         ) {
             await sock.sendMessage(context.from, {
-                text: `⚠️ Connection lost, trying again... (${
-                    retryCount + 1
-                }/${MAX_RETRIES})`
+                text: context.t("youtube.retrying", {
+                    attempt: retryCount + 1,
+                    max: MAX_RETRIES
+                })
             });
 
             // Wait before retrying
@@ -2,6 +2,10 @@
  * YouTube MP3 downloader command - Download audio from YouTube videos
  */
 import axios from "axios";
+import { isValidYoutubeUrl, extractVideoId } from "../../modules/youtube.js";
+
+// Longest audio (in minutes) the bot downloads
+const MAX_DURATION_MINUTES = 30;
 
 /**
  * Formats a number with suffixes (e.g., 1500 -> 1.5K)
@@ -37,40 +41,13 @@ const truncate = (text, length = 200) => {
     return text.length > length ? text.substring(0, length) + "..." : text;
 };
 
-/**
- * Validates a YouTube URL
- */
-const isValidYoutubeUrl = url => {
-    const YT_REGEX =
-        /^https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/).+/;
-    return url && typeof url === "string" && YT_REGEX.test(url);
-};
-
-/**
- * Extracts video ID from YouTube URL
- */
-const extractVideoId = url => {
-    try {
-        const urlObj = new URL(url);
-        if (url.includes("youtu.be")) {
-            return urlObj.pathname.slice(1);
-        } else if (url.includes("youtube.com/watch")) {
-            return urlObj.searchParams.get("v");
-        } else if (url.includes("youtube.com/shorts")) {
-            return urlObj.pathname.split("/").pop();
-        }
-    } catch (error) {
-        return null;
-    }
-    return null;
-};
-
 /**
  * Universal fetch function for retrieving data from various websites
  * @param {string} url - The URL to fetch data from
  * @param {string} referer - The referer URL (optional)
  * @param {Object} customHeaders - Additional headers to include (optional)
  * @param {string} responseType - The response type (default: 'json')
+ * @param {AbortSignal} signal - Aborts the request (optional)
  * @returns {Promise<any>} - The response data
  */
 async function universalFetch(
@@ -79,7 +56,8 @@ async function universalFetch(
         referer = "",
         customHeaders = {},
         responseType = "json",
-        userAgent = "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/137.0.0.0 Mobile Safari/537.36"
+        userAgent = "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/137.0.0.0 Mobile Safari/537.36",
+        signal
     } = {}
 ) {
     try {
@@ -112,7 +90,8 @@ async function universalFetch(
         // Make the request
         const response = await axios.get(url, {
             headers,
-            responseType
+            responseType,
+            signal
         });
 
         return response.data;
@@ -125,24 +104,25 @@ async function universalFetch(
 /**
  * Generates caption for a YouTube audio
  */
-function generateYoutubeAudioCaption(data) {
+function generateYoutubeAudioCaption(data, t) {
     // Safely extract properties with fallbacks
     const {
-        title = "Unknown Title",
-        uploader = "Unknown Channel",
+        title = t("youtube.caption.unknownTitle"),
+        uploader = t("youtube.caption.unknownChannel"),
         duration = 0,
-        upload_date = "Unknown Date"
+        upload_date = t("youtube.caption.unknownDate")
     } = data;
 
     // Format duration if not already formatted
     const duration_formatted =
         data.duration_formatted || formatDuration(duration);
+    const line = (key, value) => `${t(`youtube.caption.${key}`, { value })}\n`;
 
-    let caption = `*🎵 YouTube MP3 Downloader*\n\n`;
-    caption += `*Title:* ${title}\n`;
-    caption += `*Channel:* ${uploader}\n`;
-    caption += `*Duration:* ${duration_formatted}\n`;
-    caption += `*Uploaded:* ${upload_date}\n\n`;
+    let caption = `${t("youtube.caption.audio")}\n\n`;
+    caption += line("title", title);
+    caption += line("channel", uploader);
+    caption += line("duration", duration_formatted);
+    caption += `${line("uploaded", upload_date)}\n`;
     caption += `> Downloaded by: _Azusa - Bot_\n`;
 
     return caption;
@@ -152,13 +132,14 @@ function generateYoutubeAudioCaption(data) {
  * Performs the API request to download a YouTube audio
  * @returns {Promise<Object>} The API response
  */
-async function fetchYoutubeAudio(url) {
+async function fetchYoutubeAudio(url, signal) {
     try {
         const apiUrl = `https://azusa-backend.my.id/api/ytmp3?url=${encodeURIComponent(
             url
         )}`;
 
         const response = await axios.get(apiUrl, {
+            signal,
             headers: {
                 "User-Agent": "Azusa-Bot/1.0"
             }
@@ -194,44 +175,49 @@ const youtubeMP3Command = {
     name: "ytmp3",
     aliases: ["mp3", "yta"],
     description: "Download YouTube audio (MP3)",
-    usage: "/ytmp3 <link>",
+    usage: "/ytmp3 <link> (or reply to a message containing the link)",
     cooldown: 30, // 30 seconds cooldown between uses
-
-    async execute(sock, msg, args, { AzusaLog, from, pushName }) {
+    heavy: true, // Runs through the download queue
+    examples: ["ytmp3 https://youtu.be/jOwsX8AAFx8"],
+
+    async execute(
+        sock,
+        msg,
+        args,
+        { AzusaLog, from, pushName, prefix, quoted, job, state, t }
+    ) {
         // Track when the command started
         const startTime = Date.now();
         let statusMessage = null;
 
         try {
             // Validate input
-            const url = args[0];
+            // Fall back to a YouTube link in the replied-to message
+            const url = args[0] || quoted?.urls.find(isValidYoutubeUrl);
 
             if (!url) {
                 return await sock.sendMessage(from, {
-                    text: `❌ Please include a YouTube link, ${pushName}.\n\nExample: /ytmp3 https://youtu.be/jOwsX8AAFx8`
+                    text: t("youtube.missingUrl", {
+                        name: pushName,
+                        example: `${prefix}ytmp3 https://youtu.be/jOwsX8AAFx8`
+                    })
                 });
             }
 
             if (!isValidYoutubeUrl(url)) {
                 return await sock.sendMessage(from, {
-                    text: `❌ Invalid YouTube URL, ${pushName}. Please enter a correct YouTube link.`
+                    text: t("youtube.invalidUrl", { name: pushName })
                 });
             }
 
             // Extract video ID for logging
             const videoId = extractVideoId(url);
 
-            // Send initial status message
-            statusMessage = await sock.sendMessage(
-                from,
-                {
-                    text: `⏳ Processing YouTube MP3 download request...\nPlease wait, this may take a moment.`
-                },
-                { quoted: msg }
-            );
+            // Reuse the queue's status message
+            statusMessage = await job.update(t("youtube.processingAudio"));
 
             // Fetch audio data
-            const apiData = await fetchYoutubeAudio(url);
+            const apiData = await fetchYoutubeAudio(url, job.signal);
 
             // Validate API response
             if (
@@ -242,38 +228,36 @@ const youtubeMP3Command = {
                 throw new Error("API did not provide a valid download URL");
             }
 
-            // Cancel if audio duration is more than 30 minutes (1800 seconds)
-            if (apiData.audio.duration > 1800) {
-                if (statusMessage && statusMessage.key) {
-                    return await sock.sendMessage(
-                        from,
-                        {
-                            text: `❌ Audio too long! Duration: *${apiData.audio.duration_formatted}*. Maximum allowed: 30 minutes.`,
-                            edit: statusMessage.key
-                        },
-                        { quoted: msg }
-                    );
-                }
+            // Stop when the job was cancelled
+            if (job.signal.aborted) return;
+
+            // Cancel if the audio is longer than MAX_DURATION_MINUTES
+            if (apiData.audio.duration > MAX_DURATION_MINUTES * 60) {
+                return await job.update(
+                    t("youtube.audioTooLong", {
+                        duration: apiData.audio.duration_formatted,
+                        count: MAX_DURATION_MINUTES
+                    })
+                );
             }
 
             // Generate caption based on audio data
-            const caption = generateYoutubeAudioCaption(apiData.audio);
+            const caption = generateYoutubeAudioCaption(apiData.audio, t);
 
-            // Update status message if needed
-            if (statusMessage && statusMessage.key) {
-                await sock.sendMessage(from, {
-                    text: `✅ Audio found! Sending MP3... (${apiData.file.size_mb} MB)`,
-                    edit: statusMessage.key
-                });
-            }
+            // Update status message
+            await job.update(
+                t("youtube.audioFound", { size: apiData.file.size_mb })
+            );
             // Fetch the audio file
             const audioBuffer = await universalFetch(
                 apiData.file.download_url,
                 {
                     referer: "https://azusa-backend.my.id/",
-                    responseType: "arraybuffer"
+                    responseType: "arraybuffer",
+                    signal: job.signal
                 }
             );
+            if (job.signal.aborted) return;
 
             // Convert to Buffer
             const buffer = Buffer.from(audioBuffer);
@@ -285,33 +269,34 @@ const youtubeMP3Command = {
                 caption
             });
         } catch (err) {
+            // Cancelled with /jobs cancel: the queue already said so
+            if (job.signal.aborted) return;
+
+            // Handled here, but still a failed download for /stats
+            state.failure = err;
+
             // Handle different error types
-            let errorMessage =
-                "⚠️ An error occurred while downloading the audio.";
+            let errorMessage = t("youtube.errors.audio");
 
             if (err.message.includes("API error")) {
-                errorMessage = `⚠️ Server error: ${err.message}`;
+                errorMessage = t("youtube.errors.server", { error: err.message });
             } else if (err.message.includes("timeout")) {
-                errorMessage =
-                    "⚠️ Download timeout! Server might be busy. Please try again later.";
+                errorMessage = t("youtube.errors.timeout");
             } else if (err.message.includes("internet connection")) {
-                errorMessage =
-                    "⚠️ Cannot connect to server. Please check your internet connection.";
+                errorMessage = t("youtube.errors.connection");
             } else if (err.message.includes("file size")) {
-                errorMessage =
-                    "⚠️ Audio size is too large to send via WhatsApp. Try a shorter video.";
+                errorMessage = t("youtube.errors.audioTooLarge");
             }
 
             // Send error message
+            const text = t("youtube.errors.details", {
+                message: errorMessage,
+                error: err.message
+            });
             if (statusMessage && statusMessage.key) {
-                await sock.sendMessage(from, {
-                    text: `${errorMessage} Try again later.\n\nDetails: ${err.message}`,
-                    edit: statusMessage.key
-                });
+                await sock.sendMessage(from, { text, edit: statusMessage.key });
             } else {
-                await sock.sendMessage(from, {
-                    text: `${errorMessage} Try again later.\n\nDetails: ${err.message}`
-                });
+                await sock.sendMessage(from, { text });
             }
 
             // Log error with context
@@ -340,9 +325,10 @@ youtubeMP3Command.retry = async function (
                 error.message.includes("connection"))
         ) {
             await sock.sendMessage(context.from, {
-                text: `⚠️ Connection lost, trying again... (${
-                    retryCount + 1
-                }/${MAX_RETRIES})`
+                text: context.t("youtube.retrying", {
+                    attempt: retryCount + 1,
+                    max: MAX_RETRIES
+                })
             });
 
             // Wait before retrying
@@ -0,0 +1,102 @@
+/**
+ * Help command - Shows available commands and usage information
+ */
+import {
+    getAvailableCommands,
+    groupByCategory,
+    formatCategory,
+    formatCommandDetails,
+    getDescription
+} from "../../utils/commandHelp.js";
+
+const helpCommand = {
+    name: 'help',
+    aliases: ['menu', 'commands'],
+    description: 'Shows available commands and usage information',
+    usage: '/help [command]',
+    examples: ['help', 'help tiktok'],
+    args: {
+        positional: [
+            { name: 'command', description: 'Command to show details for' }
+        ]
+    },
+
+    /**
+     * Execute the help command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const {
+            AzusaLog,
+            from,
+            isGroup,
+            params,
+            commands,
+            settings,
+            role,
+            prefix,
+            cooldowns,
+            config,
+            t
+        } = context;
+
+        try {
+            const available = getAvailableCommands(commands, {
+                role,
+                disabledCommands: settings.disabledCommands,
+                isGroup
+            });
+
+            // Detailed help for a single command
+            if (params.command) {
+                const name = params.command.replace(/^\W+/, '').toLowerCase();
+                const command = commands.get(name);
+
+                if (!command || !available.includes(command)) {
+                    await context.reply(
+                        t('help.unknown', { command: name, help: `${prefix}help` })
+                    );
+                    return;
+                }
+
+                await context.reply(
+                    formatCommandDetails(command, {
+                        prefix,
+                        cooldown: cooldowns.getDuration(command),
+                        t
+                    })
+                );
+                return;
+            }
+
+            // Create help message
+            let helpMessage = `${t('help.title', { name: config.name })}\n`;
+
+            for (const [category, categoryCommands] of groupByCategory(available)) {
+                helpMessage += `\n*${formatCategory(category)}:*\n`;
+                for (const command of categoryCommands) {
+                    helpMessage += `• *${prefix}${command.name}* - ${getDescription(command, t)}\n`;
+                }
+            }
+
+            helpMessage += `\n${t('help.footer', { help: `${prefix}help` })}`;
+
+            // Send the help message
+            await sock.sendMessage(from, {
+                text: helpMessage
+            });
+
+            AzusaLog.log({
+                type: 'info',
+                message: `Help command executed by ${msg.pushName || 'User'}`
+            });
+        } catch (err) {
+            throw new Error(`Failed to execute help command: ${err.message}`);
+        }
+    }
+};
+
+export default helpCommand;
@@ -0,0 +1,76 @@
+import { getAvailableCommands } from "../../utils/commandHelp.js";
+
+/**
+ * list - Menampilkan semua command yang tersedia
+ */
+
+const command = {
+    name: "list",
+    aliases: ["ls"],
+    description: "List available commands",
+    usage: "/list",
+
+    /**
+     * Execute the list command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(
+        sock,
+        msg,
+        args,
+        {
+            AzusaLog,
+            from,
+            isGroup,
+            pushName,
+            commands,
+            settings,
+            role,
+            prefix,
+            t
+        }
+    ) {
+        try {
+            // Ambil command yang boleh dipakai pengirim di chat ini
+            const available = getAvailableCommands(commands, {
+                role,
+                disabledCommands: settings.disabledCommands,
+                isGroup
+            });
+
+            if (available.length === 0) {
+                await sock.sendMessage(from, {
+                    text: t("list.empty")
+                });
+                return;
+            }
+
+            const commandListText =
+                `${t("list.header", { name: pushName })}\n\n` +
+                available
+                    .map(cmd => {
+                        const aliases = cmd.aliases?.length
+                            ? ` (${cmd.aliases.join(", ")})`
+                            : "";
+                        return `• ${prefix}${cmd.name}${aliases}`;
+                    })
+                    .join("\n");
+
+            await sock.sendMessage(from, {
+                text: commandListText
+            });
+
+            AzusaLog.log({
+                type: "info",
+                message: `Command list dipanggil oleh ${pushName}`
+            });
+        } catch (err) {
+            throw new Error(`Gagal menjalankan command list: ${err.message}`);
+        }
+    }
+};
+
+export default command;
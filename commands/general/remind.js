@@ -0,0 +1,253 @@
+/**
+ * remind - Set a reminder with a natural time ("30m", "besok 08:00", "every monday 9:00")
+ */
+import { parseTime } from "../../utils/timeParser.js";
+
+// Scheduler job type of reminders
+const REMIND_JOB = "remind";
+
+// How far ahead a one-off reminder may be
+const MAX_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+const command = {
+    name: "remind",
+    aliases: ["reminder", "ingatkan"],
+    description: "Set a reminder, list your reminders or cancel one",
+    usage: "/remind <time> <message> | list | cancel <id>",
+    examples: [
+        "remind 30m drink water",
+        "remind besok 08:00 meeting",
+        "remind every monday 9:00 weekly sync",
+        "remind list",
+        "remind cancel k3x9q2"
+    ],
+
+    // Register the reminder handler with the scheduler
+    async onLoad({ scheduler }) {
+        this.scheduler = scheduler;
+        scheduler.define(REMIND_JOB, sendReminder);
+    },
+
+    async onUnload() {
+        // Stored reminders wait until the command is loaded again
+        this.scheduler?.undefine(REMIND_JOB);
+    },
+
+    /**
+     * Execute the remind command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { rawArgs, prefix, t } = context;
+
+        try {
+            const [action, id] = rawArgs.trim().split(/\s+/);
+
+            switch (action.toLowerCase()) {
+                case "":
+                    return await context.reply(t("remind.usage", { prefix }));
+                case "list":
+                    return await listReminders(context);
+                case "cancel":
+                case "batal":
+                    return await cancelReminder(context, id);
+                default:
+                    return await createReminder(context);
+            }
+        } catch (err) {
+            throw new Error(`Failed to execute remind command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Scheduler handler: deliver a reminder, mentioning its owner in groups
+ * @param {Object} job - The reminder job
+ * @param {Object} context - Scheduler context
+ */
+async function sendReminder(job, { sock, getTranslator }) {
+    const { chatId, userJid, senderNumber, isGroup, text } = job.data;
+    const t = getTranslator(chatId, { number: senderNumber });
+
+    if (!isGroup) {
+        return await sock.sendMessage(chatId, {
+            text: t("remind.fired", { text })
+        });
+    }
+
+    await sock.sendMessage(chatId, {
+        text: t("remind.firedGroup", {
+            user: `@${userJid.split("@")[0]}`,
+            text
+        }),
+        mentions: [userJid]
+    });
+}
+
+/**
+ * Parse "<time> <message>" and schedule it
+ * @param {Object} context - Command context
+ */
+async function createReminder(context) {
+    const { scheduler, config, from, isGroup, sender, senderNumber } = context;
+    const { rawArgs, timezone, prefix, t } = context;
+
+    const parsed = parseTime(rawArgs, { timezone });
+    if (!parsed) {
+        return await context.reply(t("remind.invalidTime", { prefix }));
+    }
+    if (parsed.needsTime) {
+        return await context.reply(
+            t("remind.needsTime", { when: parsed.when })
+        );
+    }
+    if (!parsed.text) {
+        return await context.reply(t("remind.noText", { when: parsed.when }));
+    }
+
+    if (parsed.at) {
+        const ahead = parsed.at - Date.now();
+        if (ahead <= 0) return await context.reply(t("remind.past"));
+        if (ahead > MAX_AHEAD_MS) return await context.reply(t("remind.tooFar"));
+    }
+
+    const maxPerUser = config.remind?.maxPerUser ?? 20;
+    const existing = scheduler.list(ownedBy(ownerKey(context)));
+    if (maxPerUser && existing.length >= maxPerUser) {
+        return await context.reply(
+            t("remind.limit", { count: maxPerUser, prefix })
+        );
+    }
+
+    const job = scheduler.schedule({
+        type: REMIND_JOB,
+        cron: parsed.cron || null,
+        at: parsed.at || null,
+        timezone,
+        data: {
+            chatId: from,
+            userJid: sender,
+            senderNumber,
+            owner: ownerKey(context),
+            isGroup,
+            text: parsed.text,
+            when: parsed.when
+        }
+    });
+
+    await context.reply(
+        t(job.cron ? "remind.setRecurring" : "remind.set", {
+            id: shortId(job.id),
+            time: formatTime(job.nextRunAt, timezone, t),
+            when: parsed.when,
+            text: parsed.text
+        })
+    );
+}
+
+/**
+ * List the sender's reminders in this chat
+ * @param {Object} context - Command context
+ */
+async function listReminders(context) {
+    const { scheduler, from, timezone, prefix, t } = context;
+
+    const owner = ownerKey(context);
+    const reminders = scheduler.list(
+        (job, id) => ownedBy(owner)(job, id) && job.data.chatId === from
+    );
+    if (!reminders.length) {
+        return await context.reply(t("remind.empty", { prefix }));
+    }
+
+    let text = `${t("remind.listTitle", { count: reminders.length })}\n\n`;
+    for (const job of reminders) {
+        const repeat = job.cron ? ` 🔁 _${job.data.when}_` : "";
+        text += `• *${shortId(job.id)}* · ${formatTime(
+            job.nextRunAt,
+            timezone,
+            t
+        )}${repeat}\n  ${job.data.text}\n`;
+    }
+    text += `\n${t("remind.listFooter", { prefix })}`;
+
+    await context.reply(text.trim());
+}
+
+/**
+ * Cancel one of the sender's reminders (the owner can cancel any)
+ * @param {Object} context - Command context
+ * @param {String} id - Reminder ID, with or without the "remind-" prefix
+ */
+async function cancelReminder(context, id) {
+    const { scheduler, isOwner, prefix, t } = context;
+
+    if (!id) return await context.reply(t("remind.usage", { prefix }));
+
+    const jobId = id.startsWith(`${REMIND_JOB}-`) ? id : `${REMIND_JOB}-${id}`;
+    const job = scheduler.get(jobId);
+    if (!job || job.type !== REMIND_JOB) {
+        return await context.reply(t("remind.notFound", { id }));
+    }
+    if (!ownedBy(ownerKey(context))(job) && !isOwner) {
+        return await context.reply(t("remind.notYours", { id }));
+    }
+
+    scheduler.cancel(jobId);
+    await context.reply(
+        t("remind.cancelled", { id: shortId(jobId), text: job.data.text })
+    );
+}
+
+/**
+ * Key reminders are owned by: the phone number, or the JID of a sender
+ * whose LID can't be mapped to one (an empty number would be shared)
+ * @param {Object} context - Command context
+ * @returns {String}
+ */
+function ownerKey({ senderNumber, sender }) {
+    return senderNumber || sender;
+}
+
+/**
+ * @param {String} owner - Owner key from ownerKey()
+ * @returns {Function} - Scheduler list predicate for the user's reminders
+ */
+function ownedBy(owner) {
+    // Reminders stored before `owner` existed only have senderNumber
+    return job =>
+        job.type === REMIND_JOB &&
+        (job.data?.owner ?? job.data?.senderNumber) === owner;
+}
+
+/**
+ * @param {String} id - Job ID ("remind-k3x9q2")
+ * @returns {String} - The part users type ("k3x9q2")
+ */
+function shortId(id) {
+    return id.slice(REMIND_JOB.length + 1);
+}
+
+/**
+ * @param {Number} timestamp - Time (ms)
+ * @param {String} timezone - Timezone of the reader
+ * @param {Function} t - Translator from the command context
+ * @returns {String} - e.g. "Tue, Oct 20, 08:00"
+ */
+function formatTime(timestamp, timezone, t) {
+    return new Date(timestamp).toLocaleString(t("_meta.dateLocale"), {
+        timeZone: timezone,
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+    });
+}
+
+export default command;
@@ -0,0 +1,31 @@
+/**
+ * add - Add members by phone number (members who only accept invites get a notice to use /group link)
+ */
+import { runParticipantAction } from "../../utils/groupAdmin.js";
+
+const command = {
+    name: "add",
+    aliases: ["invite"],
+    description: "Add members to this group by number",
+    usage: "/add <number...> (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["add 628123456789", "add 628123456789 628987654321"],
+
+    /**
+     * Execute the add command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        try {
+            await runParticipantAction(context, "add");
+        } catch (err) {
+            throw new Error(`Failed to execute add command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
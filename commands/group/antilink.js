@@ -0,0 +1,208 @@
+/**
+ * antilink - Configure anti-link moderation for this group and forgive warnings
+ */
+import { SettingsError } from "../../utils/chatSettings.js";
+import { clearWarnings } from "../../utils/antilink.js";
+import { getTargetJids, isBotAdmin } from "../../utils/groupHelper.js";
+import { logAction } from "../../utils/moderation.js";
+import { resolveParticipant } from "../../utils/permissions.js";
+
+const command = {
+    name: "antilink",
+    aliases: ["al"],
+    description: "Delete links from non-admins in this group, warn them and remove them after N warnings",
+    usage: "/antilink [off|invite|all] | allow <domain> | disallow <domain> | kick <n> | pardon <@user|all>",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: [
+        "antilink invite",
+        "antilink all",
+        "antilink allow tiktok.com instagram.com",
+        "antilink kick 3",
+        "antilink pardon @628123456789"
+    ],
+    args: {
+        positional: [
+            {
+                name: "action",
+                choices: [
+                    "off",
+                    "invite",
+                    "all",
+                    "allow",
+                    "disallow",
+                    "kick",
+                    "pardon"
+                ],
+                description: "Mode or what to change (shows the settings when omitted)"
+            },
+            {
+                name: "value",
+                rest: true,
+                description: "Domains, a number or a member"
+            }
+        ]
+    },
+
+    /**
+     * Execute the antilink command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { chatSettings, db, from, params, quoted, prefix, t } = context;
+        const { groupMetadata, senderNumber } = context;
+        const value = params.value || "";
+
+        try {
+            switch (params.action) {
+                case "off":
+                case "invite":
+                case "all":
+                    chatSettings.set(from, "antilink", params.action);
+                    return await context.reply(
+                        t(`antilink.mode.${params.action}`)
+                    );
+
+                case "allow":
+                case "disallow": {
+                    if (!value) {
+                        return await context.reply(
+                            t("antilink.usage", { prefix })
+                        );
+                    }
+                    const current = chatSettings.get(from).antilinkWhitelist;
+                    // Normalized the same way as the stored domains
+                    const domains = chatSettings.parseValue(
+                        "antilinkWhitelist",
+                        value
+                    );
+                    const whitelist =
+                        params.action === "allow"
+                            ? [...current, ...domains]
+                            : current.filter(
+                                  domain => !domains.includes(domain)
+                              );
+
+                    const stored = chatSettings.set(
+                        from,
+                        "antilinkWhitelist",
+                        whitelist
+                    );
+                    return await context.reply(
+                        t("antilink.whitelist", {
+                            domains: stored.join(", ") || t("settings.none")
+                        })
+                    );
+                }
+
+                case "kick": {
+                    const stored = chatSettings.set(
+                        from,
+                        "antilinkKickAfter",
+                        value
+                    );
+                    return await context.reply(
+                        t(
+                            stored ? "antilink.kickAfter" : "antilink.neverKick",
+                            { count: stored }
+                        )
+                    );
+                }
+
+                case "pardon": {
+                    if (value.toLowerCase() === "all") {
+                        clearWarnings(db.groups, from);
+                        logAction(db.audit, from, {
+                            action: "pardon",
+                            by: senderNumber,
+                            reason: "antilink"
+                        });
+                        return await context.reply(t("antilink.pardonedAll"));
+                    }
+
+                    const targets = getTargetJids(msg, quoted);
+                    if (!targets.length) {
+                        return await context.reply(
+                            t("antilink.usage", { prefix })
+                        );
+                    }
+                    for (const jid of targets) {
+                        // Warnings are counted by the sender's phone number,
+                        // or by their LID when it can't be mapped
+                        const member = resolveParticipant(jid, groupMetadata);
+                        const key = member.number || member.jid;
+
+                        clearWarnings(db.groups, from, key);
+                        logAction(db.audit, from, {
+                            action: "pardon",
+                            by: senderNumber,
+                            target: key,
+                            reason: "antilink"
+                        });
+                    }
+                    return await sock.sendMessage(
+                        from,
+                        {
+                            text: t("antilink.pardoned", {
+                                users: targets
+                                    .map(jid => `@${jid.split("@")[0]}`)
+                                    .join(", ")
+                            }),
+                            mentions: targets
+                        },
+                        { quoted: msg }
+                    );
+                }
+
+                default:
+                    return await context.reply(formatStatus(context));
+            }
+        } catch (err) {
+            if (err instanceof SettingsError) {
+                return await context.reply(
+                    t(`settings.errors.${err.code}`, err.data)
+                );
+            }
+            throw new Error(`Failed to execute antilink command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Anti-link settings of the group and who has warnings
+ * @param {Object} context - Command context
+ * @returns {String}
+ */
+function formatStatus(context) {
+    const { chatSettings, db, sock, from, groupMetadata, prefix, t } = context;
+    const settings = chatSettings.get(from);
+    const warnings = Object.entries(
+        db.groups.get(from)?.antilinkWarnings || {}
+    ).sort((a, b) => b[1] - a[1]);
+
+    let text = `${t("antilink.title")}\n\n`;
+    text += `${t("antilink.status", {
+        mode: t(`antilink.modes.${settings.antilink}`),
+        kickAfter: settings.antilinkKickAfter || "∞",
+        whitelist: settings.antilinkWhitelist.join(", ") || t("settings.none")
+    })}\n`;
+
+    if (settings.antilink !== "off" && !isBotAdmin(sock, groupMetadata)) {
+        text += `\n${t("antilink.notAdmin")}\n`;
+    }
+
+    if (warnings.length) {
+        text += `\n${t("antilink.warningsTitle")}\n`;
+        for (const [number, count] of warnings) {
+            text += `• ${number}: ${count}\n`;
+        }
+    }
+
+    text += `\n${t("antilink.footer", { prefix })}`;
+    return text;
+}
+
+export default command;
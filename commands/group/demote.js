@@ -0,0 +1,31 @@
+/**
+ * demote - Take group admin rights away from the mentioned members (or the author of the replied-to message)
+ */
+import { runParticipantAction } from "../../utils/groupAdmin.js";
+
+const command = {
+    name: "demote",
+    aliases: ["unadmin"],
+    description: "Take admin rights away from members of this group",
+    usage: "/demote <@user...|number...> (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["demote @628123456789"],
+
+    /**
+     * Execute the demote command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        try {
+            await runParticipantAction(context, "demote");
+        } catch (err) {
+            throw new Error(`Failed to execute demote command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
@@ -0,0 +1,152 @@
+/**
+ * greeting - Turn group greetings on or off, edit their templates and preview them
+ */
+import { SettingsError } from "../../utils/chatSettings.js";
+import {
+    GREETING_TYPES,
+    buildGreeting,
+    getTemplate,
+    setTemplate
+} from "../../utils/greetings.js";
+
+const command = {
+    name: "greeting",
+    aliases: ["welcome", "greet"],
+    description: "Set up welcome, goodbye, promote and demote messages for this group",
+    usage: "/greeting [on | off | card <on|off> | set <type> <text> | reset <type> | preview [type]]",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: [
+        "greeting on",
+        "greeting set welcome Hi {user}, welcome to {group}! We are now {count}.",
+        "greeting preview welcome",
+        "greeting card on",
+        "greeting reset leave"
+    ],
+
+    /**
+     * Execute the greeting command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { chatSettings, db, from, rawArgs, prefix, t } = context;
+
+        try {
+            const input = rawArgs.trim();
+            const [action = "", type = ""] = input
+                .split(/\s+/)
+                .map(word => word.toLowerCase());
+
+            // Everything after "set <type>", newlines included
+            const template = input.replace(/^\S+\s+\S+\s*/, "");
+
+            switch (action) {
+                case "":
+                    return await context.reply(formatOverview(context));
+
+                case "on":
+                case "off":
+                    chatSettings.set(from, "greetings", action);
+                    return await context.reply(t(`greeting.${action}`));
+
+                case "card":
+                    chatSettings.set(from, "greetingCard", type);
+                    return await context.reply(
+                        t(
+                            chatSettings.get(from).greetingCard
+                                ? "greeting.cardOn"
+                                : "greeting.cardOff"
+                        )
+                    );
+
+                case "set":
+                    if (!GREETING_TYPES.includes(type) || !template) {
+                        return await context.reply(
+                            t("greeting.usage", { prefix })
+                        );
+                    }
+                    setTemplate(db.groups, from, type, template);
+                    return await context.reply(
+                        t("greeting.saved", { type, prefix })
+                    );
+
+                case "reset":
+                    if (!GREETING_TYPES.includes(type)) {
+                        return await context.reply(
+                            t("greeting.usage", { prefix })
+                        );
+                    }
+                    setTemplate(db.groups, from, type, null);
+                    return await context.reply(t("greeting.reset", { type }));
+
+                case "preview":
+                    if (type && !GREETING_TYPES.includes(type)) {
+                        return await context.reply(
+                            t("greeting.usage", { prefix })
+                        );
+                    }
+                    return await sendPreview(context, type || "welcome");
+
+                default:
+                    return await context.reply(t("greeting.usage", { prefix }));
+            }
+        } catch (err) {
+            if (err instanceof SettingsError) {
+                return await context.reply(
+                    t(`settings.errors.${err.code}`, err.data)
+                );
+            }
+            throw new Error(`Failed to execute greeting command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Send a greeting as it would look, with the sender as the member
+ * @param {Object} context - Command context
+ * @param {String} type - Greeting type
+ */
+async function sendPreview(context, type) {
+    const { sock, msg, db, chatSettings, from, sender, groupMetadata, t } =
+        context;
+
+    const message = await buildGreeting(sock, {
+        type,
+        participants: [sender],
+        metadata: groupMetadata,
+        template: getTemplate(db.groups, from, type, t).template,
+        card: chatSettings.get(from).greetingCard,
+        t
+    });
+    await sock.sendMessage(from, message, { quoted: msg });
+}
+
+/**
+ * Show whether greetings are on and the template of every type
+ * @param {Object} context - Command context
+ * @returns {String}
+ */
+function formatOverview({ chatSettings, db, from, prefix, t }) {
+    const settings = chatSettings.get(from);
+    const state = value => t(value ? "settings.on" : "settings.off");
+
+    let text = `${t("greeting.title")}\n\n`;
+    text += `${t("greeting.status", {
+        enabled: state(settings.greetings),
+        card: state(settings.greetingCard)
+    })}\n\n`;
+
+    for (const type of GREETING_TYPES) {
+        const { template, custom } = getTemplate(db.groups, from, type, t);
+        const marker = custom ? "" : ` _${t("settings.default")}_`;
+        text += `*${type}*${marker}\n${template}\n\n`;
+    }
+
+    text += t("greeting.footer", { prefix });
+    return text;
+}
+
+export default command;
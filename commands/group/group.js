@@ -0,0 +1,140 @@
+/**
+ * group - Open/close the group, lock its info, change name or description, and manage the invite link
+ */
+import { isNotAuthorized, requireBotAdmin } from "../../utils/groupAdmin.js";
+import { logAction } from "../../utils/moderation.js";
+
+// Limits WhatsApp puts on group names and descriptions
+const MAX_SUBJECT = 100;
+const MAX_DESCRIPTION = 2048;
+
+// Actions that are just a group setting
+const SETTINGS = {
+    open: "not_announcement",
+    close: "announcement",
+    lock: "locked",
+    unlock: "unlocked"
+};
+
+const command = {
+    name: "group",
+    aliases: ["grup", "gc"],
+    description: "Open or close this group, change its name or description, or manage the invite link",
+    usage: "/group <open|close|lock|unlock> | subject <text> | desc [text] | link | revoke",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: [
+        "group close",
+        "group open",
+        "group subject Anime Club",
+        "group desc Rules: be nice",
+        "group link",
+        "group revoke"
+    ],
+
+    /**
+     * Execute the group command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { db, from, rawArgs, prefix, senderNumber, t } = context;
+        const action = (args[0] || "").toLowerCase();
+        // Everything after the action, newlines included
+        const text = rawArgs.trim().replace(/^\S+\s*/, "");
+        // Group changes go to the audit log as "group" with what was done
+        const audit = reason =>
+            logAction(db.audit, from, {
+                action: "group",
+                by: senderNumber,
+                reason
+            });
+
+        const known = [
+            ...Object.keys(SETTINGS),
+            "subject",
+            "desc",
+            "link",
+            "revoke"
+        ];
+        if (!known.includes(action)) {
+            return await context.reply(
+                t("groupAdmin.groupUsage", { prefix })
+            );
+        }
+        if (!(await requireBotAdmin(context))) return;
+
+        try {
+            if (SETTINGS[action]) {
+                await sock.groupSettingUpdate(from, SETTINGS[action]);
+                audit(action);
+                return await context.reply(
+                    t(`groupAdmin.settings.${action}`)
+                );
+            }
+
+            switch (action) {
+                case "subject":
+                    if (!text || text.length > MAX_SUBJECT) {
+                        return await context.reply(
+                            t("groupAdmin.invalidSubject", {
+                                max: MAX_SUBJECT
+                            })
+                        );
+                    }
+                    await sock.groupUpdateSubject(from, text);
+                    audit(`subject: ${text}`);
+                    return await context.reply(
+                        t("groupAdmin.subjectChanged", { subject: text })
+                    );
+
+                case "desc":
+                    if (text.length > MAX_DESCRIPTION) {
+                        return await context.reply(
+                            t("groupAdmin.descriptionTooLong", {
+                                max: MAX_DESCRIPTION
+                            })
+                        );
+                    }
+                    // Without text the description is removed
+                    await sock.groupUpdateDescription(from, text || undefined);
+                    audit("desc");
+                    return await context.reply(
+                        t(
+                            text
+                                ? "groupAdmin.descriptionChanged"
+                                : "groupAdmin.descriptionRemoved"
+                        )
+                    );
+
+                case "link": {
+                    const code = await sock.groupInviteCode(from);
+                    return await context.reply(
+                        t("groupAdmin.link", {
+                            link: `https://chat.whatsapp.com/${code}`
+                        })
+                    );
+                }
+
+                case "revoke": {
+                    const code = await sock.groupRevokeInvite(from);
+                    audit("revoke");
+                    return await context.reply(
+                        t("groupAdmin.revoked", {
+                            link: `https://chat.whatsapp.com/${code}`
+                        })
+                    );
+                }
+            }
+        } catch (err) {
+            if (isNotAuthorized(err)) {
+                return await context.reply(t("groupAdmin.botNotAdmin"));
+            }
+            throw new Error(`Failed to execute group command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
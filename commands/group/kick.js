@@ -0,0 +1,35 @@
+/**
+ * kick - Remove the mentioned members, typed numbers or the author of the replied-to message
+ */
+import { runParticipantAction } from "../../utils/groupAdmin.js";
+
+const command = {
+    name: "kick",
+    aliases: ["remove", "tendang"],
+    description: "Remove members from this group",
+    usage: "/kick <@user...|number...> [reason] (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: [
+        "kick @628123456789",
+        "kick 628123456789 628987654321",
+        "kick @628123456789 spam bot"
+    ],
+
+    /**
+     * Execute the kick command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        try {
+            await runParticipantAction(context, "remove");
+        } catch (err) {
+            throw new Error(`Failed to execute kick command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
@@ -0,0 +1,86 @@
+/**
+ * modlog - Show the group's moderation audit log: who did what to whom, why and when
+ */
+import { getTargetJids } from "../../utils/groupHelper.js";
+import { formatDate, getAuditLog } from "../../utils/moderation.js";
+import { resolveParticipant } from "../../utils/permissions.js";
+
+// Entries shown by default and at most
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const command = {
+    name: "modlog",
+    aliases: ["auditlog", "audit"],
+    description: "Show recent moderation actions in this group, optionally for one member",
+    usage: "/modlog [@user|number] [count] (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["modlog", "modlog 30", "modlog @628123456789"],
+
+    /**
+     * Execute the modlog command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { db, from, groupMetadata, quoted, timezone, t } = context;
+
+        // A short number is a count, a long one a member
+        const count = args.find(arg => /^\d{1,3}$/.test(arg));
+        const limit = Math.min(Number(count) || DEFAULT_LIMIT, MAX_LIMIT);
+        const [target] = getTargetJids(msg, quoted, args);
+        // Entries are stored by phone number, or by LID when it's unknown
+        const resolved = target && resolveParticipant(target, groupMetadata);
+        const number = target ? resolved.number || resolved.jid : null;
+
+        try {
+            const entries = getAuditLog(db.audit, from, { number, limit });
+            if (!entries.length) {
+                return await context.reply(
+                    number
+                        ? t("modlog.emptyFor", { number })
+                        : t("modlog.empty")
+                );
+            }
+
+            let text = `${t(number ? "modlog.titleFor" : "modlog.title", {
+                number,
+                count: entries.length
+            })}\n`;
+            for (const entry of entries) {
+                text += `\n• ${formatEntry(entry, timezone, t)}`;
+            }
+            await context.reply(text);
+        } catch (err) {
+            throw new Error(`Failed to execute modlog command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * One line of the log. Numbers are written plainly so nobody gets tagged.
+ * @param {Object} entry - Audit log entry
+ * @param {String} timezone - Timezone of the chat
+ * @param {Function} t - Translator from the command context
+ * @returns {String} - e.g. "19 Oct, 14:05 warn 628123456789 - by 628987654321: spam"
+ */
+function formatEntry(entry, timezone, t) {
+    let line = `${formatDate(entry.at, timezone, t)} *${t(
+        `modlog.actions.${entry.action}`
+    )}*`;
+    if (entry.target) line += ` ${entry.target}`;
+
+    line += ` - ${
+        entry.by
+            ? t("modlog.by", { number: entry.by })
+            : t(`modlog.auto.${entry.auto}`)
+    }`;
+    if (entry.by && entry.auto) line += ` (${t(`modlog.auto.${entry.auto}`)})`;
+    if (entry.reason) line += `: ${entry.reason}`;
+    return line;
+}
+
+export default command;
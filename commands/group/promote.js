@@ -0,0 +1,31 @@
+/**
+ * promote - Make the mentioned members (or the author of the replied-to message) group admins
+ */
+import { runParticipantAction } from "../../utils/groupAdmin.js";
+
+const command = {
+    name: "promote",
+    aliases: ["admin"],
+    description: "Make members admins of this group",
+    usage: "/promote <@user...|number...> (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["promote @628123456789"],
+
+    /**
+     * Execute the promote command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        try {
+            await runParticipantAction(context, "promote");
+        } catch (err) {
+            throw new Error(`Failed to execute promote command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
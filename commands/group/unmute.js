@@ -0,0 +1,59 @@
+/**
+ * unmute - Let muted members use the bot's commands again
+ */
+import { getTargetJids } from "../../utils/groupHelper.js";
+import { logAction, unmute } from "../../utils/moderation.js";
+import { resolveParticipant } from "../../utils/permissions.js";
+
+const command = {
+    name: "unmute",
+    description: "Let muted members of this group use commands again",
+    usage: "/unmute <@user...|number...> (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["unmute @628123456789"],
+
+    /**
+     * Execute the unmute command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { db, from, groupMetadata, quoted, prefix, senderNumber, t } =
+            context;
+
+        const targets = getTargetJids(msg, quoted, args);
+        if (!targets.length) {
+            return await context.reply(t("unmute.usage", { prefix }));
+        }
+
+        try {
+            const lines = targets.map(jid => {
+                const { number } = resolveParticipant(jid, groupMetadata);
+                const user = `@${jid.split("@")[0]}`;
+                if (!number || !unmute(db.groups, from, number)) {
+                    return t("unmute.notMuted", { user });
+                }
+
+                logAction(db.audit, from, {
+                    action: "unmute",
+                    by: senderNumber,
+                    target: number
+                });
+                return t("unmute.done", { user });
+            });
+
+            await sock.sendMessage(
+                from,
+                { text: lines.join("\n"), mentions: targets },
+                { quoted: msg }
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute unmute command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
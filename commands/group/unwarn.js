@@ -0,0 +1,63 @@
+/**
+ * unwarn - Take back a member's latest warning, or all of them
+ */
+import { getTargetJids } from "../../utils/groupHelper.js";
+import { logAction, removeWarnings } from "../../utils/moderation.js";
+import { resolveParticipant } from "../../utils/permissions.js";
+
+const command = {
+    name: "unwarn",
+    aliases: ["delwarn"],
+    description: "Remove the latest warning of members, or all of their warnings",
+    usage: "/unwarn <@user...|number...> [all] (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["unwarn @628123456789", "unwarn @628123456789 all"],
+
+    /**
+     * Execute the unwarn command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { db, from, groupMetadata, quoted, prefix, senderNumber, t } =
+            context;
+
+        const targets = getTargetJids(msg, quoted, args);
+        if (!targets.length) {
+            return await context.reply(t("unwarn.usage", { prefix }));
+        }
+        const all = args.some(arg =>
+            ["all", "semua"].includes(arg.toLowerCase())
+        );
+
+        try {
+            const lines = targets.map(jid => {
+                const { number } = resolveParticipant(jid, groupMetadata);
+                const user = `@${jid.split("@")[0]}`;
+                const removed = removeWarnings(db.groups, from, number, all);
+                if (!removed) return t("unwarn.none", { user });
+
+                logAction(db.audit, from, {
+                    action: "unwarn",
+                    by: senderNumber,
+                    target: number,
+                    reason: all ? "all" : ""
+                });
+                return t("unwarn.removed", { user, count: removed });
+            });
+
+            await sock.sendMessage(
+                from,
+                { text: lines.join("\n"), mentions: targets },
+                { quoted: msg }
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute unwarn command: ${err.message}`);
+        }
+    }
+};
+
+export default command;
@@ -0,0 +1,191 @@
+/**
+ * warn - Warn members; at the group's warnLimit they are muted or removed
+ */
+import { isNotAuthorized, updateParticipants } from "../../utils/groupAdmin.js";
+import {
+    findParticipant,
+    getBotJids,
+    getTargetJids,
+    isBotAdmin,
+    sameUser,
+    stripTargets
+} from "../../utils/groupHelper.js";
+import {
+    formatDate,
+    logAction,
+    mute,
+    removeWarnings,
+    warnMember
+} from "../../utils/moderation.js";
+import {
+    getChatRole,
+    hasPermission,
+    resolveParticipant
+} from "../../utils/permissions.js";
+
+const command = {
+    name: "warn",
+    aliases: ["peringatan"],
+    description: "Warn members of this group; enough warnings get them muted or removed",
+    usage: "/warn <@user...|number...> [reason] (or reply to their message)",
+    permission: "chatAdmin",
+    groupOnly: true,
+    examples: ["warn @628123456789 spamming stickers", "warn 628123456789"],
+
+    /**
+     * Execute the warn command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { chatSettings, from, quoted, rawArgs, prefix, t } = context;
+
+        const targets = getTargetJids(msg, quoted, args);
+        if (!targets.length) {
+            return await context.reply(t("warn.usage", { prefix }));
+        }
+        const reason = stripTargets(rawArgs);
+        const settings = chatSettings.get(from);
+
+        try {
+            const lines = [];
+            for (const jid of targets) {
+                lines.push(await warnTarget(context, jid, reason, settings));
+            }
+            if (reason) lines.push(t("warn.reason", { reason }));
+
+            await sock.sendMessage(
+                from,
+                { text: lines.join("\n"), mentions: targets },
+                { quoted: msg }
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute warn command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Warn one member and apply the warn limit
+ * @param {Object} context - Command context
+ * @param {String} jid - Member JID
+ * @param {String} reason - Why (may be empty)
+ * @param {Object} settings - Chat settings of the group
+ * @returns {Promise<String>} - Line of the reply about this member
+ */
+async function warnTarget(context, jid, reason, settings) {
+    const { sock, db, from, groupMetadata, senderNumber, t } = context;
+    // Stored by phone number, the key middleware/mute.js looks up
+    const member = resolveParticipant(jid, groupMetadata);
+    const { number } = member;
+    const user = `@${jid.split("@")[0]}`;
+
+    if (getBotJids(sock).some(botJid => sameUser(botJid, jid))) {
+        return t("warn.notWarned", { user, reason: t("warn.reasons.self") });
+    }
+    if (!findParticipant(groupMetadata, jid)) {
+        return t("warn.notWarned", {
+            user,
+            reason: t("groupAdmin.reasons.notMember")
+        });
+    }
+    if (!number) {
+        return t("warn.notWarned", {
+            user,
+            reason: t("warn.reasons.unresolved")
+        });
+    }
+    const role = getChatRole(member, { isGroup: true, groupMetadata });
+    if (hasPermission(role, "chatAdmin")) {
+        return t("warn.notWarned", { user, reason: t("warn.reasons.admin") });
+    }
+
+    const warnings = warnMember(db.groups, from, number, {
+        by: senderNumber,
+        reason
+    });
+    logAction(db.audit, from, {
+        action: "warn",
+        by: senderNumber,
+        target: number,
+        reason
+    });
+
+    const limit = settings.warnLimit;
+    const count = warnings.length;
+    if (!limit || count < limit) {
+        return t("warn.warned", { user, count, max: limit || "∞" });
+    }
+
+    // The limit was reached: remove or mute, and start counting over
+    if (settings.warnAction === "kick") {
+        const removed = await removeTarget(context, jid, number, reason);
+        if (removed) {
+            removeWarnings(db.groups, from, number, true);
+            return t("warn.removed", { user, count });
+        }
+    }
+
+    const { until } = mute(db.groups, from, number, {
+        by: senderNumber,
+        reason,
+        minutes: settings.muteMinutes
+    });
+    removeWarnings(db.groups, from, number, true);
+    logAction(db.audit, from, {
+        action: "mute",
+        by: senderNumber,
+        auto: "warnLimit",
+        target: number,
+        reason
+    });
+
+    let text = until
+        ? t("warn.muted", {
+              user,
+              count,
+              until: formatDate(until, context.timezone, t)
+          })
+        : t("warn.mutedIndefinitely", {
+              user,
+              count,
+              prefix: context.prefix
+          });
+    if (settings.warnAction === "kick") text += `\n${t("warn.cantKick")}`;
+    return text;
+}
+
+/**
+ * Remove a member who reached the warn limit
+ * @param {Object} context - Command context
+ * @param {String} jid - Member JID
+ * @param {String} number - The member's phone number
+ * @param {String} reason - Reason of the last warning
+ * @returns {Promise<Boolean>} - Whether the member was removed
+ */
+async function removeTarget(context, jid, number, reason) {
+    const { sock, db, from, groupMetadata, senderNumber } = context;
+    if (!isBotAdmin(sock, groupMetadata)) return false;
+
+    let results;
+    try {
+        results = await updateParticipants(context, [jid], "remove");
+    } catch (err) {
+        if (isNotAuthorized(err)) return false;
+        throw err;
+    }
+    if (!results[0]?.ok) return false;
+
+    logAction(db.audit, from, {
+        action: "remove",
+        by: senderNumber,
+        auto: "warnLimit",
+        target: number,
+        reason
+    });
+    return true;
+}
+
+export default command;
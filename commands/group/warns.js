@@ -0,0 +1,146 @@
+/**
+ * warns - Show a member's warnings and mute, or everyone's for group admins
+ */
+import { getTargetJids } from "../../utils/groupHelper.js";
+import {
+    formatDate,
+    getMute,
+    getWarnings,
+    listMutes,
+    listWarnings
+} from "../../utils/moderation.js";
+import { hasPermission, resolveParticipant } from "../../utils/permissions.js";
+
+const command = {
+    name: "warns",
+    aliases: ["warnings"],
+    description: "Show warnings of a member, your own, or everyone's (admins)",
+    usage: "/warns [@user|number] (or reply to their message)",
+    groupOnly: true,
+    examples: ["warns", "warns @628123456789"],
+
+    /**
+     * Execute the warns command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { from, groupMetadata, quoted, sender, senderNumber, role, t } =
+            context;
+        const isAdmin = hasPermission(role, "chatAdmin");
+
+        try {
+            const targets = getTargetJids(msg, quoted, args);
+            if (!targets.length && isAdmin) {
+                return await context.reply(formatOverview(context));
+            }
+            if (!targets.length) targets.push(sender);
+
+            // Members may only look at their own warnings
+            const isOther = jid =>
+                resolveParticipant(jid, groupMetadata).number !== senderNumber;
+            if (!isAdmin && targets.some(isOther)) {
+                return await context.reply(t("warns.onlyOwn"));
+            }
+
+            const text = targets
+                .map(jid => formatMember(context, jid))
+                .join("\n\n");
+            await sock.sendMessage(
+                from,
+                { text, mentions: targets },
+                { quoted: msg }
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute warns command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Warnings and mute of one member
+ * @param {Object} context - Command context
+ * @param {String} jid - Member JID
+ * @returns {String}
+ */
+function formatMember(context, jid) {
+    const { chatSettings, db, from, groupMetadata, timezone, t } = context;
+    const { number } = resolveParticipant(jid, groupMetadata);
+    const user = `@${jid.split("@")[0]}`;
+    const warnings = getWarnings(db.groups, from, number);
+    const muted = getMute(db.groups, from, number);
+    const limit = chatSettings.get(from).warnLimit;
+
+    let text = warnings.length
+        ? t("warns.count", {
+              user,
+              count: warnings.length,
+              max: limit || "∞"
+          })
+        : t("warns.none", { user });
+
+    warnings.forEach((warning, index) => {
+        text += `\n${index + 1}. ${formatDate(warning.at, timezone, t)}`;
+        if (warning.reason) text += ` - ${warning.reason}`;
+        if (warning.by) text += ` (${t("warns.by", { number: warning.by })})`;
+    });
+
+    if (muted) text += `\n${formatMute(context, muted)}`;
+    return text;
+}
+
+/**
+ * Who has warnings and who is muted in the group
+ * @param {Object} context - Command context
+ * @returns {String}
+ */
+function formatOverview(context) {
+    const { chatSettings, db, from, prefix, t } = context;
+    const settings = chatSettings.get(from);
+    const warned = listWarnings(db.groups, from);
+    const muted = listMutes(db.groups, from);
+
+    let text = `${t("warns.title")}\n\n`;
+    text += `${t("warns.rules", {
+        limit: settings.warnLimit || "∞",
+        action: t(`warns.actions.${settings.warnAction}`),
+        minutes: settings.muteMinutes || "∞"
+    })}\n`;
+
+    if (!warned.length && !muted.length) {
+        text += `\n${t("warns.nobody")}\n`;
+    }
+    if (warned.length) {
+        text += `\n${t("warns.warnedTitle")}\n`;
+        for (const [number, warnings] of warned) {
+            text += `• ${number}: ${warnings.length}\n`;
+        }
+    }
+    if (muted.length) {
+        text += `\n${t("warns.mutedTitle")}\n`;
+        for (const [number, entry] of muted) {
+            text += `• ${number}: ${formatMute(context, entry)}\n`;
+        }
+    }
+
+    text += `\n${t("warns.footer", { prefix })}`;
+    return text;
+}
+
+/**
+ * @param {Object} context - Command context
+ * @param {Object} entry - Mute from getMute
+ * @returns {String}
+ */
+function formatMute(context, entry) {
+    const { timezone, t } = context;
+    return entry.until
+        ? t("warns.mutedUntil", {
+              until: formatDate(entry.until, timezone, t)
+          })
+        : t("warns.mutedIndefinitely");
+}
+
+export default command;
@@ -0,0 +1,333 @@
+/**
+ * broadcast - Send an announcement (text or media) to all groups, all private chats, or a filtered set
+ */
+import { Broadcast } from "../../utils/broadcast.js";
+import { isBotAdmin } from "../../utils/groupHelper.js";
+import {
+    checkAccess,
+    normalizeNumber,
+    toUserJid
+} from "../../utils/permissions.js";
+import { formatRemaining } from "../../utils/cooldown.js";
+
+// Failed chats listed in the summary
+const MAX_LISTED = 10;
+
+// Broadcast that is being sent right now (only one at a time)
+let active = null;
+
+const command = {
+    name: "broadcast",
+    aliases: ["bc"],
+    description: "Send a message to all groups, all private chats, or chats matching a filter",
+    usage: "/broadcast <groups|private|all> <text> [--filter name] [--dry] | status | cancel",
+    permission: "owner",
+    examples: [
+        "broadcast groups Maintenance tonight at 22:00",
+        "broadcast all New: /stats --filter anime",
+        "broadcast private --dry",
+        "broadcast cancel"
+    ],
+    args: {
+        positional: [
+            {
+                name: "target",
+                required: true,
+                choices: ["groups", "private", "all", "status", "cancel"],
+                description: "Who receives it, or status/cancel"
+            },
+            {
+                name: "text",
+                rest: true,
+                description: "Message (caption when sent with or as a reply to media)"
+            }
+        ],
+        flags: {
+            filter: {
+                type: "string",
+                alias: "f",
+                description: "Only chats whose name, JID or number contains this"
+            },
+            dry: {
+                type: "boolean",
+                description: "Only show who would receive it"
+            }
+        }
+    },
+
+    /**
+     * Execute the broadcast command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { AzusaLog, config, params, media, quoted, from, t } = context;
+
+        try {
+            if (params.target === "status") {
+                return await context.reply(
+                    active
+                        ? formatProgress(active.summary, t)
+                        : t("broadcast.idle")
+                );
+            }
+
+            if (params.target === "cancel") {
+                if (!active) return await context.reply(t("broadcast.idle"));
+                active.cancel();
+                return await context.reply(t("broadcast.cancelling"));
+            }
+
+            if (active) {
+                return await context.reply(t("broadcast.busy"));
+            }
+
+            const text = params.text || (media?.fromQuoted ? quoted.body : "");
+            if (!text && !media && !params.dry) {
+                return await context.reply(t("broadcast.empty"));
+            }
+
+            const targets = await collectTargets(params.target, context);
+            const matched = filterTargets(targets, params.filter);
+            const pending = matched.filter(target => !target.skip);
+
+            if (params.dry || !pending.length) {
+                return await context.reply(formatPreview(matched, t));
+            }
+
+            const content = await buildContent(text, media);
+            const options = config.broadcast || {};
+            const status = await context.reply(
+                t("broadcast.started", {
+                    count: pending.length,
+                    skipped: matched.length - pending.length
+                })
+            );
+
+            active = new Broadcast({
+                targets: matched,
+                minDelay: options.minDelay,
+                maxDelay: options.maxDelay,
+                progressEvery: options.progressEvery,
+                send: async target => {
+                    for (const message of content) {
+                        await sock.sendMessage(target.id, message);
+                    }
+                },
+                onProgress: summary =>
+                    sock.sendMessage(from, {
+                        text: formatProgress(summary, t),
+                        edit: status.key
+                    })
+            });
+
+            // Runs in the background: a broadcast can take many minutes
+            active
+                .run()
+                .then(summary =>
+                    sock.sendMessage(
+                        from,
+                        { text: formatSummary(summary, t) },
+                        { quoted: msg }
+                    )
+                )
+                .catch(err => AzusaLog.handleError(err, "Broadcast failed"))
+                .finally(() => {
+                    active = null;
+                });
+        } catch (err) {
+            throw new Error(`Failed to execute broadcast command: ${err.message}`);
+        }
+    },
+
+    // Stop a running broadcast before the command is reloaded
+    async onUnload() {
+        active?.cancel();
+    }
+};
+
+/**
+ * Collect the chats a broadcast can go to
+ * @param {String} target - groups, private or all
+ * @param {Object} context - Command context
+ * @returns {Promise<Array<Object>>} - [{ id, name, skip }]
+ */
+async function collectTargets(target, context) {
+    const targets = [];
+
+    if (target === "groups" || target === "all") {
+        const groups = await context.sock.groupFetchAllParticipating();
+
+        for (const group of Object.values(groups)) {
+            // In announcement groups only admins can send
+            const skip =
+                group.announce && !isBotAdmin(context.sock, group)
+                    ? "adminsOnly"
+                    : null;
+            targets.push({ id: group.id, name: group.subject || "", skip });
+        }
+    }
+
+    if (target === "private" || target === "all") {
+        const { store, db, blocklist, sock } = context;
+        const botNumber = normalizeNumber(sock.user?.id);
+        const numbers = new Map();
+
+        // Chats the bot has seen, and everyone who ever used a command
+        for (const chat of store.chats.all()) {
+            if (!chat.id?.endsWith("@s.whatsapp.net")) continue;
+            numbers.set(normalizeNumber(chat.id), chat.name || "");
+        }
+        for (const user of db.users.find()) {
+            if (!numbers.get(user.id)) numbers.set(user.id, user.name || "");
+        }
+
+        for (const [number, name] of numbers) {
+            if (!number || number === botNumber) continue;
+
+            const contact = store.contacts?.[toUserJid(number)];
+            const access = checkAccess(number, { blocklist });
+            targets.push({
+                id: toUserJid(number),
+                name: name || contact?.name || contact?.notify || "",
+                skip: access.allowed ? null : "blocked"
+            });
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Keep the targets whose name, JID or number contains the filter
+ * @param {Array<Object>} targets - Collected targets
+ * @param {String} filter - Filter text (optional)
+ * @returns {Array<Object>}
+ */
+function filterTargets(targets, filter) {
+    if (!filter) return targets;
+
+    const needle = filter.toLowerCase();
+    return targets.filter(
+        target =>
+            target.name.toLowerCase().includes(needle) ||
+            target.id.toLowerCase().includes(needle)
+    );
+}
+
+/**
+ * Build the message(s) every chat receives
+ * @param {String} text - Announcement text
+ * @param {Object} media - Media from the command context (optional)
+ * @returns {Promise<Array<Object>>} - sendMessage contents, in order
+ */
+async function buildContent(text, media) {
+    if (!media) return [{ text }];
+
+    const buffer = await media.download();
+    const mimetype = media.mimetype || undefined;
+
+    switch (media.mediaType) {
+        case "image":
+        case "video":
+            return [{ [media.mediaType]: buffer, caption: text, mimetype }];
+        case "document":
+            return [
+                {
+                    document: buffer,
+                    mimetype: mimetype || "application/octet-stream",
+                    fileName: media.fileName || "file",
+                    caption: text
+                }
+            ];
+        default: {
+            // Audio and stickers can't have a caption, send the text after them
+            const messages = [{ [media.mediaType]: buffer, mimetype }];
+            if (text) messages.push({ text });
+            return messages;
+        }
+    }
+}
+
+/**
+ * List who would receive the broadcast (used by --dry)
+ * @param {Array<Object>} targets - Matched targets
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatPreview(targets, t) {
+    const pending = targets.filter(target => !target.skip);
+
+    let text = `${t("broadcast.previewTitle", {
+        count: pending.length,
+        skipped: targets.length - pending.length
+    })}\n\n`;
+
+    if (!targets.length) return text + t("broadcast.noTargets");
+
+    for (const target of targets) {
+        const reason = target.skip
+            ? ` _(${t(`broadcast.skip.${target.skip}`)})_`
+            : "";
+        text += `• ${target.name || target.id}${reason}\n`;
+    }
+    return text.trim();
+}
+
+/**
+ * Status of a running broadcast
+ * @param {Object} summary - Broadcast summary so far
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatProgress(summary, t) {
+    return t("broadcast.progress", {
+        done: summary.sent + summary.failed.length,
+        count: summary.total - summary.skipped.length,
+        sent: summary.sent,
+        failed: summary.failed.length
+    });
+}
+
+/**
+ * Delivery summary sent when the broadcast finished
+ * @param {Object} summary - Result of Broadcast.run()
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatSummary(summary, t) {
+    let text = `${t(
+        summary.cancelled ? "broadcast.cancelled" : "broadcast.finished",
+        { duration: formatRemaining(summary.finishedAt - summary.startedAt) }
+    )}\n\n`;
+    text += `${t("broadcast.sent", { count: summary.sent })}\n`;
+    text += `${t("broadcast.failed", { count: summary.failed.length })}\n`;
+    text += `${t("broadcast.skipped", { count: summary.skipped.length })}\n`;
+
+    const notSent =
+        summary.total -
+        summary.skipped.length -
+        summary.sent -
+        summary.failed.length;
+    if (notSent > 0) {
+        text += `${t("broadcast.notSent", { count: notSent })}\n`;
+    }
+
+    if (summary.failed.length) {
+        text += `\n${t("broadcast.failedTitle")}\n`;
+        for (const target of summary.failed.slice(0, MAX_LISTED)) {
+            text += `• ${target.name || target.id}: ${target.error}\n`;
+        }
+        if (summary.failed.length > MAX_LISTED) {
+            text += `${t("broadcast.more", {
+                count: summary.failed.length - MAX_LISTED
+            })}\n`;
+        }
+    }
+
+    return text.trim();
+}
+
+export default command;
@@ -0,0 +1,110 @@
+/**
+ * jobs - Inspect and cancel queued/running heavy commands (downloads)
+ */
+import { formatRemaining } from "../../utils/cooldown.js";
+
+const command = {
+    name: "jobs",
+    aliases: ["queue"],
+    description: "Show the download queue or cancel a job",
+    usage: "/jobs [cancel <id|all>]",
+    permission: "owner",
+    examples: ["jobs", "jobs cancel 12", "jobs cancel all"],
+    args: {
+        positional: [
+            {
+                name: "action",
+                choices: ["cancel"],
+                description: "What to do (shows the queue when omitted)"
+            },
+            { name: "id", description: "Job ID, or all" }
+        ]
+    },
+
+    /**
+     * Execute the jobs command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { jobQueue, params, prefix, t } = context;
+
+        try {
+            if (params.action !== "cancel") {
+                return await context.reply(formatQueue(jobQueue, prefix, t));
+            }
+
+            if (!params.id) {
+                return await context.reply(
+                    t("jobs.usage", { usage: `${prefix}jobs cancel <id|all>` })
+                );
+            }
+
+            const ids =
+                params.id.toLowerCase() === "all"
+                    ? jobQueue.list().map(job => job.id)
+                    : [params.id.replace(/^#/, "")];
+            const cancelled = ids
+                .map(id => jobQueue.cancel(id))
+                .filter(Boolean);
+
+            if (!cancelled.length) {
+                return await context.reply(t("jobs.notFound", { id: params.id }));
+            }
+
+            await context.reply(
+                t("jobs.cancelled", {
+                    jobs: cancelled
+                        .map(job => `#${job.id} (${job.label})`)
+                        .join(", ")
+                })
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute jobs command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Build the queue overview message
+ * @param {Object} jobQueue - The job queue
+ * @param {String} prefix - Prefix used to invoke the command
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatQueue(jobQueue, prefix, t) {
+    const jobs = jobQueue.list();
+    const now = Date.now();
+
+    let text = `${t("jobs.title")}\n`;
+    text += `${t("jobs.concurrency", {
+        concurrency: jobQueue.concurrency,
+        perUser: jobQueue.perUser
+    })}\n\n`;
+
+    if (!jobs.length) {
+        return text + t("jobs.empty");
+    }
+
+    for (const job of jobs) {
+        const user = job.userId?.split("@")[0] || "unknown";
+        const since =
+            job.status === "queued"
+                ? t("jobs.waiting", {
+                      duration: formatRemaining(now - job.createdAt),
+                      position: job.position
+                  })
+                : t("jobs.running", {
+                      status: job.status,
+                      duration: formatRemaining(now - job.startedAt)
+                  });
+        text += `• *#${job.id}* ${job.label} - ${user}\n   _${since}_\n`;
+    }
+
+    text += `\n${t("jobs.footer", { usage: `${prefix}jobs cancel <id|all>` })}`;
+    return text;
+}
+
+export default command;
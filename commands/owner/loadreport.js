@@ -0,0 +1,98 @@
+/**
+ * loadreport - Show which command files were loaded, skipped or failed on the last (re)load
+ */
+import moment from "moment-timezone";
+import config from "../../config.js";
+
+const command = {
+    name: "loadreport",
+    aliases: ["lr"],
+    description: "Show the result of the last command load",
+    usage: "/loadreport",
+    permission: "owner",
+
+    /**
+     * Execute the loadreport command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { loadReport, t } = context;
+
+        try {
+            if (!loadReport) {
+                return await context.reply(t("loadreport.none"));
+            }
+
+            await context.reply(formatReport(loadReport, t));
+        } catch (err) {
+            throw new Error(`Failed to execute loadreport command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Build the load report message
+ * @param {Object} report - Report returned by loadCommands
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatReport(report, t) {
+    const loadedAt = moment(report.loadedAt)
+        .tz(config.timezone)
+        .format("YYYY-MM-DD HH:mm:ss");
+
+    let text = `${t("loadreport.title")}\n_${loadedAt}_\n\n`;
+    text += `${t("loadreport.loaded", { count: report.loaded.length })}\n`;
+    text += `${t("loadreport.skipped", { count: report.skipped.length })}\n`;
+    text += `${t("loadreport.failed", { count: report.failed.length })}\n`;
+    text += `${t("loadreport.conflicts", { count: report.conflicts.length })}\n`;
+
+    if (report.middleware.length) {
+        text += `${t("loadreport.middleware", {
+            names: report.middleware.map(entry => entry.name).join(", ")
+        })}\n`;
+    }
+
+    if (report.events.length) {
+        text += `${t("loadreport.events", {
+            names: report.events.map(entry => entry.name).join(", ")
+        })}\n`;
+    }
+
+    const plugins = report.loaded.filter(entry => entry.plugin);
+    if (plugins.length) {
+        text += `${t("loadreport.plugins", {
+            names: plugins
+                .map(entry => `${entry.plugin.name}@${entry.plugin.version}`)
+                .join(", ")
+        })}\n`;
+    }
+
+    if (report.conflicts.length) {
+        text += `\n${t("loadreport.conflictsTitle")}\n`;
+        for (const conflict of report.conflicts) {
+            text += `${t("loadreport.conflict", conflict)}\n`;
+        }
+    }
+
+    if (report.skipped.length) {
+        text += `\n${t("loadreport.skippedTitle")}\n`;
+        for (const entry of report.skipped) {
+            text += `• ${entry.file} - ${entry.reason}\n`;
+        }
+    }
+
+    if (report.failed.length) {
+        text += `\n${t("loadreport.failedTitle")}\n`;
+        for (const entry of report.failed) {
+            text += `• ${entry.file} - ${entry.reason}\n`;
+        }
+    }
+
+    return text.trimEnd();
+}
+
+export default command;
@@ -0,0 +1,147 @@
+/**
+ * spam - Inspect and forgive users and chats caught by the anti-spam guard
+ */
+import { formatRemaining } from "../../utils/cooldown.js";
+import { normalizeNumber } from "../../utils/permissions.js";
+
+const command = {
+    name: "spam",
+    aliases: ["antispam", "offenders"],
+    description: "Show flood offenders or clear them (also lifts anti-spam blocks)",
+    usage: "/spam [clear <number|chat|all>]",
+    permission: "owner",
+    examples: ["spam", "spam clear 628123456789", "spam clear all"],
+    args: {
+        positional: [
+            {
+                name: "action",
+                choices: ["clear"],
+                description: "What to do (shows offenders when omitted)"
+            },
+            { name: "target", description: "Number, chat JID, or all" }
+        ]
+    },
+
+    /**
+     * Execute the spam command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { floodGuard, blocklist, params, prefix, t } = context;
+
+        try {
+            if (params.action !== "clear") {
+                return await context.reply(
+                    formatOffenders(floodGuard, blocklist, prefix, t)
+                );
+            }
+
+            if (!params.target) {
+                return await context.reply(
+                    t("spam.usage", {
+                        usage: `${prefix}spam clear <number|chat|all>`
+                    })
+                );
+            }
+
+            if (params.target.toLowerCase() === "all") {
+                const count = floodGuard.clearAll();
+                return await context.reply(t("spam.clearedAll", { count }));
+            }
+
+            // Chats and senders without a phone number are kept by JID
+            const target = params.target.includes("@")
+                ? params.target
+                : normalizeNumber(params.target);
+
+            if (!floodGuard.clear(target)) {
+                return await context.reply(
+                    t("spam.notFound", { target: params.target })
+                );
+            }
+
+            await context.reply(t("spam.cleared", { target }));
+        } catch (err) {
+            throw new Error(`Failed to execute spam command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Build the offenders overview message
+ * @param {Object} floodGuard - The anti-spam guard
+ * @param {Object} blocklist - Runtime blocklist
+ * @param {String} prefix - Prefix used to invoke the command
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatOffenders(floodGuard, blocklist, prefix, t) {
+    const { users, chats } = floodGuard.list();
+    const blocked = blocklist.list().filter(entry => entry.by === "anti-spam");
+    const now = Date.now();
+
+    let text = `${t("spam.title")}\n`;
+    text += `${t("spam.status", {
+        state: t(floodGuard.enabled ? "spam.enabled" : "spam.disabled"),
+        blockAfter: floodGuard.blockAfter || "∞"
+    })}\n\n`;
+
+    if (!users.length && !chats.length && !blocked.length) {
+        return text + t("spam.empty");
+    }
+
+    const active = users.filter(user => !user.blocked);
+    if (active.length) {
+        text += `${t("spam.users")}\n`;
+        for (const user of active) {
+            const state =
+                user.ignoredUntil > now
+                    ? t("spam.ignored", {
+                          duration: formatRemaining(user.ignoredUntil - now)
+                      })
+                    : t("spam.warned");
+            text += `• ${user.userId} - ${t("spam.strikes", {
+                count: user.strikes
+            })}, ${state}\n`;
+        }
+        text += "\n";
+    }
+
+    if (chats.length) {
+        text += `${t("spam.pausedChats")}\n`;
+        for (const chat of chats) {
+            text += `• ${chat.chatId} - ${t("spam.pausedFor", {
+                duration: formatRemaining(chat.pausedUntil - now)
+            })}\n`;
+        }
+        text += "\n";
+    }
+
+    if (blocked.length) {
+        text += `${t("spam.blocked")}\n`;
+        for (const entry of blocked) {
+            text += `• ${entry.number} - ${new Date(
+                entry.blockedAt
+            ).toLocaleString(t("_meta.dateLocale"))}\n`;
+        }
+        text += "\n";
+    }
+
+    // Blocked senders without a phone number aren't on the blocklist
+    const temporary = users.filter(user => user.blocked && user.temporary);
+    if (temporary.length) {
+        text += `${t("spam.blockedUntilRestart")}\n`;
+        for (const user of temporary) {
+            text += `• ${user.userId}\n`;
+        }
+        text += "\n";
+    }
+
+    text += t("spam.footer", { usage: `${prefix}spam clear <number|chat|all>` });
+    return text;
+}
+
+export default command;
@@ -0,0 +1,259 @@
+/**
+ * stats - Command usage analytics: per command, per day, per group, top users and downloader failures
+ */
+
+// Rows shown per list
+const TOP_OVERVIEW = 5;
+const TOP_LIST = 15;
+
+const command = {
+    name: "stats",
+    aliases: ["usage", "analytics"],
+    description: "Show command usage, top users and groups, and download failure rates",
+    usage: "/stats [commands|days|groups|users|downloads] [--days 7]",
+    permission: "owner",
+    examples: ["stats", "stats commands", "stats downloads --days 30"],
+    args: {
+        positional: [
+            {
+                name: "view",
+                choices: ["commands", "days", "groups", "users", "downloads"],
+                description: "Breakdown to show (overview when omitted)"
+            }
+        ],
+        flags: {
+            days: {
+                type: "integer",
+                alias: "d",
+                min: 1,
+                max: 365,
+                default: 7,
+                description: "Number of days to include, today included"
+            }
+        }
+    },
+
+    /**
+     * Execute the stats command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { usageStats, commands, params, prefix, t } = context;
+
+        try {
+            const summary = usageStats.summary(params.days);
+
+            let text = `${t("stats.title")}\n`;
+            text += `${t("stats.period", {
+                from: summary.from,
+                to: summary.to,
+                count: params.days
+            })}\n\n`;
+
+            if (!summary.total) {
+                return await context.reply(text + t("stats.empty"));
+            }
+
+            switch (params.view) {
+                case "commands":
+                    text += formatCommands(summary.commands, t);
+                    break;
+                case "days":
+                    text += formatDays(summary.days, t);
+                    break;
+                case "groups":
+                    text += formatGroups(summary.groups, TOP_LIST, t);
+                    break;
+                case "users":
+                    text += formatUsers(summary.users, TOP_LIST, t);
+                    break;
+                case "downloads":
+                    text += formatDownloads(summary.commands, commands, t);
+                    break;
+                default:
+                    text += formatOverview(summary, commands, t);
+                    text += t("stats.footer", {
+                        usage: `${prefix}stats <commands|days|groups|users|downloads> --days <n>`
+                    });
+            }
+
+            await context.reply(text.trim());
+        } catch (err) {
+            throw new Error(`Failed to execute stats command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Totals plus the top entries of every breakdown
+ * @param {Object} summary - Result of usageStats.summary()
+ * @param {Map} commands - Loaded commands, to find the downloaders
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatOverview(summary, commands, t) {
+    let text = `${t("stats.total", {
+        count: summary.total,
+        failed: summary.failed,
+        rate: percent(summary.failed, summary.total)
+    })}\n`;
+    text += `${t("stats.chats", {
+        groups: summary.groups.length,
+        private: summary.private
+    })}\n\n`;
+
+    text += `${t("stats.topCommands")}\n`;
+    for (const stats of summary.commands.slice(0, TOP_OVERVIEW)) {
+        text += `${t("stats.entry", { name: stats.name, count: stats.count })}\n`;
+    }
+    text += "\n";
+
+    text += formatUsers(summary.users, TOP_OVERVIEW, t);
+    if (summary.groups.length) {
+        text += formatGroups(summary.groups, TOP_OVERVIEW, t);
+    }
+    text += formatDownloads(summary.commands, commands, t);
+
+    return text;
+}
+
+/**
+ * Every command with its failure rate, duration and error classes
+ * @param {Array<Object>} list - summary.commands
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatCommands(list, t) {
+    let text = `${t("stats.commandsTitle")}\n`;
+    for (const stats of list) {
+        text += `${t("stats.command", {
+            name: stats.name,
+            count: stats.count,
+            rate: percent(stats.failed, stats.count),
+            avg: formatDuration(stats.totalMs / stats.count),
+            max: formatDuration(stats.maxMs)
+        })}\n`;
+        text += formatErrors(stats.errors);
+    }
+    return text + "\n";
+}
+
+/**
+ * Invocations per day
+ * @param {Array<Object>} days - summary.days
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatDays(days, t) {
+    let text = `${t("stats.daysTitle")}\n`;
+    for (const day of days) {
+        text += `${t("stats.day", {
+            day: day.day,
+            count: day.count,
+            failed: day.failed
+        })}\n`;
+    }
+    return text + "\n";
+}
+
+/**
+ * Most active groups
+ * @param {Array<Object>} groups - summary.groups
+ * @param {Number} limit - Rows to show
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatGroups(groups, limit, t) {
+    if (!groups.length) return `${t("stats.noGroups")}\n\n`;
+
+    let text = `${t("stats.topGroups")}\n`;
+    for (const group of groups.slice(0, limit)) {
+        text += `${t("stats.entry", {
+            name: group.subject || group.jid,
+            count: group.count
+        })}\n`;
+    }
+    return text + "\n";
+}
+
+/**
+ * Users with the most commands
+ * @param {Array<Object>} users - summary.users
+ * @param {Number} limit - Rows to show
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatUsers(users, limit, t) {
+    let text = `${t("stats.topUsers")}\n`;
+    for (const user of users.slice(0, limit)) {
+        const name = user.name ? `${user.name} (${user.number})` : user.number;
+        text += `${t("stats.entry", { name, count: user.count })}\n`;
+    }
+    return text + "\n";
+}
+
+/**
+ * Failure rate of every downloader command
+ * @param {Array<Object>} list - summary.commands
+ * @param {Map} commands - Loaded commands
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatDownloads(list, commands, t) {
+    const downloads = list.filter(stats => isDownloader(commands.get(stats.name)));
+    if (!downloads.length) return `${t("stats.noDownloads")}\n\n`;
+
+    let text = `${t("stats.downloadsTitle")}\n`;
+    for (const stats of downloads) {
+        text += `${t("stats.download", {
+            name: stats.name,
+            count: stats.count,
+            failed: stats.failed,
+            rate: percent(stats.failed, stats.count)
+        })}\n`;
+        text += formatErrors(stats.errors);
+    }
+    return text + "\n";
+}
+
+/**
+ * @param {Object} command - A loaded command (undefined if it's gone)
+ * @returns {Boolean}
+ */
+function isDownloader(command) {
+    return !!command && (command.category === "downloader" || !!command.heavy);
+}
+
+/**
+ * Error classes of a command, most frequent first
+ * @param {Object} errors - { [class]: count }
+ * @returns {String} - An indented line, or nothing without errors
+ */
+function formatErrors(errors) {
+    const entries = Object.entries(errors).sort((a, b) => b[1] - a[1]);
+    if (!entries.length) return "";
+    return `   _${entries.map(([name, count]) => `${name} ×${count}`).join(", ")}_\n`;
+}
+
+/**
+ * @param {Number} part - Failed invocations
+ * @param {Number} total - All invocations
+ * @returns {String} - e.g. "12.5%"
+ */
+function percent(part, total) {
+    if (!total) return "0%";
+    return `${Number(((part / total) * 100).toFixed(1))}%`;
+}
+
+/**
+ * @param {Number} ms - Milliseconds
+ * @returns {String} - e.g. "850ms" or "12.3s"
+ */
+function formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+export default command;
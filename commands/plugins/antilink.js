@@ -0,0 +1,84 @@
+/**
+ * antilink - Delete links posted by non-admins in groups that turned it on, warn and finally remove the member
+ */
+import {
+    addWarning,
+    clearWarnings,
+    findForbiddenLinks
+} from "../../utils/antilink.js";
+import { isBotAdmin } from "../../utils/groupHelper.js";
+import { logAction } from "../../utils/moderation.js";
+import { hasPermission } from "../../utils/permissions.js";
+
+const plugin = {
+    type: "event",
+    name: "antilink",
+    priority: 10, // Before other plugins and automatic link downloads
+    moderation: true, // Also check messages that start with a command prefix
+
+    events: {
+        async message(msg, ctx) {
+            const { sock, db, from, isGroup, body, settings, role, t } = ctx;
+            const { sender, senderNumber, groupMetadata } = ctx;
+
+            if (!isGroup || msg.key.fromMe || settings.antilink === "off") {
+                return;
+            }
+            // Group admins (and bot admins/owners) may post anything
+            if (hasPermission(role, "chatAdmin")) return;
+
+            const links = findForbiddenLinks(body, {
+                mode: settings.antilink,
+                whitelist: settings.antilinkWhitelist
+            });
+            if (!links.length) return;
+
+            const botIsAdmin = isBotAdmin(sock, groupMetadata);
+            if (botIsAdmin) {
+                await sock.sendMessage(from, { delete: msg.key });
+            }
+
+            // Counted by phone number, or by the LID when it can't be mapped
+            // (a shared "" counter would kick members for each other's links)
+            const member = senderNumber || sender;
+            const count = addWarning(db.groups, from, member);
+            logAction(db.audit, from, {
+                action: "warn",
+                auto: "antilink",
+                target: member,
+                reason: links.map(link => link.url).join(" ")
+            });
+            const kickAfter = settings.antilinkKickAfter;
+            const user = `@${sender.split("@")[0]}`;
+
+            if (kickAfter && count >= kickAfter && botIsAdmin) {
+                await sock.groupParticipantsUpdate(from, [sender], "remove");
+                clearWarnings(db.groups, from, member);
+                logAction(db.audit, from, {
+                    action: "remove",
+                    auto: "antilink",
+                    target: member
+                });
+                await sock.sendMessage(from, {
+                    text: t("antilink.removed", { user, count }),
+                    mentions: [sender]
+                });
+                return false;
+            }
+
+            let text = t(
+                links.some(link => link.invite)
+                    ? "antilink.warnedInvite"
+                    : "antilink.warned",
+                { user, count, max: kickAfter || "∞" }
+            );
+            if (!botIsAdmin) text += `\n${t("antilink.notAdmin")}`;
+
+            await sock.sendMessage(from, { text, mentions: [sender] });
+            // Don't offer downloads for a message that broke the rules
+            return false;
+        }
+    }
+};
+
+export default plugin;
@@ -0,0 +1,45 @@
+/**
+ * greetings - Welcome, goodbye, promote and demote messages in groups that turned them on
+ */
+import i18n from "../../utils/i18n.js";
+import {
+    buildGreeting,
+    getTemplate,
+    greetingTypeOf,
+    withoutBot
+} from "../../utils/greetings.js";
+
+const plugin = {
+    type: "event",
+    name: "greetings",
+
+    events: {
+        async "group-participants.update"({ id, participants, action }, ctx) {
+            const { sock, db, chatSettings, getGroupMetadata } = ctx;
+
+            const type = greetingTypeOf(action);
+            const settings = chatSettings.get(id);
+            if (!type || !settings.greetings) return;
+
+            const members = withoutBot(sock, participants || []);
+            if (!members.length) return;
+
+            // Already refreshed by the participant update handler
+            const metadata = await getGroupMetadata(id);
+            const t = i18n.translator(settings.language);
+            const { template } = getTemplate(db.groups, id, type, t);
+
+            const message = await buildGreeting(sock, {
+                type,
+                participants: members,
+                metadata,
+                template,
+                card: settings.greetingCard,
+                t
+            });
+            await sock.sendMessage(id, message);
+        }
+    }
+};
+
+export default plugin;
@@ -0,0 +1,102 @@
+/**
+ * language - Pick the language the bot replies to you in (overrides the chat's language)
+ */
+import i18n from "../../utils/i18n.js";
+import { toUserJid } from "../../utils/permissions.js";
+
+const command = {
+    name: "language",
+    aliases: ["lang", "bahasa"],
+    description: "Choose the language the bot replies to you in",
+    usage: "/language [id|en|reset]",
+    examples: ["language", "language en", "language reset"],
+    args: {
+        positional: [
+            {
+                name: "language",
+                description: "Language code, or reset to use the chat's language"
+            }
+        ]
+    },
+
+    /**
+     * Execute the language command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { from, params, chatSettings, senderNumber, prefix, t } = context;
+
+        try {
+            // Personal preferences live in the settings of the user's own chat
+            const userChat = toUserJid(senderNumber);
+            const available = i18n.locales
+                .map(code => `${code} (${languageName(code)})`)
+                .join(", ");
+            const choice = params.language?.toLowerCase();
+
+            if (!choice) {
+                return await context.reply(
+                    t("language.current", {
+                        language: languageName(t.locale),
+                        chatLanguage: languageName(
+                            chatSettings.get(from).language
+                        ),
+                        available,
+                        usage: `${prefix}language <${i18n.locales.join("|")}|reset>`
+                    })
+                );
+            }
+
+            // Without a phone number (an unmapped LID) there is no own chat
+            // to keep the preference in, and it would never be applied
+            if (!userChat) {
+                return await context.reply(
+                    t("language.unresolved", {
+                        usage: `${prefix}settings set language <${i18n.locales.join("|")}>`
+                    })
+                );
+            }
+
+            if (choice === "reset") {
+                chatSettings.reset(userChat, "language");
+                const language = chatSettings.get(from).language;
+                return await context.reply(
+                    i18n.translator(language)("language.reset", {
+                        language: languageName(language)
+                    })
+                );
+            }
+
+            if (!i18n.locales.includes(choice)) {
+                return await context.reply(
+                    t("language.unknown", { language: choice, available })
+                );
+            }
+
+            chatSettings.set(userChat, "language", choice);
+
+            // Confirm in the language that was just picked
+            await context.reply(
+                i18n.translator(choice)("language.set", {
+                    language: languageName(choice)
+                })
+            );
+        } catch (err) {
+            throw new Error(`Failed to execute language command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Display name of a locale, from the catalog's _meta.name
+ * @param {String} code - Locale code
+ * @returns {String}
+ */
+function languageName(code) {
+    return i18n.translator(code)("_meta.name");
+}
+
+export default command;
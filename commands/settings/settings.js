@@ -0,0 +1,176 @@
+/**
+ * settings - View and change per-chat settings (prefixes, language, disabled commands, auto-download)
+ */
+import {
+    SETTINGS_SCHEMA,
+    SettingsError,
+    formatSettingValue
+} from "../../utils/chatSettings.js";
+
+const command = {
+    name: "settings",
+    aliases: ["setting", "config"],
+    description: "View or change the bot settings of this chat",
+    usage: "/settings [set <name> <value> | reset [name] | enable <command> | disable <command>]",
+    permission: "chatAdmin",
+    examples: [
+        "settings",
+        "settings set prefixes ! #",
+        "settings set language en",
+        "settings disable tiktok"
+    ],
+    args: {
+        positional: [
+            {
+                name: "action",
+                choices: ["set", "reset", "enable", "disable"],
+                description: "What to do (shows the settings when omitted)"
+            },
+            { name: "name", description: "Setting or command name" },
+            { name: "value", rest: true, description: "New value" }
+        ]
+    },
+
+    /**
+     * Execute the settings command
+     * @param {Object} sock - The WhatsApp socket instance
+     * @param {Object} msg - The message object
+     * @param {Array} args - Command arguments
+     * @param {Object} context - Additional context like logger
+     */
+    async execute(sock, msg, args, context) {
+        const { from, params, chatSettings, commands, prefix, t } = context;
+
+        try {
+            switch (params.action) {
+                case "set": {
+                    if (!params.name || params.value === undefined) {
+                        return await context.reply(
+                            t("settings.usage", {
+                                usage: `${prefix}settings set <name> <value>`
+                            })
+                        );
+                    }
+
+                    let value = params.value;
+                    if (chatSettings.resolveKey(params.name) === "disabledCommands") {
+                        value = resolveCommandNames(value.split(/\s+/), commands);
+                    }
+
+                    const stored = chatSettings.set(from, params.name, value);
+                    return await context.reply(
+                        t("settings.set", {
+                            name: chatSettings.resolveKey(params.name),
+                            value: formatSettingValue(stored, t)
+                        })
+                    );
+                }
+
+                case "reset": {
+                    chatSettings.reset(from, params.name || null);
+                    return await context.reply(
+                        params.name
+                            ? t("settings.resetOne", {
+                                  name: chatSettings.resolveKey(params.name)
+                              })
+                            : t("settings.resetAll")
+                    );
+                }
+
+                case "enable":
+                case "disable": {
+                    if (!params.name) {
+                        return await context.reply(
+                            t("settings.usage", {
+                                usage: `${prefix}settings ${params.action} <command>`
+                            })
+                        );
+                    }
+
+                    const [name] = resolveCommandNames([params.name], commands);
+                    const disabled = new Set(
+                        chatSettings.get(from).disabledCommands
+                    );
+                    if (params.action === "disable") disabled.add(name);
+                    else disabled.delete(name);
+
+                    chatSettings.set(from, "disabledCommands", [...disabled]);
+                    return await context.reply(
+                        t(`settings.${params.action}`, { name })
+                    );
+                }
+
+                default:
+                    return await context.reply(
+                        formatSettings(chatSettings, from, prefix, t)
+                    );
+            }
+        } catch (err) {
+            if (err instanceof SettingsError) {
+                return await context.reply(
+                    t(`settings.errors.${err.code}`, err.data)
+                );
+            }
+            throw new Error(`Failed to execute settings command: ${err.message}`);
+        }
+    }
+};
+
+/**
+ * Map command names/aliases to canonical command names
+ * @param {Array<String>} names - Names as typed by the user
+ * @param {Map} commands - Loaded commands
+ * @returns {Array<String>} - Canonical names
+ * @throws {SettingsError} - If a command doesn't exist or can't be disabled
+ */
+function resolveCommandNames(names, commands) {
+    return names.filter(Boolean).map(name => {
+        const found = commands.get(name.toLowerCase());
+        if (!found) {
+            throw new SettingsError(
+                `Unknown command "${name}"`,
+                "unknownCommand",
+                { name }
+            );
+        }
+        if (found.name === command.name) {
+            throw new SettingsError(
+                "The settings command can't be disabled",
+                "cantDisable"
+            );
+        }
+        return found.name;
+    });
+}
+
+/**
+ * Build the settings overview message
+ * @param {Object} chatSettings - The settings store
+ * @param {String} chatId - The chat JID
+ * @param {String} prefix - Prefix used to invoke the command
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+function formatSettings(chatSettings, chatId, prefix, t) {
+    const settings = chatSettings.get(chatId);
+    const overrides = chatSettings.getOverrides(chatId);
+
+    let text = `${t("settings.title")}\n\n`;
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        const marker = key in overrides ? "" : ` _${t("settings.default")}_`;
+        const description = t.has(`settings.descriptions.${key}`)
+            ? t(`settings.descriptions.${key}`)
+            : spec.description;
+        text += `• *${key}*: ${formatSettingValue(settings[key], t)}${marker}\n`;
+        text += `   _${description}${
+            spec.choices ? ` (${spec.choices.join("/")})` : ""
+        }_\n`;
+    }
+
+    text += `\n${t("settings.footer", {
+        usage: `${prefix}settings set <name> <value>`
+    })}`;
+    return text;
+}
+
+export default command;
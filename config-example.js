@@ -6,6 +6,7 @@ export default {
 
     owner: ["628xxx"], // Replace with your number
     timezone: "Asia/Jakarta",
+    language: "id", // Default reply language (a catalog in locales/), chats and users can override it
 
     // OpenAI configuration
     openai: {
@@ -24,8 +25,106 @@ export default {
 
     command: {
         folderPath: "./commands",
-        prefixes: ["/", "!", "."]
+        prefixes: ["/", "!", "."],
+        cooldown: {
+            default: 3, // Seconds, used when a command doesn't declare `cooldown`
+            perGroup: false, // If true, cooldowns are tracked separately in every chat
+            exemptAdmins: true // Owners and admins skip cooldowns
+        },
+        // "Did you mean...?" replies for unknown commands
+        suggestions: {
+            enabled: true,
+            maxDistance: 2, // Maximum typos between the input and a command name
+            cooldown: 60 // Seconds between suggestions in the same chat
+        }
     },
+    // Download TikTok/Instagram/YouTube links posted without a command
+    autoDownload: {
+        enabled: false,
+        mode: "offer", // "offer" replies with the command to use, "download" downloads right away
+        chats: [], // Chats enabled by default, e.g. "1203630xxx@g.us" (chats can toggle it with /settings)
+        cooldown: 30 // Seconds between automatic downloads in the same chat
+    },
+
+    // Queue for heavy commands (downloaders), see /jobs
+    jobs: {
+        concurrency: 2, // Heavy commands running at the same time
+        perUser: 1, // Heavy commands of one user running at the same time
+        maxQueued: 20, // Requests waiting at most (0 = unlimited)
+        maxQueuedPerUser: 3 // Requests of one user waiting at most (0 = unlimited)
+    },
+
+    // Flood protection for commands, see /spam
+    antiSpam: {
+        enabled: true,
+        user: { capacity: 5, refillSeconds: 20 }, // Burst of 5 commands, refilled over 20 seconds
+        chat: { capacity: 15, refillSeconds: 30 }, // Same for all users of one chat together
+        chatPauseSeconds: 60, // Seconds a chat is ignored after going over its budget
+        ignoreSeconds: 60, // First ignore after a warning, doubles with every further strike
+        blockAfter: 4, // Strikes until the user is blocked (0 = never block)
+        strikeWindow: 600 // Seconds without flooding until strikes are forgotten
+    },
+
+    // Embedded database (users, groups, chat settings, usage, scheduled jobs)
+    database: {
+        path: "./data/db", // Folder with one JSON file per collection
+        saveDelay: 1000 // Milliseconds to batch changes before writing them
+    },
+
+    // Command usage recorded for /stats
+    stats: {
+        retentionDays: 90 // Days of history to keep (0 = forever)
+    },
+
+    // Owner announcements sent with /broadcast
+    broadcast: {
+        minDelay: 3, // Shortest pause between two chats (seconds)
+        maxDelay: 8, // Longest pause, the actual pause is random in between
+        progressEvery: 10 // Update the status message after this many chats
+    },
+
+    // Scheduled jobs (e.g. /jikan subscribe), evaluated in the timezone above
+    scheduler: {
+        graceSeconds: 300, // A run this late (e.g. after a reconnect) still counts as on time
+        misfire: "catchUp" // Missed runs by default: "catchUp" runs them once, "skip" drops them
+    },
+
+    // Personal reminders set with /remind
+    remind: {
+        maxPerUser: 20 // Pending reminders one user may have (0 = no limit)
+    },
+
+    // Welcome/leave/promote/demote messages, changed per group with /greeting
+    greetings: {
+        enabled: false, // Default for groups that didn't turn them on or off
+        card: false // Send an image card with the member's profile picture
+    },
+
+    // Anti-link moderation, changed per group with /antilink
+    antilink: {
+        mode: "off", // Default for groups: "off", "invite" (WhatsApp group invites) or "all" links
+        whitelist: ["tiktok.com", "instagram.com", "youtube.com", "youtu.be"], // Domains allowed in "all" mode
+        kickAfter: 3 // Warnings until a member is removed (0 = only warn)
+    },
+
+    // Warnings, mutes and the audit log (/warn, /unwarn, /unmute, /modlog)
+    moderation: {
+        warnLimit: 3, // Default warnings until warnAction is taken (0 = never)
+        warnAction: "mute", // "mute" (the bot ignores their commands) or "kick"
+        muteMinutes: 60, // How long a mute lasts (0 = until /unmute)
+        auditLimit: 500 // Audit log entries kept per group (0 = all)
+    },
+
+    // Per-chat settings changed with /settings
+    settings: {
+        filePath: "./data/settings.json" // Old settings file, imported into the database on first start
+    },
+
+    // Middleware run around every command (see README)
+    middleware: {
+        folderPath: "./middleware"
+    },
+
     // Bot appearance
     appearance: {
         // browser: ["WA-Bot", "Chrome", "1.0.0"]
@@ -36,7 +135,8 @@ export default {
         allowedNumbers: [], // Empty array means all numbers are allowed
         blockedNumbers: [], // Numbers to block
         whitelistOnly: false, // If true, only allowed numbers can use the bot
-        adminNumbers: ["628xxx"] // Admin numbers that can use admin commands
+        adminNumbers: ["628xxx"], // Admin numbers that can use admin commands
+        blocklistPath: "./data/blocked.json" // Numbers blocked at runtime (e.g. by anti-spam)
     }
 };
 
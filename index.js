@@ -16,16 +16,49 @@ const {
     jidNormalizedUser,
     isJidNewsletter,
     makeInMemoryStore,
-    makeCacheableSignalKeyStore
+    makeCacheableSignalKeyStore,
+    downloadMediaMessage
 } = baileys;
 import NodeCache from "node-cache";
 import { Boom } from "@hapi/boom";
 import pino from "pino";
 import chalk from "chalk";
 import figlet from "figlet";
-import loadCommands from "./utils/commandLoader.js";
+import dotenv from "dotenv";
+import { CommandRegistry } from "./utils/commandLoader.js";
+import { MiddlewarePipeline, loadMiddleware } from "./utils/middleware.js";
+import { EventDispatcher } from "./utils/eventPlugins.js";
+import {
+    JobQueue,
+    JobQueueError,
+    createStatusMessage
+} from "./utils/jobQueue.js";
+import {
+    resolveSender,
+    getChatRole,
+    hasPermission,
+    checkAccess,
+    getRole,
+    toUserJid
+} from "./utils/permissions.js";
+import { CooldownManager, formatRemaining } from "./utils/cooldown.js";
+import { Blocklist } from "./utils/blocklist.js";
+import { FloodGuard } from "./utils/floodGuard.js";
+import MessageHelper from "./utils/messageHelper.js";
+import { detectLinks, containsPrefixedCommand } from "./utils/linkDetector.js";
+import { ChatSettings } from "./utils/chatSettings.js";
+import { Database } from "./utils/database.js";
+import { UsageStats } from "./utils/usageStats.js";
+import { Scheduler } from "./utils/scheduler.js";
+import { findClosest } from "./utils/fuzzy.js";
+import { formatUsage } from "./utils/argParser.js";
+import { getDescription } from "./utils/commandHelp.js";
+import i18n from "./utils/i18n.js";
 import config from "./config.js";
 
+// Load .env before plugins check their required env vars
+dotenv.config();
+
 // Convert __dirname for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,6 +75,8 @@ const processedMessagesCache = new NodeCache({
     stdTTL: 3600, // Store IDs for 1 hour
     checkperiod: 300 // Clean up every 5 minutes
 });
+const autoDownloadCache = new NodeCache({ checkperiod: 60 });
+const suggestionCache = new NodeCache({ checkperiod: 60 });
 
 // Connection management variables
 let reconnectAttempts = 0;
@@ -68,16 +103,120 @@ console.log(
 const sessionName = config.session.name;
 const sessionFolder = config.session.folderPath;
 const commandsPath = config.command.folderPath;
+const middlewarePath = config.middleware?.folderPath || "./middleware";
 
 // Commands container
 let commands = new Map();
 
+// Result of the last command load (loaded/skipped/failed files, conflicts)
+let loadReport = null;
+
+// Middleware chain wrapped around every command execution
+const pipeline = new MiddlewarePipeline();
+
+// Event plugins (group updates, reactions, calls, plain messages)
+const eventPlugins = new EventDispatcher();
+
+// File-backed collections (users, groups, settings, usage, jobs, audit).
+// Opening it applies pending migrations, so a failure here is fatal.
+const db = new Database(config.database?.path || "./data/db", {
+    saveDelay: config.database?.saveDelay ?? 1000
+}).open();
+
+// Per-chat overrides of prefixes, language, disabled commands, etc.
+const chatSettings = new ChatSettings(db.settings);
+
+// Per-day command usage for /stats, recorded by middleware/usage.js
+const usageStats = new UsageStats(db.usage, config.stats);
+
+// Persistent cron and one-off jobs; runs only while connected
+const scheduler = new Scheduler(db.jobs, {
+    ...config.scheduler,
+    getContext: () => ({
+        ...getEventContext(currentSock),
+        scheduler,
+        getTranslator
+    })
+});
+
+// Heavy commands (downloaders) run through a bounded queue
+const jobQueue = new JobQueue(config.jobs);
+
+// Numbers blocked at runtime, on top of config.security.blockedNumbers
+const blocklist = new Blocklist(
+    config.security?.blocklistPath || "./data/blocked.json"
+);
+
+// Per-user and per-chat command budgets, escalating to the blocklist
+const floodGuard = new FloodGuard({ ...config.antiSpam, blocklist });
+
+// Cooldowns live outside the commands Map so they survive hot-reloads
+const cooldownConfig = config.command.cooldown || {};
+const cooldowns = new CooldownManager({
+    defaultSeconds: cooldownConfig.default ?? 0,
+    perGroup: cooldownConfig.perGroup ?? false
+});
+
+// Socket of the current connection, replaced on every reconnect
+let currentSock = null;
+
+// Loaded command files and plugin packages, reloaded one file at a time
+const registry = new CommandRegistry(commandsPath, {
+    // Context passed to onLoad(context) hooks of commands
+    getContext: () => ({
+        AzusaLog,
+        store,
+        config,
+        cooldowns,
+        chatSettings,
+        db,
+        usageStats,
+        scheduler,
+        getSock: () => currentSock,
+        getCommands: () => commands
+    })
+});
+
+/**
+ * Publish the registry's commands, load report, middleware and event plugins
+ */
+function syncCommands() {
+    commands = registry.commands;
+    loadReport = registry.report;
+    pipeline.setSource("commands", registry.middleware);
+    eventPlugins.setPlugins(registry.events);
+}
+
+/**
+ * Load all commands (and middleware plugins in the commands folder)
+ */
+async function reloadCommands() {
+    await registry.loadAll();
+    syncCommands();
+}
+
+/**
+ * Re-import only the command file (or plugin package) that changed
+ * @param {String} filename - Changed path relative to the commands folder
+ */
+async function reloadCommandFile(filename) {
+    await registry.reloadFile(filename);
+    syncCommands();
+}
+
 /**
- * Load all commands with error handling
+ * Load all middleware from the middleware folder
+ */
+async function reloadMiddleware() {
+    pipeline.setSource("middleware", await loadMiddleware(middlewarePath));
+}
+
+/**
+ * Load all commands and middleware with error handling
  */
 async function initializeCommands() {
     try {
-        commands = await loadCommands(commandsPath);
+        await reloadCommands();
         AzusaLog.log({
             type: "success",
             message: `Successfully loaded ${commands.size} commands.`
@@ -87,69 +226,102 @@ async function initializeCommands() {
         // Create empty Map if commands failed to load to prevent crashes
         commands = new Map();
     }
+
+    try {
+        await reloadMiddleware();
+        AzusaLog.log({
+            type: "success",
+            message: `Middleware chain: ${pipeline.list().join(" -> ")}`
+        });
+    } catch (err) {
+        AzusaLog.handleError(err, "Failed to load middleware");
+    }
 }
 
 /**
- * Watch command folder for changes with improved error handling and debouncing
+ * Watch a folder of modules for changes with improved error handling and debouncing
+ * @param {String} folderPath - Folder to watch
+ * @param {String} label - Name used in log messages
+ * @param {Function} reload - Reloads the folder's modules, called with the changed file
  */
-function setupCommandWatcher() {
+function watchFolder(folderPath, label, reload) {
     try {
+        if (!fs.existsSync(folderPath)) return;
+
         // Track which files are being processed to prevent duplicate reloads
         const processingFiles = new Set();
         const debounceTime = 500; // 500ms debounce time
 
-        const watcher = fs.watch(commandsPath, async (eventType, filename) => {
-            if (filename && filename.endsWith(".js")) {
-                // Skip if this file is already being processed
-                if (processingFiles.has(filename)) return;
+        // Recursive so category folders and plugin packages are watched too
+        const watcher = fs.watch(
+            folderPath,
+            { recursive: true },
+            async (eventType, filename) => {
+                if (
+                    filename &&
+                    (filename.endsWith(".js") || filename.endsWith("plugin.json"))
+                ) {
+                    // Skip if this file is already being processed
+                    if (processingFiles.has(filename)) return;
 
-                processingFiles.add(filename);
+                    processingFiles.add(filename);
 
-                AzusaLog.log({
-                    type: "info",
-                    message: `Detected change in ${filename}, reloading commands...`
-                });
+                    AzusaLog.log({
+                        type: "info",
+                        message: `Detected change in ${filename}, reloading ${label}...`
+                    });
 
-                // Debounce the reload to avoid multiple reloads for the same file
-                setTimeout(async () => {
-                    try {
-                        const newCommands = await loadCommands(commandsPath);
-                        commands = newCommands;
-                        AzusaLog.log({
-                            type: "success",
-                            message: `Commands reloaded successfully. Total: ${commands.size}`
-                        });
-                    } catch (err) {
-                        AzusaLog.handleError(err, "Error reloading commands");
-                        // Keep existing commands on failure
-                    } finally {
-                        // Remove from processing set after debounce period
-                        processingFiles.delete(filename);
-                    }
-                }, debounceTime);
+                    // Debounce the reload to avoid multiple reloads for the same file
+                    setTimeout(async () => {
+                        try {
+                            await reload(filename);
+                            AzusaLog.log({
+                                type: "success",
+                                message: `${label} reloaded successfully. Commands: ${
+                                    commands.size
+                                }, middleware: ${pipeline.list().length}`
+                            });
+                        } catch (err) {
+                            AzusaLog.handleError(err, `Error reloading ${label}`);
+                            // Keep existing modules on failure
+                        } finally {
+                            // Remove from processing set after debounce period
+                            processingFiles.delete(filename);
+                        }
+                    }, debounceTime);
+                }
             }
-        });
+        );
 
         // Handle watcher errors
         watcher.on("error", err => {
-            AzusaLog.handleError(err, "Command watcher error");
+            AzusaLog.handleError(err, `${label} watcher error`);
+            watcher.close();
 
             // Try to restart the watcher
             setTimeout(() => {
                 AzusaLog.log({
                     type: "info",
-                    message: "Attempting to restart command watcher..."
+                    message: `Attempting to restart ${label} watcher...`
                 });
-                setupCommandWatcher();
+                watchFolder(folderPath, label, reload);
             }, 5000);
         });
     } catch (err) {
-        AzusaLog.handleError(err, "Failed to set up command watcher");
+        AzusaLog.handleError(err, `Failed to set up ${label} watcher`);
         // Try to restart the watcher after a delay
-        setTimeout(setupCommandWatcher, 5000);
+        setTimeout(() => watchFolder(folderPath, label, reload), 5000);
     }
 }
 
+/**
+ * Watch command and middleware folders for changes
+ */
+function setupCommandWatcher() {
+    watchFolder(commandsPath, "Commands", reloadCommandFile);
+    watchFolder(middlewarePath, "Middleware", reloadMiddleware);
+}
+
 /**
  * Create necessary directories with error handling
  */
@@ -204,7 +376,7 @@ function extractMessageInfo(sock, msg) {
 
     // Extract message body with enhanced error handling
     try {
-        const message = msg.message || {};
+        const message = MessageHelper.unwrapMessage(msg.message || {});
         const type = Object.keys(message)[0] || "";
         let body = "";
 
@@ -243,6 +415,83 @@ function extractMessageInfo(sock, msg) {
     }
 }
 
+/**
+ * Get group metadata from cache, fetching and caching it when missing
+ */
+async function getGroupMetadata(sock, jid) {
+    const cached = groupCache.get(jid);
+    if (cached) return cached;
+
+    try {
+        const metadata = await sock.groupMetadata(jid);
+        if (metadata) {
+            groupCache.set(jid, metadata);
+        }
+        return metadata || null;
+    } catch (err) {
+        AzusaLog.handleError(err, `Failed to fetch metadata for group ${jid}`);
+        return null;
+    }
+}
+
+/**
+ * Download the media of a message as a Buffer
+ */
+async function downloadMedia(sock, message) {
+    return downloadMediaMessage(
+        message,
+        "buffer",
+        {},
+        {
+            logger: pino({ level: "silent" }),
+            reuploadRequest: sock.updateMediaMessage
+        }
+    );
+}
+
+/**
+ * Mimetype and file name of the media in a message, needed to send it again
+ */
+function getMediaFileInfo(message, mediaType) {
+    const content =
+        MessageHelper.unwrapMessage(message)?.[`${mediaType}Message`] || {};
+    return {
+        mimetype: content.mimetype || null,
+        fileName: content.fileName || null
+    };
+}
+
+/**
+ * Describe the quoted message and media available to a command
+ */
+function getMessageMedia(sock, msg) {
+    const quoted = MessageHelper.getQuotedMessage(msg);
+    if (quoted) {
+        quoted.download = () =>
+            downloadMedia(sock, { key: quoted.key, message: quoted.message });
+    }
+
+    // Prefer media attached to the command message itself, then the quoted one
+    const ownMediaType = MessageHelper.getMediaType(msg.message);
+    const media = ownMediaType
+        ? {
+              mediaType: ownMediaType,
+              fromQuoted: false,
+              ...getMediaFileInfo(msg.message, ownMediaType),
+              download: () => downloadMedia(sock, msg)
+          }
+        : quoted?.mediaType
+        ? {
+              mediaType: quoted.mediaType,
+              fromQuoted: true,
+              ...getMediaFileInfo(quoted.message, quoted.mediaType),
+              download: quoted.download
+          }
+        : null;
+
+    return { quoted, media };
+}
+
 /**
  * Setup pairing code request with error handling
  */
@@ -317,6 +566,441 @@ async function setupPairingCode(sock) {
     }
 }
 
+/**
+ * Run a command through the middleware pipeline
+ */
+async function dispatchCommand(
+    sock,
+    msg,
+    info,
+    { prefix, input, trigger = "command" }
+) {
+    const { body, from, pushName, isGroup, type, settings } = info;
+    const args = input.split(/ +/);
+    const command = args.shift()?.toLowerCase();
+    const commandFile = commands.get(command);
+    if (!commandFile) return;
+
+    let groupName = "";
+    let groupMetadata = null;
+    if (isGroup) {
+        groupMetadata = await getGroupMetadata(sock, from);
+        groupName = groupMetadata?.subject || "Unknown Group";
+    }
+
+    // Resolve the real sender (group participant / LID)
+    const sender = resolveSender(sock, msg, groupMetadata);
+    const role = getChatRole(sender, { isGroup, groupMetadata });
+    const t = getTranslator(from, sender);
+
+    // Message the command replied to, and any media it can work on
+    const { quoted, media } = getMessageMedia(sock, msg);
+
+    // Shared context for middleware hooks, also passed to execute()
+    const ctx = {
+        AzusaLog,
+        store,
+        config,
+        cooldowns,
+        chatSettings,
+        db,
+        usageStats,
+        scheduler,
+        settings,
+        commands,
+        loadReport,
+        jobQueue,
+        blocklist,
+        floodGuard,
+        sock,
+        msg,
+        from,
+        isGroup,
+        pushName,
+        type,
+        body,
+        trigger,
+        prefix,
+        commandName: command,
+        command: commandFile,
+        args,
+        rawArgs: input.replace(/^\S+\s*/, ""),
+        params: {},
+        quoted,
+        media,
+        groupMetadata,
+        groupName,
+        sender: sender.jid,
+        senderNumber: sender.number,
+        role,
+        isOwner: role === "owner",
+        isAdmin: hasPermission(role, "admin"),
+        state: {},
+        language: t.locale,
+        timezone: getUserSetting(from, sender, "timezone"),
+        t,
+        reply: text => sock.sendMessage(from, { text }, { quoted: msg })
+    };
+
+    recordActivity(ctx);
+
+    const execution = pipeline
+        .run(ctx, () =>
+            commandFile.heavy
+                ? runAsJob(ctx, () => commandFile.execute(sock, msg, args, ctx))
+                : commandFile.execute(sock, msg, args, ctx)
+        )
+        .catch(err =>
+            AzusaLog.handleError(err, `Error executing command ${command}`)
+        );
+
+    // Heavy commands finish in the background so other chats aren't blocked
+    if (!commandFile.heavy) await execution;
+}
+
+/**
+ * Remember who used the bot and where, in the users and groups collections
+ * @param {Object} ctx - Command context from dispatchCommand
+ */
+function recordActivity(ctx) {
+    const now = Date.now();
+
+    // Users are keyed by phone number (broadcast messages them by it), so a
+    // sender whose LID can't be mapped to one isn't recorded
+    if (ctx.senderNumber) {
+        db.users.update(ctx.senderNumber, user => ({
+            ...user,
+            jid: ctx.sender,
+            name: ctx.pushName || user.name || null,
+            firstSeen: user.firstSeen || now,
+            lastSeen: now,
+            commandCount: (user.commandCount || 0) + 1
+        }));
+    }
+
+    if (ctx.isGroup) {
+        db.groups.update(ctx.from, group => ({
+            ...group,
+            subject: ctx.groupName,
+            firstSeen: group.firstSeen || now,
+            lastSeen: now,
+            commandCount: (group.commandCount || 0) + 1
+        }));
+    }
+}
+
+/**
+ * Run a heavy command through the job queue. The user gets a status
+ * message with their queue position, which the command can keep editing
+ * with `context.job.update(text)`.
+ * @param {Object} ctx - Command context
+ * @param {Function} execute - Runs the command
+ * @returns {Promise} - Settles when the job finished
+ */
+async function runAsJob(ctx, execute) {
+    const { sock, from, msg, t } = ctx;
+    const label = `${ctx.prefix}${ctx.command.name}`;
+    const showStatus = createStatusMessage(sock, from, msg);
+    let updatedByCommand = false;
+
+    let job;
+    try {
+        job = jobQueue.add({
+            userId: ctx.sender,
+            chatId: from,
+            label,
+            run: () => execute(),
+            onUpdate: current => {
+                switch (current.status) {
+                    case "queued":
+                        return showStatus(
+                            t("job.queued", {
+                                label,
+                                position: current.position
+                            })
+                        );
+                    case "running":
+                    case "cancelled":
+                    case "failed":
+                        return showStatus(t(`job.${current.status}`, { label }));
+                    case "done":
+                        if (!updatedByCommand) {
+                            return showStatus(t("job.done", { label }));
+                        }
+                }
+            }
+        });
+    } catch (err) {
+        if (err instanceof JobQueueError) {
+            // Counts as a failed download in /stats
+            ctx.state.failure = err;
+            await ctx.reply(t(`job.errors.${err.code}`, err.data));
+            return;
+        }
+        throw err;
+    }
+
+    ctx.job = {
+        id: job.id,
+        signal: job.signal,
+        update: text => {
+            updatedByCommand = true;
+            return showStatus(text);
+        }
+    };
+
+    await job.done;
+}
+
+/**
+ * Get a personal setting of a sender in a chat. What the user set in their
+ * own private chat (e.g. with /language) wins over the chat's setting.
+ * @param {String} chatId - The chat JID
+ * @param {Object} sender - Resolved sender ({ jid, number, lid })
+ * @param {String} key - Setting name (language, timezone)
+ * @returns {*}
+ */
+function getUserSetting(chatId, sender, key) {
+    const userChat = toUserJid(sender?.number);
+    return (
+        (userChat && chatSettings.getOverrides(userChat)[key]) ||
+        chatSettings.get(chatId)[key]
+    );
+}
+
+/**
+ * Get the reply translator for a sender in a chat
+ * @param {String} chatId - The chat JID
+ * @param {Object} sender - Resolved sender ({ jid, number, lid })
+ * @returns {Function} - t(key, vars), see utils/i18n.js
+ */
+function getTranslator(chatId, sender) {
+    return i18n.translator(getUserSetting(chatId, sender, "language"));
+}
+
+/**
+ * Run a command through the anti-spam guard and tell the sender when they
+ * get warned, ignored or blocked (once per state, not for every message)
+ * @returns {Promise<Boolean>} - false if the command should be dropped
+ */
+async function checkFlood(sock, msg, info) {
+    const { from, isGroup } = info;
+    if (!floodGuard.enabled || msg.key.fromMe) return true;
+
+    const groupMetadata = isGroup ? await getGroupMetadata(sock, from) : null;
+    const sender = resolveSender(sock, msg, groupMetadata);
+
+    // Owners and bot admins aren't limited; blocked users are dropped later
+    if (getRole(sender.number) !== "user") return true;
+    if (!checkAccess(sender.number, { blocklist }).allowed) return true;
+
+    const verdict = floodGuard.hit({
+        userId: sender.number || sender.jid,
+        chatId: from
+    });
+    if (verdict.action === "allow") return true;
+
+    if (verdict.notify) {
+        const t = getTranslator(from, sender);
+        AzusaLog.log({
+            type: "warning",
+            message: `Anti-spam: ${verdict.action} ${chalk.yellow(
+                sender.number || sender.jid
+            )} in ${from}`
+        });
+
+        const key = {
+            warn: "antiSpam.warn",
+            ignore: "antiSpam.ignore",
+            block: "antiSpam.block",
+            "chat-paused": "antiSpam.chatPaused"
+        }[verdict.action];
+        const text = t(key, {
+            remaining: formatRemaining(verdict.until - Date.now())
+        });
+
+        await sock.sendMessage(from, { text }, { quoted: msg });
+    }
+
+    // A warning still lets this command through
+    return verdict.action === "warn";
+}
+
+/**
+ * Detect TikTok/Instagram/YouTube links in chats that opted in, and
+ * download them (or offer to) without a command prefix
+ */
+async function handleAutoDownload(sock, msg, info) {
+    const autoConfig = config.autoDownload || {};
+    const { body, from, isGroup, settings } = info;
+
+    if (!autoConfig.enabled || msg.key.fromMe) return;
+    if (!settings.autoDownload) return;
+
+    // Leave messages that also carry a command to the command handler
+    if (containsPrefixedCommand(body, settings.prefixes, commands)) {
+        return;
+    }
+
+    const link = detectLinks(body).find(entry => commands.has(entry.command));
+    if (!link) return;
+
+    const groupMetadata = isGroup ? await getGroupMetadata(sock, from) : null;
+    const sender = resolveSender(sock, msg, groupMetadata);
+    if (!checkAccess(sender.number, { blocklist }).allowed) return;
+
+    // Rate limit per chat so a burst of links doesn't flood the group
+    if (autoDownloadCache.has(from)) return;
+    autoDownloadCache.set(from, true, autoConfig.cooldown ?? 30);
+
+    const prefix = settings.prefixes[0];
+
+    if (settings.autoDownloadMode === "download") {
+        await dispatchCommand(sock, msg, info, {
+            prefix,
+            input: `${link.command} ${link.url}`,
+            trigger: "auto"
+        });
+        return;
+    }
+
+    const t = getTranslator(from, sender);
+    await sock.sendMessage(
+        from,
+        {
+            text: t("autoDownload.offer", {
+                label: link.label,
+                url: link.url,
+                command: `${prefix}${link.command}`
+            })
+        },
+        { quoted: msg }
+    );
+}
+
+/**
+ * Reply with the closest matching commands when a prefixed command is unknown
+ */
+async function handleUnknownCommand(sock, msg, info, { prefix, command }) {
+    const suggestConfig = config.command.suggestions || {};
+    const { from, isGroup, settings } = info;
+
+    if (suggestConfig.enabled === false || msg.key.fromMe) return;
+    // Ignore things like "..." or "/ hello" that aren't command attempts
+    if (!/^[a-z0-9]+$/.test(command)) return;
+
+    // Throttle per chat, other bots in the group may share our prefixes
+    if (suggestionCache.has(from)) return;
+
+    const groupMetadata = isGroup ? await getGroupMetadata(sock, from) : null;
+    const sender = resolveSender(sock, msg, groupMetadata);
+    if (!checkAccess(sender.number, { blocklist }).allowed) return;
+    const role = getChatRole(sender, { isGroup, groupMetadata });
+
+    // Only suggest commands the sender can actually run here
+    const candidates = [...commands.entries()]
+        .filter(
+            ([, commandFile]) =>
+                !settings.disabledCommands.includes(commandFile.name) &&
+                hasPermission(role, commandFile.permission || "user")
+        )
+        .map(([name]) => name);
+
+    const matches = findClosest(command, candidates, {
+        maxDistance: suggestConfig.maxDistance ?? 2
+    });
+    if (!matches.length) return;
+
+    // Aliases of the same command collapse into one suggestion
+    const suggestions = [
+        ...new Set(matches.map(match => commands.get(match.name)))
+    ];
+
+    suggestionCache.set(from, true, suggestConfig.cooldown ?? 60);
+
+    const t = getTranslator(from, sender);
+    let text = `${t("unknownCommand.title", {
+        command: `${prefix}${command}`
+    })}\n\n`;
+    text += suggestions
+        .map(
+            commandFile =>
+                `• *${prefix}${commandFile.name}* - ${getDescription(
+                    commandFile,
+                    t
+                )}\n   _${formatUsage(commandFile, prefix)}_`
+        )
+        .join("\n");
+
+    await sock.sendMessage(from, { text }, { quoted: msg });
+}
+
+/**
+ * Context shared by all event plugin handlers
+ * @param {Object} sock - The WhatsApp socket instance
+ * @returns {Object}
+ */
+function getEventContext(sock) {
+    return {
+        AzusaLog,
+        store,
+        config,
+        chatSettings,
+        db,
+        commands,
+        sock,
+        getGroupMetadata: jid => getGroupMetadata(sock, jid)
+    };
+}
+
+/**
+ * Hand a message to the `message` handlers of the event plugins
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Object} msg - The message object
+ * @param {Object} info - Info from extractMessageInfo, with chat settings
+ * @param {Function} filter - Which plugins to call
+ * @returns {Boolean} - false if a plugin stopped further handling
+ */
+async function emitMessage(sock, msg, info, filter) {
+    // Reactions and deletions have their own events
+    if (["reactionMessage", "protocolMessage"].includes(info.type)) return true;
+    if (!eventPlugins.has("message", filter)) return true;
+
+    const { from, isGroup } = info;
+    const groupMetadata = isGroup ? await getGroupMetadata(sock, from) : null;
+    const sender = resolveSender(sock, msg, groupMetadata);
+    const role = getChatRole(sender, { isGroup, groupMetadata });
+
+    const ctx = {
+        ...getEventContext(sock),
+        ...info,
+        msg,
+        groupMetadata,
+        sender: sender.jid,
+        senderNumber: sender.number,
+        role,
+        isAdmin: hasPermission(role, "admin"),
+        t: getTranslator(from, sender),
+        reply: text => sock.sendMessage(from, { text }, { quoted: msg })
+    };
+    return eventPlugins.emit("message", msg, ctx, filter);
+}
+
+/**
+ * Hand each item of a Baileys event to the event plugins
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {String} event - Event name
+ * @param {Array|Object} items - Event payload (one item or a list)
+ */
+async function emitPluginEvent(sock, event, items) {
+    if (!eventPlugins.has(event)) return;
+
+    const ctx = getEventContext(sock);
+    for (const item of Array.isArray(items) ? items : [items]) {
+        await eventPlugins.emit(event, item, ctx);
+    }
+}
+
 /**
  * Process incoming messages
  */
@@ -344,76 +1028,65 @@ async function handleIncomingMessage(sock, msg, chatUpdate) {
 
         await sock.readMessages([msg.key]);
 
-        const { body, from, pushName, isGroup, type } = extractMessageInfo(
-            sock,
-            msg
-        );
+        const info = extractMessageInfo(sock, msg);
+        const { body, from } = info;
 
-        if (!body || !from) {
+        if (!from) {
             return; // Skip processing if essential data is missing
         }
 
+        // Per-chat settings decide prefixes and which commands are available
+        const settings = chatSettings.get(from);
+        info.settings = settings;
+
+        // Moderation plugins (anti-link) see every group message, prefixed
+        // ones included, so a prefix can't be used to get around them
+        const isModeration = plugin => info.isGroup && plugin.moderation;
+        if (!(await emitMessage(sock, msg, info, isModeration))) return;
+
         // Process command
-        const prefixes = config.command.prefixes;
-        const usedPrefix = prefixes.find(p => body.startsWith(p));
+        const usedPrefix =
+            body && settings.prefixes.find(p => body.startsWith(p));
 
         if (usedPrefix) {
-            const args = body.slice(usedPrefix.length).trim().split(/ +/);
-            const command = args.shift()?.toLowerCase();
-
-            if (command && commands.has(command)) {
-                let groupName = "";
-                if (isGroup) {
-                    try {
-                        const meta = await sock.groupMetadata(from);
-                        groupName = meta.subject || "Unknown Group";
-                    } catch {
-                        groupName = "Unknown Group";
-                    }
-                }
+            const input = body.slice(usedPrefix.length).trim();
+            const command = input.split(/ +/)[0]?.toLowerCase();
+            const commandFile = command && commands.get(command);
 
-                // Tentukan konteks chat
-                const chatContext = isGroup ? groupName : "Private Chat";
-
-                // Log dengan format baru
+            if (
+                commandFile &&
+                settings.disabledCommands.includes(commandFile.name)
+            ) {
                 AzusaLog.log({
-                    type: "success",
-                    message: `${chalk.green(command)} from ${chalk.yellow(
-                        pushName
-                    )} in ${chalk.blueBright(chatContext)}`
+                    type: "info",
+                    message: `Skipped ${chalk.green(
+                        command
+                    )}: disabled in ${from}`
                 });
-                const commandFile = commands.get(command);
-                try {
-                    await commandFile.execute(sock, msg, args, {
-                        AzusaLog,
-                        store,
-                        from,
-                        isGroup,
-                        pushName,
-                        type
-                    });
-                } catch (err) {
-                    AzusaLog.handleError(
-                        err,
-                        `Error executing command ${command}`
-                    );
+                return;
+            }
 
-                    // Send error message to user
-                    try {
-                        await sock.sendMessage(from, {
-                            text: `Error executing command: ${
-                                err.message || "Unknown error"
-                            }`
-                        });
-                    } catch (sendErr) {
-                        AzusaLog.handleError(
-                            sendErr,
-                            "Failed to send error message"
-                        );
-                    }
-                }
+            if (commandFile && !(await checkFlood(sock, msg, info))) return;
+
+            if (commandFile) {
+                await dispatchCommand(sock, msg, info, {
+                    prefix: usedPrefix,
+                    input
+                });
+            } else if (command) {
+                await handleUnknownCommand(sock, msg, info, {
+                    prefix: usedPrefix,
+                    command
+                });
             }
+            return;
         }
+
+        // Event plugins see plain messages first and can stop the rest
+        const isOther = plugin => !isModeration(plugin);
+        if (!(await emitMessage(sock, msg, info, isOther))) return;
+
+        if (body) await handleAutoDownload(sock, msg, info);
     } catch (err) {
         AzusaLog.handleError(err, "Error processing message");
     }
@@ -483,6 +1156,9 @@ async function handleConnectionUpdate(sock, update) {
                 message: `Connection closed. Status: ${statusCode}. Reason: ${reason}`
             });
 
+            // Jobs wait for the reconnect (see the misfire policy)
+            scheduler.pause();
+
             // Handle permanent disconnection scenarios
             if (
                 statusCode === DisconnectReason.loggedOut ||
@@ -559,6 +1235,9 @@ async function handleConnectionUpdate(sock, update) {
             // Reset reconnection counter on successful connection
             reconnectAttempts = 0;
 
+            // Run scheduled jobs that came due while disconnected
+            scheduler.resume();
+
             AzusaLog.log({
                 type: "success",
                 message: "Bot successfully connected to WhatsApp."
@@ -747,6 +1426,7 @@ async function connectToWhatsApp() {
                 }
             }
         });
+        currentSock = sock;
 
         // Handle authentication with pairing code if needed
         if (!sock.authState.creds.registered) {
@@ -767,6 +1447,21 @@ async function connectToWhatsApp() {
                 }
             }
 
+            // Events only handled by event plugins
+            // (before messages.upsert, which may return early)
+            for (const event of [
+                "messages.update",
+                "messages.reaction",
+                "call"
+            ]) {
+                if (!events[event]) continue;
+                try {
+                    await emitPluginEvent(sock, event, events[event]);
+                } catch (err) {
+                    AzusaLog.handleError(err, `Error in ${event} handler`);
+                }
+            }
+
             // Messages upsert event
             if (events["messages.upsert"]) {
                 try {
@@ -825,6 +1520,11 @@ async function connectToWhatsApp() {
                     const event = events["group-participants.update"];
                     if (!event) return;
                     await handleGroupParticipantUpdate(sock, event);
+                    await emitPluginEvent(
+                        sock,
+                        "group-participants.update",
+                        event
+                    );
                 } catch (err) {
                     AzusaLog.handleError(
                         err,
@@ -868,6 +1568,9 @@ process.on("SIGINT", async () => {
         AzusaLog.handleError(err, "Error saving store during shutdown");
     }
 
+    // Write pending database changes
+    db.flush();
+
     process.exit(0);
 });
 
@@ -887,6 +1590,9 @@ process.on("SIGTERM", async () => {
         AzusaLog.handleError(err, "Error saving store during shutdown");
     }
 
+    // Write pending database changes
+    db.flush();
+
     process.exit(0);
 });
 
@@ -927,8 +1633,9 @@ function setupHotReload() {
                 message: "Main file updated. Restarting..."
             });
 
-            // Save store before exit
+            // Save store and database before exit
             store.writeToFile("./store.json");
+            db.flush();
 
             process.exit(0);
         });
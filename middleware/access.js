@@ -0,0 +1,61 @@
+/**
+ * access - Applies config.security rules and the command's declared permission
+ */
+import chalk from "chalk";
+import { checkAccess, hasPermission } from "../utils/permissions.js";
+
+const middleware = {
+    name: "access",
+    priority: 10,
+
+    /**
+     * Stop the command when the sender is blocked, not whitelisted or lacks
+     * permission, or when a group-only command is used in a private chat
+     * @param {Object} ctx - Middleware context
+     * @returns {Promise<Boolean|undefined>} - False to stop the chain
+     */
+    async before(ctx) {
+        const {
+            AzusaLog,
+            command,
+            commandName,
+            senderNumber,
+            sender,
+            role,
+            blocklist,
+            t
+        } = ctx;
+
+        const access = checkAccess(senderNumber, { blocklist });
+        if (!access.allowed) {
+            AzusaLog.log({
+                type: "warning",
+                message: `Ignored ${chalk.green(commandName)} from ${chalk.yellow(
+                    senderNumber || sender
+                )} (${access.reason})`
+            });
+            return false;
+        }
+
+        const requiredPermission = command.permission || "user";
+        if (!hasPermission(role, requiredPermission)) {
+            AzusaLog.log({
+                type: "warning",
+                message: `Denied ${chalk.green(commandName)} for ${chalk.yellow(
+                    senderNumber
+                )} (requires ${requiredPermission})`
+            });
+            await ctx.reply(
+                t("access.denied", { permission: requiredPermission })
+            );
+            return false;
+        }
+
+        if (command.groupOnly && !ctx.isGroup) {
+            await ctx.reply(t("access.groupOnly"));
+            return false;
+        }
+    }
+};
+
+export default middleware;
@@ -0,0 +1,52 @@
+/**
+ * args - Parses and validates arguments for commands that declare an `args` schema
+ */
+import MessageHelper from "../utils/messageHelper.js";
+import { parseArgs, formatUsage } from "../utils/argParser.js";
+
+const middleware = {
+    name: "args",
+    // After access checks but before cooldowns, so a typo doesn't cost a cooldown
+    priority: 20,
+
+    /**
+     * Fill ctx.params or reply with the validation errors and usage
+     * @param {Object} ctx - Middleware context
+     * @returns {Promise<Boolean|undefined>} - False to stop the chain
+     */
+    async before(ctx) {
+        const { command, msg, rawArgs, prefix, t } = ctx;
+        if (!command.args) return;
+
+        const { params, errors } = parseArgs(rawArgs, command.args, {
+            mentions: MessageHelper.getMentionedJids(msg)
+        });
+
+        if (errors.length) {
+            const lines = errors.map(error => `❌ ${formatError(error, t)}`);
+            await ctx.reply(
+                `${lines.join("\n")}\n\n${t("common.usage", {
+                    usage: formatUsage(command, prefix)
+                })}`
+            );
+            return false;
+        }
+
+        ctx.params = params;
+    }
+};
+
+/**
+ * Translate a parse error from parseArgs
+ * @param {Object} error - { code, ...data }, with `reason` for invalid values
+ * @param {Function} t - Translator of the chat
+ * @returns {String}
+ */
+function formatError(error, t) {
+    const reason = error.reason
+        ? t(`args.reasons.${error.reason.code}`, error.reason)
+        : undefined;
+    return t(`args.errors.${error.code}`, { ...error, reason });
+}
+
+export default middleware;
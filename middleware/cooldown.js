@@ -0,0 +1,57 @@
+/**
+ * cooldown - Enforces the `cooldown` declared by commands
+ */
+import { formatRemaining } from "../utils/cooldown.js";
+import { hasPermission } from "../utils/permissions.js";
+
+const middleware = {
+    name: "cooldown",
+    priority: 30,
+
+    /**
+     * Stop the command while the sender is cooling down, otherwise start a new cooldown
+     * @param {Object} ctx - Middleware context
+     * @returns {Promise<Boolean|undefined>} - False to stop the chain
+     */
+    async before(ctx) {
+        const {
+            cooldowns,
+            command,
+            sender,
+            senderNumber,
+            from,
+            prefix,
+            role,
+            config,
+            t
+        } = ctx;
+
+        // Owners/admins can be exempt
+        const exempt =
+            hasPermission(role, "admin") &&
+            config.command.cooldown?.exemptAdmins !== false;
+        if (exempt) return;
+
+        // Senders whose LID has no known number get their own bucket
+        // instead of sharing the one keyed on ""
+        const userId = senderNumber || sender;
+        const cooldown = cooldowns.check(command, userId, from);
+        if (cooldown.remaining > 0) {
+            // Only remind once per cooldown window
+            if (!cooldown.notified) {
+                cooldowns.markNotified(command, userId, from);
+                await ctx.reply(
+                    t("cooldown.wait", {
+                        remaining: formatRemaining(cooldown.remaining),
+                        command: `${prefix}${command.name}`
+                    })
+                );
+            }
+            return false;
+        }
+
+        cooldowns.hit(command, userId, from);
+    }
+};
+
+export default middleware;
@@ -0,0 +1,35 @@
+/**
+ * errorReply - Logs command errors and tells the user something went wrong
+ */
+
+const middleware = {
+    name: "errorReply",
+    // Run last so custom error formatters get the first chance to handle errors
+    priority: 1000,
+
+    /**
+     * Log the error and send it back to the chat
+     * @param {Object} ctx - Middleware context
+     * @param {Error} err - The error thrown by the command or a before hook
+     * @returns {Promise<Boolean>} - True to mark the error as handled
+     */
+    async onError(ctx, err) {
+        const { AzusaLog, sock, from, commandName, t } = ctx;
+
+        AzusaLog.handleError(err, `Error executing command ${commandName}`);
+
+        try {
+            await sock.sendMessage(from, {
+                text: t("errorReply.failed", {
+                    error: err.message || t("errorReply.unknown")
+                })
+            });
+        } catch (sendErr) {
+            AzusaLog.handleError(sendErr, "Failed to send error message");
+        }
+
+        return true;
+    }
+};
+
+export default middleware;
@@ -0,0 +1,29 @@
+/**
+ * logger - Logs every command that passed the access checks
+ */
+import chalk from "chalk";
+
+const middleware = {
+    name: "logger",
+    priority: 50,
+
+    /**
+     * Log the command, sender and chat
+     * @param {Object} ctx - Middleware context
+     */
+    async before(ctx) {
+        const { AzusaLog, commandName, pushName, isGroup, groupName } = ctx;
+
+        // Tentukan konteks chat
+        const chatContext = isGroup ? groupName : "Private Chat";
+
+        AzusaLog.log({
+            type: "success",
+            message: `${chalk.green(commandName)} from ${chalk.yellow(
+                pushName
+            )} in ${chalk.blueBright(chatContext)}`
+        });
+    }
+};
+
+export default middleware;
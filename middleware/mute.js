@@ -0,0 +1,35 @@
+/**
+ * mute - Ignores commands of members muted in a group (see /warn and /unmute)
+ */
+import chalk from "chalk";
+import { getMute } from "../utils/moderation.js";
+import { hasPermission } from "../utils/permissions.js";
+
+const middleware = {
+    name: "mute",
+    priority: 15,
+
+    /**
+     * Silently stop the command when the sender is muted in this group
+     * @param {Object} ctx - Middleware context
+     * @returns {Promise<Boolean|undefined>} - False to stop the chain
+     */
+    async before(ctx) {
+        const { AzusaLog, db, from, isGroup, commandName, senderNumber, role } =
+            ctx;
+
+        // Group admins can't be muted, even if they were before a promotion
+        if (!isGroup || hasPermission(role, "chatAdmin")) return;
+        if (!getMute(db.groups, from, senderNumber)) return;
+
+        AzusaLog.log({
+            type: "info",
+            message: `Ignored ${chalk.green(commandName)} from ${chalk.yellow(
+                senderNumber
+            )} (muted)`
+        });
+        return false;
+    }
+};
+
+export default middleware;
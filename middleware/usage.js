@@ -0,0 +1,62 @@
+/**
+ * usage - Records every command that passed the checks for /stats
+ */
+
+const middleware = {
+    name: "usage",
+    // After access, args and cooldown: rejected attempts aren't usage
+    priority: 60,
+
+    /**
+     * Remember when the command started
+     * @param {Object} ctx - Middleware context
+     */
+    async before(ctx) {
+        ctx.state.usageStartedAt = Date.now();
+    },
+
+    /**
+     * Record a finished command. Commands that handle their own errors
+     * report them with ctx.state.failure.
+     * @param {Object} ctx - Middleware context
+     */
+    async after(ctx) {
+        record(ctx, ctx.state.failure || null);
+    },
+
+    /**
+     * Record a command that threw (the error is left to errorReply)
+     * @param {Object} ctx - Middleware context
+     * @param {Error} err - The error
+     */
+    async onError(ctx, err) {
+        // Thrown by a before hook that ran before ours
+        if (!ctx.state.usageStartedAt) return;
+        record(ctx, err);
+    }
+};
+
+/**
+ * Add the invocation to the usage stats
+ * @param {Object} ctx - Middleware context
+ * @param {Error|null} error - Why the command failed
+ */
+function record(ctx, error) {
+    const { usageStats, command, from, isGroup, groupName, senderNumber, pushName } =
+        ctx;
+    const startedAt = ctx.state.usageStartedAt;
+
+    usageStats.record({
+        command: command.name,
+        chatId: from,
+        isGroup,
+        groupName,
+        userId: senderNumber,
+        userName: pushName,
+        durationMs: Date.now() - startedAt,
+        error,
+        timestamp: startedAt
+    });
+}
+
+export default middleware;
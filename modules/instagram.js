@@ -0,0 +1,68 @@
+/**
+ * Instagram URL helpers
+ *
+ * Shared by the ig command and the automatic link detector.
+ */
+import { urlSegmentToInstagramId } from "instagram-id-to-url-segment";
+import { Logger } from "../utils/AzusaLogger.js";
+
+// Initialize logger
+const AzusaLog = new Logger();
+
+// Utilitas untuk URL dan shortcode Instagram
+export class InstagramUrlParser {
+    static getShortcode(url) {
+        try {
+            if (
+                !url ||
+                typeof url !== "string" ||
+                !url.includes("instagram.com")
+            ) {
+                return null;
+            }
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch {
+                // Coba tambahkan protokol jika tidak ada
+                if (!url.startsWith("http")) {
+                    try {
+                        parsedUrl = new URL(`https://${url}`);
+                    } catch {
+                        return null;
+                    }
+                } else {
+                    return null;
+                }
+            }
+            const pathname = parsedUrl.pathname;
+            const patterns = [
+                /\/(p|reel|tv)\/([a-zA-Z0-9_-]+)/,
+                /\/[^\/]+\/(reel|p|tv)\/([a-zA-Z0-9_-]+)/
+            ];
+            for (const pattern of patterns) {
+                const match = pathname.match(pattern);
+                if (match) {
+                    return match[2];
+                }
+            }
+            return null;
+        } catch (error) {
+            AzusaLog.handleError(error, "Gagal mengurai URL Instagram");
+            return null;
+        }
+    }
+    static shortcodeToMediaId(shortcode) {
+        try {
+            return urlSegmentToInstagramId(shortcode);
+        } catch (error) {
+            AzusaLog.handleError(
+                error,
+                "Gagal mengonversi shortcode ke media ID"
+            );
+
+            return null;
+        }
+    }
+}
+
@@ -0,0 +1,33 @@
+/**
+ * YouTube URL helpers
+ *
+ * Shared by the youtube/ytmp3 commands and the automatic link detector.
+ */
+
+/**
+ * Validates a YouTube URL
+ */
+export const isValidYoutubeUrl = url => {
+    const YT_REGEX =
+        /^https?:\/\/(?:www\.)?(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/).+/;
+    return url && typeof url === "string" && YT_REGEX.test(url);
+};
+
+/**
+ * Extracts video ID from YouTube URL
+ */
+export const extractVideoId = url => {
+    try {
+        const urlObj = new URL(url);
+        if (url.includes("youtu.be")) {
+            return urlObj.pathname.slice(1);
+        } else if (url.includes("youtube.com/watch")) {
+            return urlObj.searchParams.get("v");
+        } else if (url.includes("youtube.com/shorts")) {
+            return urlObj.pathname.split("/").pop();
+        }
+    } catch (error) {
+        return null;
+    }
+    return null;
+};
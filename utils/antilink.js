@@ -0,0 +1,100 @@
+/**
+ * Link detection and warning counts for the anti-link group moderation
+ * (commands/plugins/antilink.js). Warnings are kept per group in the
+ * groups collection of the database.
+ */
+
+// chat.whatsapp.com/AbCdEf... with or without https://
+const INVITE_PATTERN =
+    /(?:https?:\/\/)?chat\.whatsapp\.com\/(?:invite\/)?[a-z0-9]{10,}/gi;
+
+// http(s)://... and www.... links
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+
+/**
+ * Find links a group doesn't allow
+ * @param {String} text - Message text or caption
+ * @param {Object} options
+ * @param {String} options.mode - "invite" (WhatsApp group invites only) or "all"
+ * @param {Array<String>} options.whitelist - Allowed domains, e.g. ["tiktok.com"]
+ * @returns {Array<Object>} - [{ url, invite }]
+ */
+export function findForbiddenLinks(text, { mode, whitelist = [] }) {
+    if (!text || mode === "off") return [];
+
+    // Invites are never whitelisted, they are what anti-link is for
+    const invites = (text.match(INVITE_PATTERN) || []).map(url => ({
+        url,
+        invite: true
+    }));
+    if (mode !== "all") return invites;
+
+    const others = (text.match(URL_PATTERN) || [])
+        .filter(url => !/chat\.whatsapp\.com\//i.test(url))
+        .filter(url => !isWhitelisted(url, whitelist))
+        .map(url => ({ url, invite: false }));
+    return [...invites, ...others];
+}
+
+/**
+ * Check whether a link points to an allowed domain or one of its subdomains
+ * @param {String} url - The link
+ * @param {Array<String>} whitelist - Allowed domains
+ * @returns {Boolean}
+ */
+export function isWhitelisted(url, whitelist) {
+    const host = hostOf(url);
+    if (!host) return false;
+    return whitelist.some(
+        domain => host === domain || host.endsWith(`.${domain}`)
+    );
+}
+
+/**
+ * @param {String} url - A link, with or without scheme
+ * @returns {String|null} - Lowercase host name without "www."
+ */
+export function hostOf(url) {
+    const withScheme = /^[a-z]+:\/\//i.test(url) ? url : `https://${url}`;
+    try {
+        const { hostname } = new URL(withScheme);
+        return hostname.toLowerCase().replace(/^www\./, "");
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Count an anti-link warning for a member
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @returns {Number} - Warnings the member has now
+ */
+export function addWarning(groups, groupId, number) {
+    const group = groups.update(groupId, current => ({
+        ...current,
+        antilinkWarnings: {
+            ...current.antilinkWarnings,
+            [number]: (current.antilinkWarnings?.[number] || 0) + 1
+        }
+    }));
+    return group.antilinkWarnings[number];
+}
+
+/**
+ * Forget a member's anti-link warnings
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number (all members if omitted)
+ */
+export function clearWarnings(groups, groupId, number = null) {
+    groups.update(groupId, current => {
+        const antilinkWarnings = { ...current.antilinkWarnings };
+        if (number) delete antilinkWarnings[number];
+        return {
+            ...current,
+            antilinkWarnings: number ? antilinkWarnings : {}
+        };
+    });
+}
@@ -0,0 +1,345 @@
+/**
+ * Declarative argument parsing for commands.
+ *
+ * A command can declare an `args` schema:
+ *
+ *   args: {
+ *       positional: [
+ *           { name: "url", type: "url", required: true, description: "Video link" },
+ *           { name: "text", type: "string", rest: true }
+ *       ],
+ *       flags: {
+ *           quality: { type: "string", alias: "q", choices: ["low", "high"], default: "low" },
+ *           audio: { type: "boolean" }
+ *       }
+ *   }
+ *
+ * Supported types: string, number, integer, boolean (flags only), url,
+ * duration (parsed to seconds) and mention (parsed to a user JID).
+ */
+
+export const ARG_TYPES = [
+    "string",
+    "number",
+    "integer",
+    "boolean",
+    "url",
+    "duration",
+    "mention"
+];
+
+/**
+ * Split raw argument text into tokens, keeping quoted strings together
+ * @param {String} input - Raw argument text
+ * @returns {Array<String>} - Tokens
+ */
+export function tokenize(input) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|“([^”]*)”|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input || "")) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3] ?? match[4]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a duration like "90", "90s", "5m", "1h30m" or "1:30" into seconds
+ * @param {String} value - Duration text
+ * @returns {Number|null} - Seconds, or null when invalid
+ */
+export function parseDuration(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+        return value
+            .split(":")
+            .map(Number)
+            .reduce((total, part) => total * 60 + part, 0);
+    }
+
+    const units = { d: 86400, h: 3600, m: 60, s: 1 };
+    const pattern = /(\d+)\s*([dhms])/gi;
+    if (!/^(\d+\s*[dhms]\s*)+$/i.test(value)) return null;
+
+    let seconds = 0;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        seconds += Number(match[1]) * units[match[2].toLowerCase()];
+    }
+    return seconds;
+}
+
+/**
+ * Convert a single token to the declared type
+ * @param {String} value - Raw token
+ * @param {Object} spec - Argument spec
+ * @param {Object} options - { mentions: Array of mentioned JIDs }
+ * @returns {Object} - { value } or { error: { code, ...data } }
+ */
+function convert(value, spec, { mentions = [] } = {}) {
+    const type = spec.type || "string";
+    let result = value;
+
+    switch (type) {
+        case "number":
+        case "integer": {
+            result = Number(value);
+            if (
+                value === "" ||
+                Number.isNaN(result) ||
+                (type === "integer" && !Number.isInteger(result))
+            ) {
+                return {
+                    error: { code: type === "integer" ? "notInteger" : "notNumber" }
+                };
+            }
+            if (spec.min !== undefined && result < spec.min) {
+                return { error: { code: "tooSmall", min: spec.min } };
+            }
+            if (spec.max !== undefined && result > spec.max) {
+                return { error: { code: "tooLarge", max: spec.max } };
+            }
+            break;
+        }
+        case "boolean": {
+            const normalized = value.toLowerCase();
+            if (["true", "yes", "on", "1"].includes(normalized)) result = true;
+            else if (["false", "no", "off", "0"].includes(normalized)) result = false;
+            else return { error: { code: "notBoolean" } };
+            break;
+        }
+        case "url": {
+            try {
+                const url = new URL(value);
+                if (!["http:", "https:"].includes(url.protocol)) {
+                    return { error: { code: "notHttp" } };
+                }
+            } catch {
+                return { error: { code: "notUrl" } };
+            }
+            break;
+        }
+        case "duration": {
+            result = parseDuration(value);
+            if (result === null) {
+                return { error: { code: "notDuration" } };
+            }
+            break;
+        }
+        case "mention": {
+            const number = value.replace(/^@/, "").replace(/[^0-9]/g, "");
+            if (!number) return { error: { code: "notMention" } };
+            result =
+                mentions.find(jid => jid.split("@")[0].split(":")[0] === number) ||
+                `${number}@s.whatsapp.net`;
+            break;
+        }
+        default:
+            break;
+    }
+
+    if (spec.choices && !spec.choices.includes(result)) {
+        return {
+            error: { code: "notChoice", choices: spec.choices.join(", ") }
+        };
+    }
+
+    return { value: result };
+}
+
+/**
+ * Parse raw argument text against a command's args schema
+ * @param {String} input - Raw argument text (everything after the command name)
+ * @param {Object} schema - The command's args schema
+ * @param {Object} options - { mentions: Array of mentioned JIDs }
+ * @returns {Object} - { params, errors }; each error is { code, ...data } and
+ * invalid values carry the conversion error as `reason`, so callers can
+ * translate them (see middleware/args.js)
+ */
+export function parseArgs(input, schema = {}, options = {}) {
+    const positionalSpecs = schema.positional || [];
+    const flagSpecs = schema.flags || {};
+    const params = {};
+    const errors = [];
+    const positionals = [];
+
+    // Map aliases (-q) to flag names (quality)
+    const aliases = {};
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        if (spec.alias) aliases[spec.alias] = name;
+    }
+
+    const tokens = tokenize(input);
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const flagMatch = token.match(/^--?([a-zA-Z][\w-]*)(?:=(.*))?$/);
+
+        if (!flagMatch) {
+            positionals.push(token);
+            continue;
+        }
+
+        let [, rawName, inlineValue] = flagMatch;
+        let negated = false;
+        if (!flagSpecs[rawName] && !aliases[rawName] && rawName.startsWith("no-")) {
+            rawName = rawName.slice(3);
+            negated = true;
+        }
+
+        const name = flagSpecs[rawName] ? rawName : aliases[rawName];
+        if (!name) {
+            errors.push({ code: "unknownOption", option: token });
+            continue;
+        }
+
+        const spec = flagSpecs[name];
+        if ((spec.type || "string") === "boolean" && inlineValue === undefined) {
+            params[name] = !negated;
+            continue;
+        }
+
+        const value = inlineValue ?? tokens[++i];
+        if (value === undefined) {
+            errors.push({ code: "needsValue", name });
+            continue;
+        }
+
+        const converted = convert(value, spec, options);
+        if (converted.error) {
+            errors.push({
+                code: "invalidOption",
+                name,
+                reason: converted.error
+            });
+        } else {
+            params[name] = converted.value;
+        }
+    }
+
+    positionalSpecs.forEach((spec, index) => {
+        let value = positionals[index];
+        if (spec.rest) {
+            const rest = positionals.slice(index);
+            value = rest.length ? rest.join(" ") : undefined;
+        }
+
+        if (value === undefined) {
+            if (spec.required) {
+                errors.push({ code: "missingArgument", name: spec.name });
+            } else if (spec.default !== undefined) {
+                params[spec.name] = spec.default;
+            }
+            return;
+        }
+
+        const converted = convert(value, spec, options);
+        if (converted.error) {
+            errors.push({
+                code: "invalidArgument",
+                name: spec.name,
+                reason: converted.error
+            });
+        } else {
+            params[spec.name] = converted.value;
+        }
+    });
+
+    const hasRest = positionalSpecs.some(spec => spec.rest);
+    if (!hasRest && positionals.length > positionalSpecs.length) {
+        errors.push({
+            code: "tooManyArguments",
+            extra: positionals.slice(positionalSpecs.length).join(" ")
+        });
+    }
+
+    for (const [name, spec] of Object.entries(flagSpecs)) {
+        if (params[name] !== undefined) continue;
+        if (spec.required) {
+            errors.push({ code: "missingOption", name });
+        } else if (spec.default !== undefined) {
+            params[name] = spec.default;
+        }
+    }
+
+    return { params, errors };
+}
+
+/**
+ * Generate a usage line from a command's args schema
+ * @param {Object} command - The command module
+ * @param {String} prefix - Prefix to show (default: "/")
+ * @returns {String} - e.g. "/youtube <url> [quality] [--audio]"
+ */
+export function formatUsage(command, prefix = "/") {
+    const schema = command.args;
+    if (!schema) {
+        return command.usage || `${prefix}${command.name}`;
+    }
+
+    const parts = [`${prefix}${command.name}`];
+
+    for (const spec of schema.positional || []) {
+        const label = spec.choices ? spec.choices.join("|") : spec.name;
+        const text = spec.rest ? `${label}...` : label;
+        parts.push(spec.required ? `<${text}>` : `[${text}]`);
+    }
+
+    for (const [name, spec] of Object.entries(schema.flags || {})) {
+        let text = `--${name}`;
+        if ((spec.type || "string") !== "boolean") {
+            text += ` ${spec.choices ? spec.choices.join("|") : spec.type || "value"}`;
+        }
+        parts.push(spec.required ? text : `[${text}]`);
+    }
+
+    return parts.join(" ");
+}
+
+/**
+ * Check that an args schema is well formed
+ * @param {Object} schema - The command's args schema
+ * @returns {Array<String>} - Problems found (empty when valid)
+ */
+export function validateArgsSchema(schema) {
+    const problems = [];
+
+    if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+        return ["args must be an object with positional and/or flags"];
+    }
+
+    const positional = schema.positional || [];
+    if (!Array.isArray(positional)) {
+        problems.push("args.positional must be an array");
+    } else {
+        positional.forEach((spec, index) => {
+            if (!spec?.name) {
+                problems.push(`args.positional[${index}] needs a name`);
+            }
+            if (spec?.type && !ARG_TYPES.includes(spec.type)) {
+                problems.push(`args.positional[${index}] has unknown type "${spec.type}"`);
+            }
+            if (spec?.type === "boolean") {
+                problems.push(`args.positional[${index}] can't be boolean, use a flag`);
+            }
+            if (spec?.rest && index !== positional.length - 1) {
+                problems.push(`args.positional[${index}] uses rest but isn't last`);
+            }
+        });
+    }
+
+    const flags = schema.flags || {};
+    if (typeof flags !== "object" || Array.isArray(flags)) {
+        problems.push("args.flags must be an object");
+    } else {
+        for (const [name, spec] of Object.entries(flags)) {
+            if (spec?.type && !ARG_TYPES.includes(spec.type)) {
+                problems.push(`args.flags.${name} has unknown type "${spec.type}"`);
+            }
+        }
+    }
+
+    return problems;
+}
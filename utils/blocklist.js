@@ -0,0 +1,84 @@
+import { Logger } from "./AzusaLogger.js";
+import { readJson, writeJsonAtomic } from "./jsonFile.js";
+import { normalizeNumber } from "./permissions.js";
+
+const logger = new Logger();
+
+/**
+ * Numbers blocked while the bot runs (e.g. by the anti-spam guard),
+ * stored in a JSON file next to the static config.security.blockedNumbers.
+ */
+export class Blocklist {
+    /**
+     * @param {String} filePath - Path to the blocklist JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.load();
+    }
+
+    load() {
+        try {
+            this.data = readJson(this.filePath, {});
+        } catch (err) {
+            logger.handleError(err, "Failed to read blocklist, starting empty");
+            this.data = {};
+        }
+    }
+
+    save() {
+        try {
+            writeJsonAtomic(this.filePath, this.data);
+        } catch (err) {
+            logger.handleError(err, "Failed to save blocklist");
+        }
+    }
+
+    /**
+     * @param {String} number - Phone number
+     * @returns {Boolean}
+     */
+    has(number) {
+        return !!number && normalizeNumber(number) in this.data;
+    }
+
+    /**
+     * Block a number
+     * @param {String} number - Phone number
+     * @param {Object} details
+     * @param {String} details.reason - Why the number was blocked
+     * @param {String} details.by - Who blocked it ("anti-spam" or a number)
+     * @returns {Object} - The stored entry
+     */
+    add(number, { reason = "", by = "" } = {}) {
+        const entry = { reason, by, blockedAt: Date.now() };
+        this.data[normalizeNumber(number)] = entry;
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Unblock a number
+     * @param {String} number - Phone number
+     * @returns {Boolean} - Whether the number was blocked
+     */
+    remove(number) {
+        const key = normalizeNumber(number);
+        if (!(key in this.data)) return false;
+
+        delete this.data[key];
+        this.save();
+        return true;
+    }
+
+    /**
+     * @returns {Array<Object>} - [{ number, reason, by, blockedAt }]
+     */
+    list() {
+        return Object.entries(this.data).map(([number, entry]) => ({
+            number,
+            ...entry
+        }));
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Sends one message to many chats, one chat at a time with a random pause
+ * in between, so a broadcast doesn't look like a spam burst to WhatsApp.
+ */
+export class Broadcast {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.targets - [{ id, name, skip? }], `skip` is a reason not to send
+     * @param {Function} options.send - async (target) => void, throws when delivery fails
+     * @param {Number} options.minDelay - Shortest pause between two chats (seconds)
+     * @param {Number} options.maxDelay - Longest pause between two chats (seconds)
+     * @param {Number} options.progressEvery - Call onProgress after every N chats
+     * @param {Function} options.onProgress - Called with the current summary
+     */
+    constructor({
+        targets,
+        send,
+        minDelay = 3,
+        maxDelay = 8,
+        progressEvery = 10,
+        onProgress = null
+    }) {
+        this.targets = targets;
+        this.send = send;
+        this.minDelay = Math.max(0, minDelay);
+        this.maxDelay = Math.max(this.minDelay, maxDelay);
+        this.progressEvery = Math.max(1, progressEvery);
+        this.onProgress = onProgress;
+        this.controller = new AbortController();
+        this.summary = {
+            total: targets.length,
+            sent: 0,
+            failed: [],
+            skipped: targets.filter(target => target.skip),
+            cancelled: false,
+            startedAt: null,
+            finishedAt: null
+        };
+    }
+
+    /**
+     * Deliver to all targets that aren't skipped
+     * @returns {Promise<Object>} - { total, sent, failed, skipped, cancelled, startedAt, finishedAt }
+     *   with failed as [{ id, name, error }] and skipped as [{ id, name, skip }]
+     */
+    async run() {
+        const { summary } = this;
+        const pending = this.targets.filter(target => !target.skip);
+        summary.startedAt = Date.now();
+
+        for (const [index, target] of pending.entries()) {
+            if (this.controller.signal.aborted) break;
+
+            try {
+                await this.send(target);
+                summary.sent++;
+            } catch (err) {
+                summary.failed.push({ ...target, error: err.message });
+            }
+
+            const done = index + 1;
+            if (done < pending.length) {
+                if (done % this.progressEvery === 0) await this.progress();
+                await this.pause();
+            }
+        }
+
+        summary.cancelled = this.controller.signal.aborted;
+        summary.finishedAt = Date.now();
+        return summary;
+    }
+
+    /**
+     * Stop after the chat that is being sent to right now
+     */
+    cancel() {
+        this.controller.abort();
+    }
+
+    async progress() {
+        try {
+            await this.onProgress?.(this.summary);
+        } catch {
+            // A failed status update shouldn't stop the broadcast
+        }
+    }
+
+    /**
+     * Wait a random time between minDelay and maxDelay, or until cancelled
+     */
+    pause() {
+        const seconds =
+            this.minDelay + Math.random() * (this.maxDelay - this.minDelay);
+        const { signal } = this.controller;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(done, seconds * 1000);
+            signal.addEventListener("abort", done, { once: true });
+
+            function done() {
+                clearTimeout(timer);
+                signal.removeEventListener("abort", done);
+                resolve();
+            }
+        });
+    }
+}
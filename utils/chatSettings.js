@@ -0,0 +1,322 @@
+import moment from "moment-timezone";
+import i18n from "./i18n.js";
+import config from "../config.js";
+
+/**
+ * Error thrown when a setting key or value is invalid. `code` and `data`
+ * identify the problem so commands can reply in the chat's language
+ * (see settings.errors.* in the locale catalogs).
+ */
+export class SettingsError extends Error {
+    constructor(message, code, data = {}) {
+        super(message);
+        this.name = "SettingsError";
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Settings every chat can override. Defaults come from config.js.
+ */
+export const SETTINGS_SCHEMA = {
+    prefixes: {
+        type: "list",
+        description: "Command prefixes",
+        default: () => config.command.prefixes
+    },
+    language: {
+        type: "choice",
+        choices: i18n.locales, // One per catalog in locales/
+        description: "Reply language",
+        default: () => config.language || "id"
+    },
+    timezone: {
+        type: "timezone",
+        description: "Timezone for reminders and dates (e.g. Asia/Jakarta)",
+        default: () => config.timezone || "Asia/Jakarta"
+    },
+    disabledCommands: {
+        type: "list",
+        description: "Commands that can't be used in this chat",
+        default: () => []
+    },
+    autoDownload: {
+        type: "boolean",
+        description: "Handle TikTok/Instagram/YouTube links posted without a command",
+        default: chatId => (config.autoDownload?.chats || []).includes(chatId)
+    },
+    autoDownloadMode: {
+        type: "choice",
+        choices: ["offer", "download"],
+        description: "Offer the download command or download right away",
+        default: () => config.autoDownload?.mode || "offer"
+    },
+    greetings: {
+        type: "boolean",
+        description: "Send welcome/leave/promote/demote messages (edit them with /greeting)",
+        default: () => config.greetings?.enabled ?? false
+    },
+    greetingCard: {
+        type: "boolean",
+        description: "Send greetings as an image card with the member's profile picture",
+        default: () => config.greetings?.card ?? false
+    },
+    antilink: {
+        type: "choice",
+        choices: ["off", "invite", "all"],
+        description: "Remove links posted by non-admins: WhatsApp group invites or all links",
+        default: () => config.antilink?.mode || "off"
+    },
+    antilinkWhitelist: {
+        type: "list",
+        description: "Domains anyone may post (with their subdomains)",
+        default: () => config.antilink?.whitelist || []
+    },
+    antilinkKickAfter: {
+        type: "integer",
+        min: 0,
+        max: 20,
+        description: "Anti-link warnings until the member is removed (0 = never)",
+        default: () => config.antilink?.kickAfter ?? 3
+    },
+    warnLimit: {
+        type: "integer",
+        min: 0,
+        max: 20,
+        description: "Warnings (/warn) until warnAction is taken (0 = never)",
+        default: () => config.moderation?.warnLimit ?? 3
+    },
+    warnAction: {
+        type: "choice",
+        choices: ["mute", "kick"],
+        description: "What happens at warnLimit: the bot ignores the member's commands, or removes them",
+        default: () => config.moderation?.warnAction || "mute"
+    },
+    muteMinutes: {
+        type: "integer",
+        min: 0,
+        max: 10080,
+        description: "How long a mute lasts in minutes (0 = until /unmute)",
+        default: () => config.moderation?.muteMinutes ?? 60
+    }
+};
+
+/**
+ * Format a setting value for display
+ * @param {*} value - The setting value
+ * @param {Function} t - Translator (optional, English labels without it)
+ * @returns {String}
+ */
+export function formatSettingValue(value, t = null) {
+    const label = (key, fallback) => (t ? t(`settings.${key}`) : fallback);
+
+    if (Array.isArray(value)) {
+        return value.length ? value.join(" ") : label("none", "(none)");
+    }
+    if (typeof value === "boolean") {
+        return value ? label("on", "on") : label("off", "off");
+    }
+    return String(value);
+}
+
+/**
+ * Persistent per-chat settings, stored in the database's settings
+ * collection. Only values that differ from the defaults are stored.
+ */
+export class ChatSettings {
+    /**
+     * @param {Collection} collection - The settings collection (see utils/database.js)
+     */
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    /**
+     * Resolve a setting name case-insensitively
+     * @param {String} name - Setting name as typed by the user
+     * @returns {String} - The schema key
+     * @throws {SettingsError} - If the setting doesn't exist
+     */
+    resolveKey(name) {
+        const key = Object.keys(SETTINGS_SCHEMA).find(
+            candidate => candidate.toLowerCase() === String(name).toLowerCase()
+        );
+        if (!key) {
+            const available = Object.keys(SETTINGS_SCHEMA).join(", ");
+            throw new SettingsError(
+                `Unknown setting "${name}". Available: ${available}`,
+                "unknownSetting",
+                { name, available }
+            );
+        }
+        return key;
+    }
+
+    /**
+     * Convert user input into a valid value for a setting
+     * @param {String} key - The schema key
+     * @param {*} value - Raw value (string, array or boolean)
+     * @returns {*} - The parsed value
+     * @throws {SettingsError} - If the value is invalid
+     */
+    parseValue(key, value) {
+        const spec = SETTINGS_SCHEMA[key];
+
+        switch (spec.type) {
+            case "boolean": {
+                if (typeof value === "boolean") return value;
+                const normalized = String(value).toLowerCase();
+                if (["on", "true", "yes", "1"].includes(normalized)) return true;
+                if (["off", "false", "no", "0"].includes(normalized)) return false;
+                throw new SettingsError(
+                    `${key} must be on or off`,
+                    "notBoolean",
+                    { name: key }
+                );
+            }
+            case "choice": {
+                const normalized = String(value).toLowerCase();
+                if (!spec.choices.includes(normalized)) {
+                    const choices = spec.choices.join(", ");
+                    throw new SettingsError(
+                        `${key} must be one of: ${choices}`,
+                        "notChoice",
+                        { name: key, choices }
+                    );
+                }
+                return normalized;
+            }
+            case "integer": {
+                const number = Number(value);
+                if (
+                    !Number.isInteger(number) ||
+                    number < spec.min ||
+                    number > spec.max
+                ) {
+                    throw new SettingsError(
+                        `${key} must be a whole number from ${spec.min} to ${spec.max}`,
+                        "notInteger",
+                        { name: key, min: spec.min, max: spec.max }
+                    );
+                }
+                return number;
+            }
+            case "timezone": {
+                // Accept any casing, store the canonical IANA name
+                const normalized = String(value).toLowerCase();
+                const zone = moment.tz
+                    .names()
+                    .find(name => name.toLowerCase() === normalized);
+                if (!zone) {
+                    throw new SettingsError(
+                        `${value} is not a timezone`,
+                        "notTimezone",
+                        { name: key, value }
+                    );
+                }
+                return zone;
+            }
+            case "list": {
+                const list = (Array.isArray(value) ? value : String(value).split(/\s+/))
+                    .map(item => item.trim())
+                    .filter(Boolean);
+                const unique = [...new Set(list)];
+
+                if (key === "prefixes") {
+                    if (!unique.length) {
+                        throw new SettingsError(
+                            "prefixes needs at least one prefix",
+                            "noPrefix"
+                        );
+                    }
+                    if (unique.some(prefix => prefix.length > 3)) {
+                        throw new SettingsError(
+                            "prefixes can be at most 3 characters",
+                            "prefixTooLong"
+                        );
+                    }
+                }
+                if (key === "antilinkWhitelist") {
+                    // "https://www.TikTok.com/" -> "tiktok.com"
+                    return [
+                        ...new Set(
+                            unique.map(domain =>
+                                domain
+                                    .toLowerCase()
+                                    .replace(/^[a-z]+:\/\//, "")
+                                    .replace(/^www\./, "")
+                                    .replace(/\/.*$/, "")
+                            )
+                        )
+                    ].filter(Boolean);
+                }
+                return unique;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Get all settings of a chat (defaults merged with overrides)
+     * @param {String} chatId - The chat JID
+     * @returns {Object}
+     */
+    get(chatId) {
+        const overrides = this.collection.get(chatId) || {};
+        const settings = {};
+
+        for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+            settings[key] = key in overrides ? overrides[key] : spec.default(chatId);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Get the settings a chat explicitly overrides
+     * @param {String} chatId - The chat JID
+     * @returns {Object}
+     */
+    getOverrides(chatId) {
+        return this.collection.get(chatId) || {};
+    }
+
+    /**
+     * Change a setting for a chat
+     * @param {String} chatId - The chat JID
+     * @param {String} name - Setting name
+     * @param {*} value - Raw value
+     * @returns {*} - The stored value
+     * @throws {SettingsError} - If the setting or value is invalid
+     */
+    set(chatId, name, value) {
+        const key = this.resolveKey(name);
+        const parsed = this.parseValue(key, value);
+
+        this.collection.update(chatId, { [key]: parsed });
+        return parsed;
+    }
+
+    /**
+     * Reset one setting, or all settings of a chat, to the defaults
+     * @param {String} chatId - The chat JID
+     * @param {String} name - Setting name (optional)
+     * @throws {SettingsError} - If the setting doesn't exist
+     */
+    reset(chatId, name = null) {
+        const overrides = this.collection.get(chatId);
+        if (!overrides) return;
+
+        if (name) {
+            delete overrides[this.resolveKey(name)];
+        }
+
+        if (name && Object.keys(overrides).length) {
+            this.collection.set(chatId, overrides);
+        } else {
+            this.collection.delete(chatId);
+        }
+    }
+}
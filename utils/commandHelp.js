@@ -0,0 +1,146 @@
+import { formatUsage } from "./argParser.js";
+import { hasPermission } from "./permissions.js";
+
+const DEFAULT_CATEGORY = "general";
+
+/**
+ * Get the unique commands a caller may run in a chat
+ * @param {Map} commands - Loaded commands (names and aliases)
+ * @param {Object} options
+ * @param {String} options.role - The caller's role in the chat
+ * @param {Array<String>} options.disabledCommands - Commands disabled in the chat
+ * @param {Boolean} options.isGroup - Whether the chat is a group; groupOnly
+ * commands are left out of private chats
+ * @returns {Array<Object>} - Command modules sorted by name
+ */
+export function getAvailableCommands(
+    commands,
+    { role, disabledCommands = [], isGroup = false }
+) {
+    return [...new Set(commands.values())]
+        .filter(
+            command =>
+                !command.hidden &&
+                (isGroup || !command.groupOnly) &&
+                !disabledCommands.includes(command.name) &&
+                hasPermission(role, command.permission || "user")
+        )
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Group commands by their category
+ * @param {Array<Object>} commandList - Command modules
+ * @returns {Map} - Category name -> command modules, categories sorted by name
+ */
+export function groupByCategory(commandList) {
+    const groups = new Map();
+
+    for (const command of commandList) {
+        const category = (command.category || DEFAULT_CATEGORY).toLowerCase();
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(command);
+    }
+
+    return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Capitalize a category name for display
+ * @param {String} category - Category name
+ * @returns {String}
+ */
+export function formatCategory(category) {
+    return category.charAt(0).toUpperCase() + category.slice(1);
+}
+
+/**
+ * Get the description of a command in the reader's language. Commands can
+ * ship a translation as `commands.<name>.description` in the locale
+ * catalogs; otherwise their own `description` is used.
+ * @param {Object} command - The command module
+ * @param {Function} t - Translator from the command context
+ * @returns {String}
+ */
+export function getDescription(command, t) {
+    const key = `commands.${command.name}.description`;
+    if (t.has(key)) return t(key);
+    return command.description || t("common.noDescription");
+}
+
+/**
+ * Build the detailed help text of a single command
+ * @param {Object} command - The command module
+ * @param {Object} options
+ * @param {String} options.prefix - Prefix to show in usage and examples
+ * @param {Number} options.cooldown - Effective cooldown in seconds
+ * @param {Function} options.t - Translator from the command context
+ * @returns {String}
+ */
+export function formatCommandDetails(
+    command,
+    { prefix = "/", cooldown = 0, t }
+) {
+    let text = `*📖 ${prefix}${command.name}*\n\n`;
+
+    if (command.description || t.has(`commands.${command.name}.description`)) {
+        text += `${getDescription(command, t)}\n\n`;
+    }
+
+    text += `${t("help.details.usage", { usage: formatUsage(command, prefix) })}\n`;
+
+    if (command.aliases?.length) {
+        text += `${t("help.details.aliases", {
+            aliases: command.aliases.map(alias => `${prefix}${alias}`).join(", ")
+        })}\n`;
+    }
+
+    text += `${t("help.details.category", {
+        category: formatCategory(command.category || DEFAULT_CATEGORY)
+    })}\n`;
+
+    if (cooldown) {
+        text += `${t("help.details.cooldown", { seconds: cooldown })}\n`;
+    }
+
+    if (command.permission && command.permission !== "user") {
+        text += `${t("help.details.permission", {
+            permission: command.permission
+        })}\n`;
+    }
+
+    const optional = ` (${t("help.details.optional")})`;
+    const formatDefault = spec =>
+        spec.default !== undefined
+            ? ` (${t("help.details.default", { value: spec.default })})`
+            : "";
+
+    const positional = command.args?.positional || [];
+    const flags = Object.entries(command.args?.flags || {});
+    if (positional.length || flags.length) {
+        text += `\n${t("help.details.arguments")}\n`;
+        for (const spec of positional) {
+            text += `• *${spec.name}*${spec.required ? "" : optional}`;
+            text += spec.description ? ` - ${spec.description}` : "";
+            text += formatDefault(spec);
+            text += "\n";
+        }
+        for (const [name, spec] of flags) {
+            const alias = spec.alias ? `, -${spec.alias}` : "";
+            text += `• *--${name}${alias}*`;
+            text += spec.description ? ` - ${spec.description}` : "";
+            text += formatDefault(spec);
+            text += "\n";
+        }
+    }
+
+    if (command.examples?.length) {
+        text += `\n${t("help.details.examples")}\n`;
+        text += command.examples
+            .map(example => `• ${prefix}${example}`)
+            .join("\n");
+        text += "\n";
+    }
+
+    return text.trimEnd();
+}
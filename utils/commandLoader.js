@@ -2,95 +2,701 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { Logger } from "./AzusaLogger.js";
+import { PERMISSION_LEVELS } from "./permissions.js";
+import { isMiddleware } from "./middleware.js";
+import { validateEventPlugin } from "./eventPlugins.js";
+import { validateArgsSchema } from "./argParser.js";
+import config from "../config.js";
 
 const logger = new Logger();
 
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// A folder containing this file is loaded as a single plugin package
+const MANIFEST_FILE = "plugin.json";
+
 /**
- * Loads all command modules from the commands directory
- * @param {string} commandsDir - Path to commands directory
- * @returns {Map} - Map of command names to command modules
+ * Check a command module against the command schema
+ * @param {Object} command - The command's default export
+ * @returns {Array<String>} - Problems found (empty when valid)
  */
-async function loadCommands(commandsDir) {
+export function validateCommand(command) {
+    const problems = [];
+
+    if (!command || typeof command !== "object") {
+        return ["no default export"];
+    }
+
+    if (typeof command.name !== "string" || !NAME_PATTERN.test(command.name)) {
+        problems.push(
+            "name must be a lowercase word (letters, digits, - or _)"
+        );
+    }
+
+    if (typeof command.execute !== "function") {
+        problems.push("execute must be a function");
+    }
+
+    if (command.aliases !== undefined) {
+        if (!Array.isArray(command.aliases)) {
+            problems.push("aliases must be an array");
+        } else {
+            const invalid = command.aliases.filter(
+                alias => typeof alias !== "string" || !NAME_PATTERN.test(alias)
+            );
+            if (invalid.length) {
+                problems.push(`invalid aliases: ${invalid.join(", ")}`);
+            }
+        }
+    }
+
+    for (const field of ["description", "usage", "category"]) {
+        if (command[field] !== undefined && typeof command[field] !== "string") {
+            problems.push(`${field} must be a string`);
+        }
+    }
+
+    if (
+        command.cooldown !== undefined &&
+        (typeof command.cooldown !== "number" || command.cooldown < 0)
+    ) {
+        problems.push("cooldown must be a non-negative number of seconds");
+    }
+
+    if (
+        command.permission !== undefined &&
+        !PERMISSION_LEVELS.includes(command.permission)
+    ) {
+        problems.push(
+            `permission "${command.permission}" must be one of ${PERMISSION_LEVELS.join(
+                ", "
+            )}`
+        );
+    }
+
+    if (
+        command.examples !== undefined &&
+        (!Array.isArray(command.examples) ||
+            command.examples.some(example => typeof example !== "string"))
+    ) {
+        problems.push("examples must be an array of strings");
+    }
+
+    for (const flag of ["hidden", "heavy", "groupOnly"]) {
+        if (command[flag] !== undefined && typeof command[flag] !== "boolean") {
+            problems.push(`${flag} must be a boolean`);
+        }
+    }
+
+    for (const hook of ["onLoad", "onUnload"]) {
+        if (command[hook] !== undefined && typeof command[hook] !== "function") {
+            problems.push(`${hook} must be a function`);
+        }
+    }
+
+    if (command.args !== undefined) {
+        problems.push(...validateArgsSchema(command.args));
+    }
+
+    return problems;
+}
+
+/**
+ * Read and validate a plugin manifest
+ * @param {String} manifestPath - Absolute path to plugin.json
+ * @returns {Object} - The manifest with defaults applied
+ * @throws {Error} - If the manifest is unreadable or invalid
+ */
+export function readManifest(manifestPath) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    const problems = [];
+
+    if (typeof manifest.name !== "string" || !manifest.name) {
+        problems.push("name is required");
+    }
+    if (typeof manifest.version !== "string" || !manifest.version) {
+        problems.push("version is required");
+    }
+    if (manifest.main !== undefined && typeof manifest.main !== "string") {
+        problems.push("main must be a file name");
+    }
+    for (const key of ["config", "env"]) {
+        const list = manifest.requires?.[key];
+        if (
+            list !== undefined &&
+            (!Array.isArray(list) || list.some(item => typeof item !== "string"))
+        ) {
+            problems.push(`requires.${key} must be an array of strings`);
+        }
+    }
+
+    if (problems.length) {
+        throw new Error(`invalid ${MANIFEST_FILE}: ${problems.join("; ")}`);
+    }
+
+    return {
+        main: "index.js",
+        ...manifest,
+        requires: {
+            config: manifest.requires?.config || [],
+            env: manifest.requires?.env || []
+        }
+    };
+}
+
+/**
+ * Find the config keys and env vars a plugin needs but that aren't set
+ * @param {Object} manifest - Plugin manifest
+ * @returns {Object} - { config: Array<String>, env: Array<String> }
+ */
+export function getMissingRequirements(manifest) {
+    const isSet = value => value !== undefined && value !== null && value !== "";
+
+    return {
+        config: manifest.requires.config.filter(
+            key =>
+                !isSet(
+                    key
+                        .split(".")
+                        .reduce((value, part) => value?.[part], config)
+                )
+        ),
+        env: manifest.requires.env.filter(name => !isSet(process.env[name]))
+    };
+}
+
+/**
+ * Category implied by the folder a module lives in
+ * @param {String} relDir - Folder path relative to the commands folder
+ * @returns {String|null} - Folder name, or null at the top level
+ */
+function getFolderCategory(relDir) {
+    return relDir && relDir !== "." ? path.posix.basename(relDir) : null;
+}
+
+/**
+ * Walk the commands folder and list the modules to import.
+ * Sub folders are categories, folders with a plugin.json are plugin
+ * packages whose helper modules are private to the plugin.
+ * @param {String} absDir - Absolute folder path
+ * @param {String} relDir - Folder path relative to the commands folder
+ * @returns {Array<Object>} - [{ file, path, category, manifestPath? }] in path order
+ */
+function collectModules(absDir, relDir = "") {
+    const modules = [];
+    const category = getFolderCategory(relDir);
+
+    const entries = fs
+        .readdirSync(absDir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith("."))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+        const absPath = path.join(absDir, entry.name);
+        const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+            if (entry.name === "node_modules") continue;
+
+            const manifestPath = path.join(absPath, MANIFEST_FILE);
+            if (fs.existsSync(manifestPath)) {
+                modules.push({
+                    file: relPath,
+                    path: absPath,
+                    category,
+                    manifestPath
+                });
+            } else {
+                modules.push(...collectModules(absPath, relPath));
+            }
+        } else if (entry.name.endsWith(".js")) {
+            modules.push({ file: relPath, path: absPath, category });
+        }
+    }
+
+    return modules;
+}
+
+/**
+ * Build the name/alias lookup Map with a deterministic conflict policy:
+ *
+ * 1. Entries are processed in file path order
+ * 2. A command whose name is already taken by an earlier command is skipped
+ * 3. Names always beat aliases: an alias that equals another command's
+ *    name is dropped, whatever the file order
+ * 4. Between two aliases, the earlier file keeps it
+ *
+ * @param {Array<Object>} entries - [{ file, command, plugin }] sorted by file
+ * @param {Object} report - Load report to record skips and conflicts in
+ * @returns {Map} - Map of command names and aliases to command modules
+ */
+export function buildCommandMap(entries, report) {
     const commands = new Map();
-    const commandFiles = [];
+    const owners = new Map(); // name/alias -> file that claimed it
+    const accepted = [];
+
+    // Names first, so they win over aliases regardless of file order
+    for (const entry of entries) {
+        const { name } = entry.command;
+        if (commands.has(name)) {
+            report.conflicts.push({
+                name,
+                kind: "name",
+                kept: owners.get(name),
+                dropped: entry.file
+            });
+            report.skipped.push({
+                file: entry.file,
+                reason: `duplicate command name "${name}" (already defined in ${owners.get(
+                    name
+                )})`
+            });
+            continue;
+        }
+
+        commands.set(name, entry.command);
+        owners.set(name, entry.file);
+        accepted.push(entry);
+    }
+
+    for (const entry of accepted) {
+        const aliases = [];
+
+        for (const alias of new Set(entry.command.aliases || [])) {
+            if (alias === entry.command.name) continue;
+
+            if (commands.has(alias)) {
+                report.conflicts.push({
+                    name: alias,
+                    kind: "alias",
+                    kept: owners.get(alias),
+                    dropped: entry.file
+                });
+                continue;
+            }
+
+            commands.set(alias, entry.command);
+            owners.set(alias, entry.file);
+            aliases.push(alias);
+        }
+
+        report.loaded.push({
+            file: entry.file,
+            name: entry.command.name,
+            aliases,
+            plugin: entry.plugin || null
+        });
+    }
+
+    return commands;
+}
+
+/**
+ * Log name conflicts and a summary of a load report
+ * @param {Object} report - The load report
+ */
+function logReport(report) {
+    for (const conflict of report.conflicts) {
+        logger.log({
+            type: "warning",
+            message: `Command ${conflict.kind} "${conflict.name}" in ${conflict.dropped} conflicts with ${conflict.kept}, keeping ${conflict.kept}`
+        });
+    }
+
+    logger.log({
+        type: report.conflicts.length || report.failed.length ? "warning" : "info",
+        message: `Command load report: ${report.loaded.length} loaded, ${report.events.length} event plugins, ${report.skipped.length} skipped, ${report.failed.length} failed, ${report.conflicts.length} conflicts`
+    });
+}
+
+/**
+ * Create an empty load report
+ * @returns {Object}
+ */
+function createReport() {
+    return {
+        loadedAt: Date.now(),
+        loaded: [],
+        middleware: [],
+        events: [],
+        skipped: [],
+        failed: [],
+        conflicts: []
+    };
+}
 
-    try {
-        // Get absolute path
+/**
+ * Keeps the modules of the commands folder (files and plugin packages)
+ * loaded and re-imports them one at a time when they change.
+ *
+ * Besides commands, the folder can hold middleware (`type: "middleware"`)
+ * and event plugins (`type: "event"`, by convention in commands/plugins).
+ *
+ * Every module may export `onLoad(context)` and `onUnload()` hooks. `onLoad`
+ * runs once the module is registered, `onUnload` before it is replaced
+ * by a new version, deleted, or (for commands) loses its name to another
+ * command.
+ */
+export class CommandRegistry {
+    /**
+     * @param {String} commandsDir - Path to commands directory
+     * @param {Object} options
+     * @param {Function} options.getContext - Returns the context passed to onLoad hooks
+     */
+    constructor(commandsDir, { getContext = () => ({}) } = {}) {
         const __dirname = path.dirname(fileURLToPath(import.meta.url));
-        const absCommandsDir = path.resolve(__dirname, "..", commandsDir);
+        this.rootDir = path.resolve(__dirname, "..", commandsDir);
+        this.getContext = getContext;
+        this.units = new Map(); // relative path -> loaded file or plugin package
+        this.commands = new Map();
+        this.middleware = [];
+        this.events = [];
+        this.report = createReport();
+    }
+
+    /**
+     * Load every module of the commands folder, unloading what was loaded before
+     */
+    async loadAll() {
+        for (const unit of this.units.values()) {
+            await this.deactivate(unit);
+        }
+        this.units = new Map();
 
         // Check if directory exists
-        if (!fs.existsSync(absCommandsDir)) {
+        if (!fs.existsSync(this.rootDir)) {
             logger.log({
                 type: "warning",
-                message: `Commands directory not found: ${absCommandsDir}`
+                message: `Commands directory not found: ${this.rootDir}`
             });
-            fs.mkdirSync(absCommandsDir, { recursive: true });
+            fs.mkdirSync(this.rootDir, { recursive: true });
             logger.log({
                 type: "info",
-                message: `Created commands directory: ${absCommandsDir}`
+                message: `Created commands directory: ${this.rootDir}`
             });
-            return commands;
         }
 
-        // Read all .js files in the directory
-        const files = fs
-            .readdirSync(absCommandsDir)
-            .filter(file => file.endsWith(".js"));
+        // Collect command files and plugin packages, sorted for a deterministic load order
+        const modules = collectModules(this.rootDir);
 
         logger.log({
             type: "info",
-            message: `Found ${files.length} command files`
+            message: `Found ${modules.length} command files and plugins`
         });
 
-        // Import each command file
-        for (const file of files) {
-            try {
-                const filePath = path.join(absCommandsDir, file);
-                const relativePath = path.relative(".", filePath);
-                const importPath = "/" + relativePath.replace(/\\/g, "/");
-
-                const command = await import(
-                    `file://${path.resolve(filePath)}?update=${Date.now()}`
-                );
-
-                // Validate command structure
-                if (
-                    !command.default ||
-                    !command.default.name ||
-                    !command.default.execute
-                ) {
+        for (const info of modules) {
+            this.units.set(info.file, await this.importUnit(info));
+        }
+
+        await this.rebuild();
+    }
+
+    /**
+     * Re-import only the module a changed file belongs to. Deleted files
+     * and plugin packages are unregistered.
+     * @param {String} changedPath - Changed path relative to the commands folder
+     * @returns {Boolean} - Whether the registered commands changed
+     */
+    async reloadFile(changedPath) {
+        const relPath = changedPath.split(path.sep).join("/");
+        const info = this.resolveUnit(relPath);
+        if (!info) return false;
+
+        const previous = this.units.get(info.file);
+
+        if (!fs.existsSync(info.path)) {
+            if (!previous) return false;
+
+            await this.deactivate(previous);
+            this.units.delete(info.file);
+            logger.log({
+                type: "info",
+                message: `Unregistered ${info.file}`
+            });
+            await this.rebuild();
+            return true;
+        }
+
+        const unit = await this.importUnit(info);
+
+        // Keep serving the previous version if the new one doesn't import
+        if (unit.status === "failed" && previous?.status === "loaded") {
+            previous.reloadError = unit.reason;
+            await this.rebuild();
+            return false;
+        }
+
+        if (previous) await this.deactivate(previous);
+        this.units.set(info.file, unit);
+        await this.rebuild();
+        return true;
+    }
+
+    /**
+     * Map a changed path to the file or plugin package it belongs to
+     * @param {String} relPath - Path relative to the commands folder
+     * @returns {Object|null} - { file, path, category, manifestPath? }
+     */
+    resolveUnit(relPath) {
+        // Inside a plugin package: the whole package is the unit
+        const parts = relPath.split("/");
+        for (let depth = 1; depth < parts.length; depth++) {
+            const pluginDir = parts.slice(0, depth).join("/");
+            const manifestPath = path.join(this.rootDir, pluginDir, MANIFEST_FILE);
+
+            if (this.units.get(pluginDir)?.manifestPath || fs.existsSync(manifestPath)) {
+                const manifestFile = `${pluginDir}/${MANIFEST_FILE}`;
+                const main = this.units.get(pluginDir)?.plugin?.main || "index.js";
+                if (relPath !== manifestFile && relPath !== `${pluginDir}/${main}`) {
+                    // ESM caches imported helper modules until the process restarts
                     logger.log({
                         type: "warning",
-                        message: `Invalid command structure in ${file}. Skipping...`
+                        message: `${relPath} is a helper module of plugin ${pluginDir}, restart the bot to apply the change`
                     });
-                    continue;
+                    return null;
                 }
 
-                // Add command to map
-                commands.set(command.default.name, command.default);
+                return {
+                    file: pluginDir,
+                    path: path.join(this.rootDir, pluginDir),
+                    category: getFolderCategory(path.posix.dirname(pluginDir)),
+                    manifestPath
+                };
+            }
+        }
+
+        if (!relPath.endsWith(".js")) return null;
+
+        return {
+            file: relPath,
+            path: path.join(this.rootDir, relPath),
+            category: getFolderCategory(path.posix.dirname(relPath))
+        };
+    }
+
+    /**
+     * Import one command file or plugin package
+     * @param {Object} info - { file, path, category, manifestPath? }
+     * @returns {Object} - The unit with its status ("loaded", "skipped" or "failed")
+     */
+    async importUnit(info) {
+        const { file, category, manifestPath } = info;
+        const unit = { ...info, status: "failed", module: null, plugin: null };
 
-                // Add aliases if present
-                if (
-                    command.default.aliases &&
-                    Array.isArray(command.default.aliases)
-                ) {
-                    command.default.aliases.forEach(alias => {
-                        commands.set(alias, command.default);
+        try {
+            let entryPath = info.path;
+
+            if (manifestPath) {
+                const manifest = readManifest(manifestPath);
+                const missing = getMissingRequirements(manifest);
+
+                unit.plugin = {
+                    name: manifest.name,
+                    version: manifest.version,
+                    category: manifest.category,
+                    main: manifest.main
+                };
+
+                if (missing.config.length || missing.env.length) {
+                    const reason = [
+                        missing.config.length &&
+                            `missing config keys: ${missing.config.join(", ")}`,
+                        missing.env.length &&
+                            `missing env vars: ${missing.env.join(", ")}`
+                    ]
+                        .filter(Boolean)
+                        .join("; ");
+
+                    logger.log({
+                        type: "warning",
+                        message: `Plugin ${manifest.name}@${manifest.version} (${file}) not loaded, ${reason}`
                     });
+                    return { ...unit, status: "skipped", reason };
+                }
+
+                entryPath = path.join(info.path, manifest.main);
+            }
+
+            const module = await import(
+                `file://${path.resolve(entryPath)}?update=${Date.now()}`
+            );
+
+            // Middleware plugins living in the commands folder
+            if (module.default?.type === "middleware") {
+                if (!isMiddleware(module.default)) {
+                    return {
+                        ...unit,
+                        status: "skipped",
+                        reason: "invalid middleware structure"
+                    };
                 }
-            } catch (error) {
-                logger.handleError(
-                    error,
-                    `Failed to load command file: ${file}`
-                );
+                return {
+                    ...unit,
+                    status: "loaded",
+                    kind: "middleware",
+                    module: module.default
+                };
+            }
+
+            // Event plugins subscribing to Baileys events
+            if (module.default?.type === "event") {
+                const problems = validateEventPlugin(module.default);
+                if (problems.length) {
+                    logger.log({
+                        type: "warning",
+                        message: `Invalid event plugin in ${file} (${problems.join(
+                            "; "
+                        )}). Skipping...`
+                    });
+                    return {
+                        ...unit,
+                        status: "skipped",
+                        reason: problems.join("; ")
+                    };
+                }
+                return {
+                    ...unit,
+                    status: "loaded",
+                    kind: "event",
+                    module: module.default
+                };
+            }
+
+            const problems = validateCommand(module.default);
+            if (problems.length) {
+                logger.log({
+                    type: "warning",
+                    message: `Invalid command in ${file} (${problems.join(
+                        "; "
+                    )}). Skipping...`
+                });
+                return { ...unit, status: "skipped", reason: problems.join("; ") };
+            }
+
+            // The folder decides the category unless the command sets one
+            const inferred = unit.plugin?.category || category;
+            if (!module.default.category && inferred) {
+                module.default.category = inferred;
             }
+
+            return {
+                ...unit,
+                status: "loaded",
+                kind: "command",
+                module: module.default
+            };
+        } catch (error) {
+            logger.handleError(error, `Failed to load command file: ${file}`);
+            return { ...unit, reason: error.message };
         }
-    } catch (error) {
-        logger.handleError(error, "Error loading commands");
     }
 
-    return commands;
+    /**
+     * Rebuild the command Map, middleware and event plugin lists and the
+     * load report from the loaded units, then run lifecycle hooks for
+     * modules that were registered or dropped
+     */
+    async rebuild() {
+        const units = [...this.units.values()].sort((a, b) =>
+            a.file.localeCompare(b.file)
+        );
+        const report = createReport();
+
+        const commandUnits = units.filter(
+            unit => unit.status === "loaded" && unit.kind === "command"
+        );
+        const commands = buildCommandMap(
+            commandUnits.map(unit => ({
+                file: unit.file,
+                command: unit.module,
+                plugin: unit.plugin
+            })),
+            report
+        );
+
+        const middlewareUnits = units.filter(
+            unit => unit.status === "loaded" && unit.kind === "middleware"
+        );
+        report.middleware = middlewareUnits.map(unit => ({
+            file: unit.file,
+            name: unit.module.name
+        }));
+
+        const eventUnits = units.filter(
+            unit => unit.status === "loaded" && unit.kind === "event"
+        );
+        report.events = eventUnits.map(unit => ({
+            file: unit.file,
+            name: unit.module.name,
+            events: Object.keys(unit.module.events)
+        }));
+
+        for (const unit of units) {
+            if (unit.status === "skipped") {
+                report.skipped.push({ file: unit.file, reason: unit.reason });
+            } else if (unit.status === "failed") {
+                report.failed.push({ file: unit.file, reason: unit.reason });
+            } else if (unit.reloadError) {
+                report.failed.push({
+                    file: unit.file,
+                    reason: `${unit.reloadError} (previous version kept)`
+                });
+            }
+        }
+
+        this.commands = commands;
+        this.middleware = middlewareUnits.map(unit => unit.module);
+        this.events = eventUnits.map(unit => unit.module);
+        this.report = report;
+        logReport(report);
+
+        // Hooks: commands that lost a conflict are unloaded too, before
+        // the command that replaces them is loaded
+        const registered = new Set([
+            ...report.loaded.map(entry => entry.file),
+            ...middlewareUnits.map(unit => unit.file),
+            ...eventUnits.map(unit => unit.file)
+        ]);
+        const loadedUnits = units.filter(unit => unit.status === "loaded");
+        for (const unit of loadedUnits) {
+            if (!registered.has(unit.file)) await this.deactivate(unit);
+        }
+        for (const unit of loadedUnits) {
+            if (registered.has(unit.file)) await this.activate(unit);
+        }
+    }
+
+    /**
+     * Run a module's onLoad hook once
+     * @param {Object} unit - Loaded unit
+     */
+    async activate(unit) {
+        if (unit.active) return;
+        unit.active = true;
+
+        if (typeof unit.module?.onLoad !== "function") return;
+        try {
+            await unit.module.onLoad(this.getContext());
+        } catch (error) {
+            logger.handleError(error, `onLoad failed for ${unit.file}`);
+        }
+    }
+
+    /**
+     * Run a module's onUnload hook if it was loaded
+     * @param {Object} unit - Loaded unit
+     */
+    async deactivate(unit) {
+        if (!unit.active) return;
+        unit.active = false;
+
+        if (typeof unit.module?.onUnload !== "function") return;
+        try {
+            await unit.module.onUnload();
+        } catch (error) {
+            logger.handleError(error, `onUnload failed for ${unit.file}`);
+        }
+    }
 }
 
-export default loadCommands;
+export default CommandRegistry;
@@ -0,0 +1,120 @@
+import NodeCache from "node-cache";
+
+/**
+ * Tracks per-user (and optionally per-group) command cooldowns.
+ * Entries are keyed by the command's canonical name, so they survive
+ * command hot-reloads and are shared between aliases.
+ */
+export class CooldownManager {
+    /**
+     * @param {Object} options
+     * @param {Number} options.defaultSeconds - Cooldown for commands that don't declare one
+     * @param {Boolean} options.perGroup - Track cooldowns separately in every chat
+     */
+    constructor({ defaultSeconds = 0, perGroup = false } = {}) {
+        this.defaultSeconds = defaultSeconds;
+        this.perGroup = perGroup;
+        this.cache = new NodeCache({ checkperiod: 60, useClones: false });
+    }
+
+    /**
+     * Get the cooldown of a command in seconds
+     * @param {Object} command - The command module
+     * @returns {Number}
+     */
+    getDuration(command) {
+        const seconds =
+            typeof command.cooldown === "number"
+                ? command.cooldown
+                : this.defaultSeconds;
+        return Math.max(seconds, 0);
+    }
+
+    /**
+     * Build the cache key for a user invoking a command
+     * @param {Object} command - The command module
+     * @param {String} userId - The sender's number or JID
+     * @param {String} chatId - The chat the command was sent in
+     * @returns {String}
+     */
+    getKey(command, userId, chatId) {
+        return this.perGroup
+            ? `${command.name}:${chatId}:${userId}`
+            : `${command.name}:${userId}`;
+    }
+
+    /**
+     * Check whether a user is still cooling down for a command
+     * @param {Object} command - The command module
+     * @param {String} userId - The sender's number or JID
+     * @param {String} chatId - The chat the command was sent in
+     * @returns {Object} - { remaining (ms), notified }
+     */
+    check(command, userId, chatId) {
+        const entry = this.cache.get(this.getKey(command, userId, chatId));
+        if (!entry) return { remaining: 0, notified: false };
+
+        const remaining = entry.expiresAt - Date.now();
+        return {
+            remaining: remaining > 0 ? remaining : 0,
+            notified: entry.notified
+        };
+    }
+
+    /**
+     * Start the cooldown for a user after invoking a command
+     * @param {Object} command - The command module
+     * @param {String} userId - The sender's number or JID
+     * @param {String} chatId - The chat the command was sent in
+     */
+    hit(command, userId, chatId) {
+        const seconds = this.getDuration(command);
+        if (!seconds) return;
+
+        this.cache.set(
+            this.getKey(command, userId, chatId),
+            { expiresAt: Date.now() + seconds * 1000, notified: false },
+            seconds
+        );
+    }
+
+    /**
+     * Remember that the user was told about the cooldown, so the
+     * reminder is only sent once per cooldown window
+     * @param {Object} command - The command module
+     * @param {String} userId - The sender's number or JID
+     * @param {String} chatId - The chat the command was sent in
+     */
+    markNotified(command, userId, chatId) {
+        const entry = this.cache.get(this.getKey(command, userId, chatId));
+        if (entry) entry.notified = true;
+    }
+
+    /**
+     * Clear cooldowns for a user, or everything when no user is given
+     * @param {String} userId - The sender's number or JID (optional)
+     */
+    reset(userId = null) {
+        if (!userId) {
+            this.cache.flushAll();
+            return;
+        }
+
+        const keys = this.cache
+            .keys()
+            .filter(key => key.endsWith(`:${userId}`));
+        this.cache.del(keys);
+    }
+}
+
+/**
+ * Format a remaining cooldown in milliseconds for display
+ * @param {Number} ms - Remaining time in milliseconds
+ * @returns {String} - e.g. "12s" or "1m 5s"
+ */
+export function formatRemaining(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
@@ -0,0 +1,211 @@
+import moment from "moment-timezone";
+
+/**
+ * Five-field cron expressions: minute hour day-of-month month day-of-week.
+ *
+ * Every field accepts `*`, numbers, ranges (`1-5`), lists (`1,15`) and
+ * steps (`*\/15`, `9-17/2`). Months and weekdays also take names (`jan`,
+ * `mon`), and Sunday is 0 or 7. As in classic cron, when both the day of
+ * month and the day of week are restricted a day matching either runs.
+ */
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    {
+        name: "month",
+        min: 1,
+        max: 12,
+        names: "jan feb mar apr may jun jul aug sep oct nov dec".split(" ")
+    },
+    {
+        name: "day of week",
+        min: 0,
+        max: 7,
+        names: "sun mon tue wed thu fri sat".split(" ")
+    }
+];
+
+// Shortcuts accepted instead of five fields
+const ALIASES = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *"
+};
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_YEARS = 5;
+
+/**
+ * Error thrown for an invalid cron expression
+ */
+export class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CronError";
+    }
+}
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - e.g. "0 7 * * *" or "@daily"
+ * @returns {Object} - { expression, minute, hour, day, month, weekday, anyDay, anyWeekday }
+ *   with every field as a Set of allowed values
+ * @throws {CronError} - If the expression is invalid
+ */
+export function parseCron(expression) {
+    const source = String(expression || "").trim().toLowerCase();
+    const fields = (ALIASES[source] || source).split(/\s+/);
+
+    if (fields.length !== 5) {
+        throw new CronError(
+            `"${expression}" needs 5 fields (minute hour day month weekday)`
+        );
+    }
+
+    const [minute, hour, day, month, weekday] = fields.map((field, index) =>
+        parseField(field, FIELDS[index])
+    );
+
+    // Sunday can be written as 7
+    if (weekday.delete(7)) weekday.add(0);
+
+    return {
+        expression: source,
+        minute,
+        hour,
+        day,
+        month,
+        weekday,
+        anyDay: fields[2] === "*",
+        anyWeekday: fields[4] === "*"
+    };
+}
+
+/**
+ * Check whether a string is a valid cron expression
+ * @param {String} expression - Cron expression
+ * @returns {Boolean}
+ */
+export function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Find the first time after `from` that matches a cron expression
+ * @param {String|Object} cron - Expression, or the result of parseCron
+ * @param {Number} from - Timestamp (ms), the result is strictly later
+ * @param {String} timezone - Timezone the fields are evaluated in
+ * @returns {Number|null} - Timestamp of the next run, or null if there is none
+ * @throws {CronError} - If the expression is invalid
+ */
+export function nextCronRun(cron, from, timezone) {
+    const spec = typeof cron === "string" ? parseCron(cron) : cron;
+    const time = moment(from).tz(timezone).startOf("minute").add(1, "minute");
+    const limit = moment(time).add(MAX_YEARS, "years");
+
+    while (time.isBefore(limit)) {
+        if (!spec.month.has(time.month() + 1)) {
+            time.add(1, "month").startOf("month");
+            continue;
+        }
+        if (!matchesDay(spec, time)) {
+            time.add(1, "day").startOf("day");
+            continue;
+        }
+        if (!spec.hour.has(time.hour())) {
+            time.add(1, "hour").startOf("hour");
+            continue;
+        }
+        if (!spec.minute.has(time.minute())) {
+            time.add(1, "minute");
+            continue;
+        }
+        return time.valueOf();
+    }
+
+    return null;
+}
+
+/**
+ * @param {Object} spec - Parsed expression
+ * @param {Object} time - moment in the job's timezone
+ * @returns {Boolean}
+ */
+function matchesDay(spec, time) {
+    const day = spec.day.has(time.date());
+    const weekday = spec.weekday.has(time.day());
+
+    if (spec.anyDay && spec.anyWeekday) return true;
+    if (spec.anyDay) return weekday;
+    if (spec.anyWeekday) return day;
+    return day || weekday;
+}
+
+/**
+ * Expand one field into the set of values it allows
+ * @param {String} field - Field text
+ * @param {Object} spec - { name, min, max, names }
+ * @returns {Set<Number>}
+ * @throws {CronError} - If the field is invalid
+ */
+function parseField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new CronError(`Invalid step "${stepText}" in ${spec.name}`);
+        }
+
+        let start = spec.min;
+        let end = spec.max;
+        if (range !== "*") {
+            const [first, last] = range.split("-");
+            start = parseValue(first, spec);
+            // "5/15" means from 5 to the end, "5" alone means just 5
+            end =
+                last !== undefined
+                    ? parseValue(last, spec)
+                    : stepText !== undefined
+                    ? spec.max
+                    : start;
+        }
+
+        if (start > end) {
+            throw new CronError(`Invalid range "${range}" in ${spec.name}`);
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+
+    return values;
+}
+
+/**
+ * @param {String} text - A number or name
+ * @param {Object} spec - { name, min, max, names }
+ * @returns {Number}
+ * @throws {CronError} - If the value is unknown or out of range
+ */
+function parseValue(text, spec) {
+    const nameIndex = spec.names?.indexOf(text) ?? -1;
+    // Month names start at 1, weekday names at 0
+    const value =
+        nameIndex >= 0 ? nameIndex + (spec.min === 1 ? 1 : 0) : Number(text);
+
+    if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw new CronError(
+            `"${text}" is not valid for ${spec.name} (${spec.min}-${spec.max})`
+        );
+    }
+    return value;
+}
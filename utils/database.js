@@ -0,0 +1,348 @@
+import fs from "fs";
+import path from "path";
+import { Logger } from "./AzusaLogger.js";
+import { readJson, writeJsonAtomic } from "./jsonFile.js";
+import config from "../config.js";
+
+const logger = new Logger();
+
+// Collections every database has
+export const COLLECTIONS = [
+    "users",
+    "groups",
+    "settings",
+    "usage",
+    "jobs",
+    "audit"
+];
+
+const META_FILE = "_meta.json";
+
+/**
+ * Schema migrations, applied in order on open. Each one runs once: the
+ * last applied version is stored in _meta.json. Never change a migration
+ * that was released, add a new one instead.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: "Import chat settings from settings.json",
+        up(db) {
+            const legacyPath = config.settings?.filePath || "./data/settings.json";
+            const legacy = readJson(legacyPath, {});
+
+            for (const [chatId, overrides] of Object.entries(legacy)) {
+                if (!db.settings.has(chatId)) db.settings.set(chatId, overrides);
+            }
+        }
+    }
+];
+
+/**
+ * Error thrown when the database can't be opened or migrated
+ */
+export class DatabaseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "DatabaseError";
+    }
+}
+
+/**
+ * A named set of JSON documents keyed by ID (a JID, a date, ...).
+ * Documents are copied in and out, so callers can't change stored data
+ * without going through set/update.
+ */
+export class Collection {
+    /**
+     * @param {Database} db - Owning database
+     * @param {String} name - Collection name (also the file name)
+     * @param {Object} records - Stored documents by ID
+     */
+    constructor(db, name, records = {}) {
+        this.db = db;
+        this.name = name;
+        this.records = records;
+    }
+
+    /**
+     * @param {String} id - Document ID
+     * @returns {Object|null} - Copy of the document
+     */
+    get(id) {
+        return id in this.records ? clone(this.records[id]) : null;
+    }
+
+    /**
+     * @param {String} id - Document ID
+     * @returns {Boolean}
+     */
+    has(id) {
+        return id in this.records;
+    }
+
+    /**
+     * Store a document, replacing any existing one
+     * @param {String} id - Document ID
+     * @param {Object} doc - The document
+     * @returns {Object} - Copy of the stored document
+     */
+    set(id, doc) {
+        this.records[id] = clone(doc);
+        this.changed();
+        return clone(this.records[id]);
+    }
+
+    /**
+     * Merge changes into a document, creating it if needed
+     * @param {String} id - Document ID
+     * @param {Object|Function} patch - Fields to merge, or (doc) => new doc
+     * @returns {Object} - Copy of the stored document
+     */
+    update(id, patch) {
+        const current = this.get(id) || {};
+        const next =
+            typeof patch === "function"
+                ? patch(current) ?? current
+                : { ...current, ...patch };
+        return this.set(id, next);
+    }
+
+    /**
+     * Add to a numeric field of a document (created with 0 if missing)
+     * @param {String} id - Document ID
+     * @param {String} field - Field name
+     * @param {Number} by - Amount to add
+     * @returns {Number} - The new value
+     */
+    increment(id, field, by = 1) {
+        const doc = this.records[id] || (this.records[id] = {});
+        doc[field] = (doc[field] || 0) + by;
+        this.changed();
+        return doc[field];
+    }
+
+    /**
+     * @param {String} id - Document ID
+     * @returns {Boolean} - Whether the document existed
+     */
+    delete(id) {
+        if (!(id in this.records)) return false;
+        delete this.records[id];
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Find documents matching a predicate
+     * @param {Function} predicate - (doc, id) => Boolean (all documents if omitted)
+     * @returns {Array<Object>} - Copies as { id, ...doc }
+     */
+    find(predicate = () => true) {
+        return Object.entries(this.records)
+            .filter(([id, doc]) => predicate(doc, id))
+            .map(([id, doc]) => ({ id, ...clone(doc) }));
+    }
+
+    /**
+     * @returns {Number} - Number of documents
+     */
+    count() {
+        return Object.keys(this.records).length;
+    }
+
+    /**
+     * Remove all documents
+     */
+    clear() {
+        this.records = {};
+        this.changed();
+    }
+
+    changed() {
+        this.db.markDirty(this.name);
+    }
+}
+
+/**
+ * Embedded file-backed database: one JSON file per collection in a folder.
+ * Changes are kept in memory and written (atomically) shortly after, so a
+ * burst of updates costs one write. Call flush() before exiting.
+ */
+export class Database {
+    /**
+     * @param {String} dirPath - Folder for the collection files
+     * @param {Object} options
+     * @param {Number} options.saveDelay - Milliseconds to batch changes before writing
+     * @param {Array<Object>} options.migrations - Migrations to apply on open
+     */
+    constructor(dirPath, { saveDelay = 1000, migrations = MIGRATIONS } = {}) {
+        this.dirPath = dirPath;
+        this.saveDelay = saveDelay;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.collections = new Map();
+        this.dirty = new Set();
+        this.saveTimer = null;
+        this.meta = { version: 0 };
+    }
+
+    /**
+     * Load all collection files and apply pending migrations
+     * @returns {Database}
+     * @throws {DatabaseError} - If a file is corrupt or a migration fails
+     */
+    open() {
+        fs.mkdirSync(this.dirPath, { recursive: true });
+
+        try {
+            this.meta = readJson(this.filePath(META_FILE), { version: 0 });
+        } catch (err) {
+            throw new DatabaseError(`Failed to read ${META_FILE}: ${err.message}`);
+        }
+
+        const names = new Set(COLLECTIONS);
+        for (const file of fs.readdirSync(this.dirPath)) {
+            if (file.endsWith(".json") && file !== META_FILE) {
+                names.add(path.basename(file, ".json"));
+            }
+        }
+        for (const name of names) this.load(name);
+
+        this.migrate();
+        return this;
+    }
+
+    /**
+     * @param {String} name - Collection name
+     */
+    load(name) {
+        try {
+            const records = readJson(this.filePath(`${name}.json`), {});
+            this.collections.set(name, new Collection(this, name, records));
+        } catch (err) {
+            throw new DatabaseError(
+                `Collection ${name} is corrupt (${err.message}), fix or remove ${name}.json`
+            );
+        }
+    }
+
+    /**
+     * Apply migrations newer than the stored version, saving after each one
+     */
+    migrate() {
+        for (const migration of this.migrations) {
+            if (migration.version <= this.meta.version) continue;
+
+            try {
+                migration.up(this);
+            } catch (err) {
+                throw new DatabaseError(
+                    `Migration ${migration.version} (${migration.description}) failed: ${err.message}`
+                );
+            }
+
+            this.meta = { version: migration.version, migratedAt: Date.now() };
+            this.markDirty(META_FILE);
+            this.flush();
+
+            logger.log({
+                type: "info",
+                message: `Database migrated to v${migration.version}: ${migration.description}`
+            });
+        }
+    }
+
+    /**
+     * Get (or create) a collection
+     * @param {String} name - Collection name
+     * @returns {Collection}
+     */
+    collection(name) {
+        if (!/^[a-z][a-zA-Z0-9_-]*$/.test(name)) {
+            throw new DatabaseError(`Invalid collection name "${name}"`);
+        }
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    get users() {
+        return this.collection("users");
+    }
+
+    get groups() {
+        return this.collection("groups");
+    }
+
+    get settings() {
+        return this.collection("settings");
+    }
+
+    get usage() {
+        return this.collection("usage");
+    }
+
+    get jobs() {
+        return this.collection("jobs");
+    }
+
+    get audit() {
+        return this.collection("audit");
+    }
+
+    /**
+     * Remember that a collection has to be written, and schedule the write
+     * @param {String} name - Collection name (or the meta file)
+     */
+    markDirty(name) {
+        this.dirty.add(name);
+
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+            // Pending writes shouldn't keep the process alive
+            this.saveTimer.unref?.();
+        }
+    }
+
+    /**
+     * Write all changed collections now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        for (const name of this.dirty) {
+            try {
+                if (name === META_FILE) {
+                    writeJsonAtomic(this.filePath(META_FILE), this.meta);
+                } else {
+                    writeJsonAtomic(
+                        this.filePath(`${name}.json`),
+                        this.collections.get(name).records
+                    );
+                }
+                this.dirty.delete(name);
+            } catch (err) {
+                logger.handleError(err, `Failed to save collection ${name}`);
+            }
+        }
+    }
+
+    /**
+     * @param {String} file - File name inside the database folder
+     * @returns {String}
+     */
+    filePath(file) {
+        return path.join(this.dirPath, file);
+    }
+}
+
+/**
+ * Deep copy of a JSON document
+ * @param {*} value - JSON-compatible value
+ * @returns {*}
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
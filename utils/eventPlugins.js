@@ -0,0 +1,134 @@
+import { Logger } from "./AzusaLogger.js";
+
+const logger = new Logger();
+
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * Events an event plugin can subscribe to.
+ * `message` is emitted for plain messages that aren't prefixed commands
+ * (plugins marked `moderation: true` get every group message, commands
+ * included, before the command handler), the others are the Baileys
+ * events of the same name (one call per item).
+ */
+export const PLUGIN_EVENTS = [
+    "message",
+    "group-participants.update",
+    "messages.update",
+    "messages.reaction",
+    "call"
+];
+
+/**
+ * Check an event plugin definition
+ * @param {Object} plugin - The module's default export
+ * @returns {Array<String>} - Problems found (empty when valid)
+ */
+export function validateEventPlugin(plugin) {
+    const problems = [];
+
+    if (typeof plugin?.name !== "string" || !plugin.name) {
+        problems.push("name is required");
+    }
+
+    const events = Object.entries(plugin?.events || {});
+    if (!events.length) {
+        problems.push(
+            `events must map at least one of ${PLUGIN_EVENTS.join(
+                ", "
+            )} to a handler`
+        );
+    }
+    for (const [event, handler] of events) {
+        if (!PLUGIN_EVENTS.includes(event)) {
+            problems.push(`unknown event "${event}"`);
+        } else if (typeof handler !== "function") {
+            problems.push(`handler of "${event}" must be a function`);
+        }
+    }
+
+    if (
+        plugin?.priority !== undefined &&
+        typeof plugin.priority !== "number"
+    ) {
+        problems.push("priority must be a number");
+    }
+
+    if (
+        plugin?.moderation !== undefined &&
+        typeof plugin.moderation !== "boolean"
+    ) {
+        problems.push("moderation must be true or false");
+    }
+
+    return problems;
+}
+
+/**
+ * Delivers Baileys events to the loaded event plugins.
+ * Handlers run one after another in priority order (lower first). A
+ * handler returning `false` stops the plugins after it, and for `message`
+ * also the built-in handling of the message (automatic link downloads).
+ */
+export class EventDispatcher {
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Replace the registered plugins
+     * @param {Array<Object>} plugins - Event plugin definitions
+     */
+    setPlugins(plugins = []) {
+        this.plugins = plugins
+            .map((plugin, index) => ({ plugin, index }))
+            .sort(
+                (a, b) =>
+                    (a.plugin.priority ?? DEFAULT_PRIORITY) -
+                        (b.plugin.priority ?? DEFAULT_PRIORITY) ||
+                    a.index - b.index
+            )
+            .map(({ plugin }) => plugin);
+    }
+
+    /**
+     * Check whether any plugin listens to an event
+     * @param {String} event - Event name
+     * @param {Function} filter - Only count plugins it returns true for
+     * @returns {Boolean}
+     */
+    has(event, filter = () => true) {
+        return this.plugins.some(
+            plugin => plugin.events[event] && filter(plugin)
+        );
+    }
+
+    /**
+     * Call every handler of an event. Errors are logged per plugin so one
+     * broken plugin can't keep the others from running.
+     * @param {String} event - Event name
+     * @param {*} payload - Event data (message, update, reaction or call)
+     * @param {Object} ctx - Context shared by the handlers
+     * @param {Function} filter - Only call plugins it returns true for
+     * @returns {Boolean} - false if a handler stopped the event
+     */
+    async emit(event, payload, ctx, filter = () => true) {
+        for (const plugin of this.plugins) {
+            const handler = plugin.events[event];
+            if (!handler || !filter(plugin)) continue;
+
+            try {
+                if ((await handler.call(plugin, payload, ctx)) === false) {
+                    return false;
+                }
+            } catch (err) {
+                logger.handleError(
+                    err,
+                    `Event plugin ${plugin.name} failed on ${event}`
+                );
+            }
+        }
+
+        return true;
+    }
+}
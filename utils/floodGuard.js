@@ -0,0 +1,266 @@
+/**
+ * Token buckets: every key gets `capacity` tokens that refill evenly over
+ * `refillSeconds`. Each hit takes a token; an empty bucket means the key
+ * is going faster than the budget allows.
+ */
+export class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {Number} options.capacity - Burst size
+     * @param {Number} options.refillSeconds - Seconds to refill an empty bucket
+     */
+    constructor({ capacity = 5, refillSeconds = 20 } = {}) {
+        this.capacity = Math.max(1, capacity);
+        this.refillPerMs = this.capacity / (Math.max(1, refillSeconds) * 1000);
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take a token for a key
+     * @param {String} key - User or chat ID
+     * @param {Number} now - Current time in ms
+     * @returns {Boolean} - false if the bucket was empty
+     */
+    take(key, now = Date.now()) {
+        const bucket = this.buckets.get(key) || {
+            tokens: this.capacity,
+            updatedAt: now
+        };
+
+        bucket.tokens = Math.min(
+            this.capacity,
+            bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs
+        );
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Refill a key's bucket
+     * @param {String} key - User or chat ID
+     */
+    reset(key) {
+        this.buckets.delete(key);
+    }
+
+    /**
+     * Forget buckets that are full again
+     * @param {Number} now - Current time in ms
+     */
+    prune(now = Date.now()) {
+        for (const [key, bucket] of this.buckets) {
+            const tokens =
+                bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs;
+            if (tokens >= this.capacity) this.buckets.delete(key);
+        }
+    }
+}
+
+/**
+ * Anti-spam guard with per-user and per-chat budgets.
+ *
+ * A user that runs out of budget collects a strike:
+ * 1. first strike: warning
+ * 2. next strikes: ignored for `ignoreSeconds`, doubling every strike
+ * 3. `blockAfter` strikes: blocked (added to the blocklist; a sender
+ *    known only by JID is blocked in memory, until the bot restarts)
+ * Strikes expire `strikeWindow` seconds after the last one.
+ *
+ * A chat that runs out of budget is paused for `chatPauseSeconds`.
+ */
+export class FloodGuard {
+    /**
+     * @param {Object} options - config.antiSpam
+     * @param {Object} options.blocklist - Blocklist that auto-blocks go to
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.users = new RateLimiter(options.user);
+        this.chats = new RateLimiter(options.chat);
+        this.ignoreSeconds = options.ignoreSeconds ?? 60;
+        this.blockAfter = options.blockAfter ?? 4;
+        this.strikeWindow = options.strikeWindow ?? 600;
+        this.chatPauseSeconds = options.chatPauseSeconds ?? 60;
+        this.blocklist = options.blocklist || null;
+
+        this.offenders = new Map(); // user -> { strikes, lastStrikeAt, ignoredUntil, chatId }
+        this.pausedChats = new Map(); // chat -> { pausedUntil, count }
+    }
+
+    /**
+     * Record a command from a user in a chat and decide what to do with it
+     * @param {Object} options
+     * @param {String} options.userId - Sender number (or JID if unresolved)
+     * @param {String} options.chatId - Chat JID
+     * @param {Number} now - Current time in ms
+     * @returns {Object} - { action, notify, until, strikes } where action is
+     *   "allow", "warn", "ignore", "block" or "chat-paused"; notify is true
+     *   when the sender should be told (only on the first hit of a state)
+     */
+    hit({ userId, chatId }, now = Date.now()) {
+        if (!this.enabled) return { action: "allow", notify: false };
+
+        this.expire(now);
+
+        const offender = this.offenders.get(userId);
+        if (offender?.ignoredUntil > now) {
+            return {
+                action: "ignore",
+                notify: false,
+                until: offender.ignoredUntil,
+                strikes: offender.strikes
+            };
+        }
+
+        const paused = this.pausedChats.get(chatId);
+        if (paused?.pausedUntil > now) {
+            return {
+                action: "chat-paused",
+                notify: false,
+                until: paused.pausedUntil
+            };
+        }
+
+        if (!this.users.take(userId, now)) {
+            return this.strike(userId, chatId, now);
+        }
+
+        if (!this.chats.take(chatId, now)) {
+            const pausedUntil = now + this.chatPauseSeconds * 1000;
+            this.pausedChats.set(chatId, {
+                pausedUntil,
+                count: (paused?.count || 0) + 1
+            });
+            return { action: "chat-paused", notify: true, until: pausedUntil };
+        }
+
+        return { action: "allow", notify: false };
+    }
+
+    /**
+     * Add a strike to a user and escalate
+     * @param {String} userId - Sender number (or JID if unresolved)
+     * @param {String} chatId - Chat JID
+     * @param {Number} now - Current time in ms
+     * @returns {Object} - Verdict (see hit)
+     */
+    strike(userId, chatId, now) {
+        const offender = this.offenders.get(userId) || {
+            strikes: 0,
+            ignoredUntil: 0
+        };
+        offender.strikes += 1;
+        offender.lastStrikeAt = now;
+        offender.chatId = chatId;
+        this.offenders.set(userId, offender);
+
+        if (this.blockAfter && offender.strikes >= this.blockAfter) {
+            offender.blocked = true;
+            offender.ignoredUntil = Infinity;
+            // The blocklist holds phone numbers: the digits of a LID would
+            // match nobody, so unresolved senders stay blocked in memory only
+            offender.temporary = userId.includes("@");
+            if (!offender.temporary) {
+                this.blocklist?.add(userId, {
+                    reason: `Flooding commands (${offender.strikes} strikes)`,
+                    by: "anti-spam"
+                });
+            }
+            return { action: "block", notify: true, strikes: offender.strikes };
+        }
+
+        if (offender.strikes === 1) {
+            return { action: "warn", notify: true, strikes: 1 };
+        }
+
+        offender.ignoredUntil =
+            now + this.ignoreSeconds * 1000 * 2 ** (offender.strikes - 2);
+        return {
+            action: "ignore",
+            notify: true,
+            until: offender.ignoredUntil,
+            strikes: offender.strikes
+        };
+    }
+
+    /**
+     * Drop strikes and chat pauses that ran out
+     * @param {Number} now - Current time in ms
+     */
+    expire(now = Date.now()) {
+        for (const [userId, offender] of this.offenders) {
+            if (
+                !offender.blocked &&
+                offender.ignoredUntil <= now &&
+                now - offender.lastStrikeAt > this.strikeWindow * 1000
+            ) {
+                this.offenders.delete(userId);
+            }
+        }
+        for (const [chatId, paused] of this.pausedChats) {
+            if (paused.pausedUntil <= now) this.pausedChats.delete(chatId);
+        }
+        this.users.prune(now);
+        this.chats.prune(now);
+    }
+
+    /**
+     * Current offenders and paused chats
+     * @returns {Object} - { users: [{ userId, ...offender }], chats: [{ chatId, ...paused }] }
+     */
+    list() {
+        this.expire();
+        return {
+            users: [...this.offenders].map(([userId, offender]) => ({
+                userId,
+                ...offender
+            })),
+            chats: [...this.pausedChats].map(([chatId, paused]) => ({
+                chatId,
+                ...paused
+            }))
+        };
+    }
+
+    /**
+     * Forgive a user or chat: strikes, ignore, pause and anti-spam block
+     * @param {String} id - User number, user JID (if unresolved) or chat JID
+     * @returns {Boolean} - Whether there was anything to clear
+     */
+    clear(id) {
+        const autoBlocked = this.blocklist
+            ?.list()
+            .some(entry => entry.number === id && entry.by === "anti-spam");
+        const found =
+            this.offenders.delete(id) ||
+            this.pausedChats.delete(id) ||
+            autoBlocked;
+
+        if (autoBlocked) this.blocklist.remove(id);
+        this.users.reset(id);
+        this.chats.reset(id);
+
+        return !!found;
+    }
+
+    /**
+     * Forgive everyone (anti-spam blocks are lifted too)
+     * @returns {Number} - Number of users and chats cleared
+     */
+    clearAll() {
+        const ids = new Set([
+            ...this.offenders.keys(),
+            ...this.pausedChats.keys(),
+            ...(this.blocklist?.list() || [])
+                .filter(entry => entry.by === "anti-spam")
+                .map(entry => entry.number)
+        ]);
+
+        for (const id of ids) this.clear(id);
+        return ids.size;
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Levenshtein edit distance between two strings
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} - Number of single-character edits needed
+ */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1, // deletion
+                current[j - 1] + 1, // insertion
+                previous[j - 1] + cost // substitution
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Find the candidates closest to an input
+ * @param {String} input - What the user typed
+ * @param {Array<String>} candidates - Known names
+ * @param {Object} options
+ * @param {Number} options.maxDistance - Largest edit distance to accept (default: 2)
+ * @param {Number} options.limit - Maximum number of results (default: 3)
+ * @returns {Array<Object>} - [{ name, distance }] sorted by distance, then name
+ */
+export function findClosest(input, candidates, { maxDistance = 2, limit = 3 } = {}) {
+    const needle = input.toLowerCase();
+    // Short inputs need a tighter threshold, otherwise everything matches
+    const threshold = Math.min(maxDistance, Math.floor(needle.length / 2));
+
+    return [...new Set(candidates)]
+        .map(name => ({ name, distance: editDistance(needle, name.toLowerCase()) }))
+        .filter(({ name, distance }) => {
+            // Treat a typed prefix of a longer name ("ytmp" -> "ytmp3") as a near match
+            const isPrefix = name.startsWith(needle) && needle.length >= 2;
+            return distance <= threshold || (isPrefix && distance <= maxDistance);
+        })
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+        .slice(0, limit);
+}
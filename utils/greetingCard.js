@@ -0,0 +1,67 @@
+import Jimp from "jimp";
+
+const WIDTH = 800;
+const HEIGHT = 300;
+const AVATAR_SIZE = 200;
+const PADDING = 50;
+
+// Card background per greeting type
+const BACKGROUNDS = {
+    welcome: "#2e7d32",
+    leave: "#546e7a",
+    promote: "#1565c0",
+    demote: "#ef6c00"
+};
+
+// Shown when the member has no (visible) profile picture
+const NO_AVATAR = "#b0bec5";
+
+/**
+ * Render a greeting card: the member's profile picture in a circle next
+ * to a title and a line of text. Jimp's bundled fonts only cover Latin-1,
+ * so other characters (emoji, non-Latin scripts) are left out.
+ * @param {Object} options
+ * @param {String} options.type - welcome, leave, promote or demote
+ * @param {String} options.avatarUrl - Profile picture URL (optional)
+ * @param {String} options.title - Big text, e.g. "WELCOME"
+ * @param {String} options.subtitle - Small text below it, e.g. the group name
+ * @returns {Promise<Buffer>} - JPEG image
+ */
+export async function renderGreetingCard({ type, avatarUrl, title, subtitle }) {
+    const background = BACKGROUNDS[type] || BACKGROUNDS.welcome;
+    const card = new Jimp(WIDTH, HEIGHT, background);
+
+    let avatar;
+    try {
+        avatar = avatarUrl ? await Jimp.read(avatarUrl) : null;
+    } catch {
+        avatar = null;
+    }
+    avatar = (avatar || new Jimp(AVATAR_SIZE, AVATAR_SIZE, NO_AVATAR))
+        .cover(AVATAR_SIZE, AVATAR_SIZE)
+        .circle();
+    card.composite(avatar, PADDING, (HEIGHT - AVATAR_SIZE) / 2);
+
+    const [titleFont, textFont] = await Promise.all([
+        Jimp.loadFont(Jimp.FONT_SANS_64_WHITE),
+        Jimp.loadFont(Jimp.FONT_SANS_32_WHITE)
+    ]);
+    const textX = PADDING * 2 + AVATAR_SIZE;
+    const textWidth = WIDTH - textX - PADDING;
+
+    card.print(titleFont, textX, 70, printable(title), textWidth);
+    card.print(textFont, textX, 160, printable(subtitle), textWidth);
+
+    return card.quality(90).getBufferAsync(Jimp.MIME_JPEG);
+}
+
+/**
+ * @param {String} text - Any text
+ * @returns {String} - The text without characters the fonts can't draw
+ */
+function printable(text) {
+    return String(text || "")
+        .replace(/[^\x20-\xFF]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
@@ -0,0 +1,137 @@
+import { Logger } from "./AzusaLogger.js";
+import { getBotJids, sameUser } from "./groupHelper.js";
+import { renderGreetingCard } from "./greetingCard.js";
+
+const logger = new Logger();
+
+/**
+ * Group greetings: messages sent when members join, leave, or are
+ * promoted/demoted. Every group can replace the default text of each type
+ * (from the locale catalogs) with its own template, stored in the groups
+ * collection of the database. Templates can use these placeholders:
+ *
+ *   {user}   mention of the member(s)
+ *   {group}  group name
+ *   {desc}   group description
+ *   {count}  number of members
+ */
+
+export const GREETING_TYPES = ["welcome", "leave", "promote", "demote"];
+
+// group-participants.update action -> greeting type
+const ACTIONS = {
+    add: "welcome",
+    remove: "leave",
+    promote: "promote",
+    demote: "demote"
+};
+
+/**
+ * @param {String} action - add, remove, promote or demote
+ * @returns {String|null} - The greeting type for a participant update
+ */
+export function greetingTypeOf(action) {
+    return ACTIONS[action] || null;
+}
+
+/**
+ * Get the template a group uses for a greeting type
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} type - Greeting type
+ * @param {Function} t - Translator in the group's language (for the default)
+ * @returns {Object} - { template, custom }
+ */
+export function getTemplate(groups, groupId, type, t) {
+    const custom = groups.get(groupId)?.greetings?.[type];
+    return custom
+        ? { template: custom, custom: true }
+        : { template: t(`greetings.defaults.${type}`), custom: false };
+}
+
+/**
+ * Store a group's own template for a greeting type
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} type - Greeting type
+ * @param {String|null} template - New template, or null for the default
+ */
+export function setTemplate(groups, groupId, type, template) {
+    groups.update(groupId, group => {
+        const greetings = { ...group.greetings };
+        if (template) greetings[type] = template;
+        else delete greetings[type];
+        return { ...group, greetings };
+    });
+}
+
+/**
+ * Replace the placeholders of a template; unknown ones are left as they are
+ * @param {String} template - Template text
+ * @param {Object} vars - { user, group, desc, count }
+ * @returns {String}
+ */
+export function fillTemplate(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        vars[name] === undefined || vars[name] === null
+            ? match
+            : String(vars[name])
+    );
+}
+
+/**
+ * Build the message for a greeting
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Object} options
+ * @param {String} options.type - Greeting type
+ * @param {Array<String>} options.participants - JIDs of the members it is about
+ * @param {Object} options.metadata - Group metadata (optional)
+ * @param {String} options.template - Template text
+ * @param {Boolean} options.card - Send an image card (only for a single member)
+ * @param {Function} options.t - Translator in the group's language
+ * @returns {Promise<Object>} - sendMessage content
+ */
+export async function buildGreeting(
+    sock,
+    { type, participants, metadata, template, card, t }
+) {
+    const text = fillTemplate(template, {
+        user: participants.map(jid => `@${jid.split("@")[0]}`).join(", "),
+        group: metadata?.subject || "",
+        desc: metadata?.desc || "",
+        count: metadata?.participants?.length ?? ""
+    });
+    const message = { text, mentions: participants };
+
+    if (!card || participants.length !== 1) return message;
+
+    try {
+        const avatarUrl = await sock
+            .profilePictureUrl(participants[0], "image")
+            .catch(() => null);
+        const image = await renderGreetingCard({
+            type,
+            avatarUrl,
+            title: t(`greetings.card.${type}`),
+            subtitle: metadata?.subject || ""
+        });
+        return { image, caption: text, mentions: participants };
+    } catch (err) {
+        // The text alone is still a greeting
+        logger.handleError(err, "Failed to render greeting card");
+        return message;
+    }
+}
+
+/**
+ * Leave out the bot itself (e.g. when it is added to a group)
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Array<String>} participants - Participant JIDs
+ * @returns {Array<String>}
+ */
+export function withoutBot(sock, participants) {
+    const botJids = getBotJids(sock);
+    return participants.filter(
+        jid => !botJids.some(botJid => sameUser(jid, botJid))
+    );
+}
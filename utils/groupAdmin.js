@@ -0,0 +1,197 @@
+import {
+    findParticipant,
+    getBotJids,
+    getTargetJids,
+    isBotAdmin,
+    sameUser,
+    stripTargets
+} from "./groupHelper.js";
+import { logAction } from "./moderation.js";
+import { resolveParticipant } from "./permissions.js";
+
+/**
+ * Shared logic of the group administration commands (commands/group/).
+ * The sender's admin status is checked by the commands' `chatAdmin`
+ * permission, the bot's here, both from the cached group metadata.
+ */
+
+// groupParticipantsUpdate status codes -> groupAdmin.reasons.* keys
+const STATUS_REASONS = {
+    401: "blocked",
+    403: "notAllowed",
+    404: "notMember",
+    408: "recentlyLeft",
+    409: "alreadyMember"
+};
+
+/**
+ * Reply and return false when the bot isn't an admin of the group
+ * @param {Object} context - Command context
+ * @returns {Promise<Boolean>} - Whether the bot is an admin
+ */
+export async function requireBotAdmin(context) {
+    if (isBotAdmin(context.sock, context.groupMetadata)) return true;
+    await context.reply(context.t("groupAdmin.botNotAdmin"));
+    return false;
+}
+
+/**
+ * Check whether WhatsApp refused a group change for lack of rights (e.g.
+ * the bot was demoted after the metadata was cached)
+ * @param {Error} err - Error thrown by a group method of the socket
+ * @returns {Boolean}
+ */
+export function isNotAuthorized(err) {
+    const status = err?.output?.statusCode || err?.data?.status;
+    return (
+        [401, 403].includes(Number(status)) ||
+        /not-authorized|forbidden/i.test(err?.message || "")
+    );
+}
+
+/**
+ * Add, remove, promote or demote the targets of a command (mentions,
+ * typed numbers or the author of the replied-to message), reply with the
+ * outcome per member and record the changes in the audit log. Text after
+ * the targets is logged as the reason.
+ * @param {Object} context - Command context
+ * @param {String} action - add, remove, promote or demote
+ */
+export async function runParticipantAction(context, action) {
+    const { sock, msg, args, rawArgs, quoted, from, prefix, commandName, t } =
+        context;
+
+    const targets = getTargetJids(msg, quoted, args);
+    if (!targets.length) {
+        return await context.reply(
+            t("groupAdmin.noTarget", { usage: `${prefix}${commandName}` })
+        );
+    }
+    if (!(await requireBotAdmin(context))) return;
+
+    let results;
+    try {
+        results = await updateParticipants(context, targets, action);
+    } catch (err) {
+        if (isNotAuthorized(err)) {
+            return await context.reply(t("groupAdmin.botNotAdmin"));
+        }
+        throw err;
+    }
+
+    const reason = stripTargets(rawArgs || "");
+    for (const result of results.filter(result => result.ok)) {
+        const member = resolveParticipant(result.jid, context.groupMetadata);
+        logAction(context.db.audit, from, {
+            action,
+            by: context.senderNumber,
+            target: member.number || result.jid.split("@")[0],
+            reason
+        });
+    }
+
+    await sock.sendMessage(from, formatResults(results, action, t), {
+        quoted: msg
+    });
+    return results;
+}
+
+/**
+ * Apply a participant change, leaving out members it can't work for
+ * @param {Object} context - Command context
+ * @param {Array<String>} jids - Member JIDs
+ * @param {String} action - add, remove, promote or demote
+ * @returns {Promise<Array<Object>>} - [{ jid, ok, reason }]
+ */
+export async function updateParticipants(context, jids, action) {
+    const { sock, from, groupMetadata } = context;
+    const results = [];
+    const pending = [];
+
+    for (const jid of jids) {
+        const reason = skipReason(sock, groupMetadata, jid, action);
+        if (reason) results.push({ jid, ok: false, reason });
+        else pending.push(jid);
+    }
+    if (!pending.length) return results;
+
+    const response = await sock.groupParticipantsUpdate(from, pending, action);
+    for (const jid of pending) {
+        const entry = response?.find(item => sameUser(item.jid, jid));
+        const status = Number(entry?.status ?? 200);
+        if (status === 200) {
+            results.push({ jid, ok: true });
+        } else {
+            // Adding fails with 403 when the user only accepts invites
+            const reason =
+                action === "add" && status === 403
+                    ? "privacy"
+                    : STATUS_REASONS[status] || "failed";
+            results.push({ jid, ok: false, reason });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Object} metadata - Group metadata
+ * @param {String} jid - Member JID
+ * @param {String} action - add, remove, promote or demote
+ * @returns {String|null} - Why the change can't be made, or null
+ */
+function skipReason(sock, metadata, jid, action) {
+    if (getBotJids(sock).some(botJid => sameUser(botJid, jid))) {
+        return "self";
+    }
+
+    const participant = findParticipant(metadata, jid);
+    if (action === "add") return participant ? "alreadyMember" : null;
+    if (!participant) return "notMember";
+
+    // Nobody can remove or demote the group's creator
+    if (participant.admin === "superadmin" && action !== "promote") {
+        return "groupOwner";
+    }
+    if (action === "promote" && participant.admin) return "alreadyAdmin";
+    if (action === "demote" && !participant.admin) return "notAdmin";
+    return null;
+}
+
+/**
+ * Reply describing what happened to every member
+ * @param {Array<Object>} results - Result of updateParticipants
+ * @param {String} action - add, remove, promote or demote
+ * @param {Function} t - Translator from the command context
+ * @returns {Object} - sendMessage content with mentions
+ */
+export function formatResults(results, action, t) {
+    const mention = jid => `@${jid.split("@")[0]}`;
+    const done = results.filter(result => result.ok);
+    const failed = results.filter(result => !result.ok);
+    const lines = [];
+
+    if (done.length) {
+        lines.push(
+            t(`groupAdmin.done.${action}`, {
+                users: done.map(result => mention(result.jid)).join(", ")
+            })
+        );
+    }
+    if (failed.length) {
+        lines.push(t("groupAdmin.failedTitle"));
+        for (const result of failed) {
+            lines.push(
+                `• ${mention(result.jid)}: ${t(
+                    `groupAdmin.reasons.${result.reason}`
+                )}`
+            );
+        }
+    }
+
+    return {
+        text: lines.join("\n"),
+        mentions: results.map(result => result.jid)
+    };
+}
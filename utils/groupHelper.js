@@ -0,0 +1,98 @@
+import MessageHelper from "./messageHelper.js";
+
+/**
+ * Compare two JIDs by user part, ignoring device suffix and server
+ * @param {String} a - First JID
+ * @param {String} b - Second JID
+ * @returns {Boolean}
+ */
+export function sameUser(a, b) {
+    if (!a || !b) return false;
+    const userA = a.split("@")[0].split(":")[0];
+    const userB = b.split("@")[0].split(":")[0];
+    return userA === userB;
+}
+
+/**
+ * Find a participant in group metadata by phone-number JID or LID
+ * @param {Object} metadata - Group metadata
+ * @param {String|Array<String>} jids - JID(s) identifying the user
+ * @returns {Object|null} - The participant entry or null
+ */
+export function findParticipant(metadata, jids) {
+    const candidates = (Array.isArray(jids) ? jids : [jids]).filter(Boolean);
+    if (!candidates.length) return null;
+
+    return (
+        (metadata?.participants || []).find(participant =>
+            [participant.id, participant.lid, participant.jid, participant.phoneNumber]
+                .filter(Boolean)
+                .some(id => candidates.some(jid => sameUser(id, jid)))
+        ) || null
+    );
+}
+
+/**
+ * Check whether a user is an admin (or the creator) of a group
+ * @param {Object} metadata - Group metadata
+ * @param {String|Array<String>} jids - JID(s) identifying the user
+ * @returns {Boolean}
+ */
+export function isGroupAdmin(metadata, jids) {
+    const participant = findParticipant(metadata, jids);
+    return (
+        participant?.admin === "admin" || participant?.admin === "superadmin"
+    );
+}
+
+/**
+ * Get the JIDs identifying the bot account (phone-number JID and LID)
+ * @param {Object} sock - The WhatsApp socket instance
+ * @returns {Array<String>}
+ */
+export function getBotJids(sock) {
+    const user = sock?.user || {};
+    return [user.id, user.lid].filter(Boolean);
+}
+
+/**
+ * Check whether the bot is an admin of a group
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Object} metadata - Group metadata
+ * @returns {Boolean}
+ */
+export function isBotAdmin(sock, metadata) {
+    return isGroupAdmin(metadata, getBotJids(sock));
+}
+
+/**
+ * Get the users a moderation command is about: the mentioned users and
+ * phone numbers typed as arguments, or else the author of the replied-to
+ * message
+ * @param {Object} msg - The command message
+ * @param {Object} quoted - Quoted message from the command context (or null)
+ * @param {Array<String>} args - Command arguments (optional)
+ * @returns {Array<String>} - Target JIDs, without duplicates
+ */
+export function getTargetJids(msg, quoted, args = []) {
+    // "628123456789" or "+62812-3456-789"; "@628..." is a mention instead
+    const typed = args
+        .filter(arg => /^\+?\d[\d-]{7,}$/.test(arg))
+        .map(arg => `${arg.replace(/\D/g, "")}@s.whatsapp.net`);
+    const targets = [...MessageHelper.getMentionedJids(msg), ...typed];
+    if (!targets.length && quoted?.sender) targets.push(quoted.sender);
+    return [...new Set(targets.filter(Boolean))];
+}
+
+/**
+ * Text of a command with the targets (mentions and typed numbers) left
+ * out, e.g. the reason in "/warn @628123456789 spamming"
+ * @param {String} rawArgs - Everything after the command name
+ * @returns {String}
+ */
+export function stripTargets(rawArgs) {
+    return rawArgs
+        .replace(/(^|\s)(@\d+|\+?\d[\d-]{7,})(?=\s|$)/g, "$1")
+        .replace(/[ \t]{2,}/g, " ")
+        .trim();
+}
@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Logger } from "./AzusaLogger.js";
+import { readJson } from "./jsonFile.js";
+import config from "../config.js";
+
+const logger = new Logger();
+
+const LOCALES_DIR = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "..",
+    "locales"
+);
+
+// Used when a key is missing from the requested locale
+const FALLBACK_LOCALE = "en";
+
+/**
+ * Message catalogs for bot replies. Every locale is a JSON file in
+ * locales/ (e.g. locales/id.json) with nested keys:
+ *
+ *   { "yt": { "tooLong": "Video too long ({duration})" } }
+ *
+ * - `{name}` placeholders are replaced with the values passed to t()
+ * - a value can be an object of plural forms ("zero", "one", "other", ...)
+ *   chosen with Intl.PluralRules from the `count` value
+ */
+export class I18n {
+    /**
+     * @param {String} dir - Folder with the <locale>.json catalogs
+     * @param {Object} options
+     * @param {String} options.defaultLocale - Locale used when none is given
+     */
+    constructor(dir, { defaultLocale = "id" } = {}) {
+        this.dir = dir;
+        this.defaultLocale = defaultLocale;
+        this.catalogs = {};
+        this.missing = new Set();
+        this.load();
+    }
+
+    /**
+     * (Re)read all catalogs from disk
+     */
+    load() {
+        const catalogs = {};
+
+        for (const file of fs.readdirSync(this.dir)) {
+            if (!file.endsWith(".json")) continue;
+            try {
+                catalogs[path.basename(file, ".json")] = readJson(
+                    path.join(this.dir, file),
+                    {}
+                );
+            } catch (err) {
+                logger.handleError(err, `Failed to read locale ${file}`);
+            }
+        }
+
+        this.catalogs = catalogs;
+        this.missing.clear();
+    }
+
+    /**
+     * @returns {Array<String>} - Available locale codes
+     */
+    get locales() {
+        return Object.keys(this.catalogs).sort();
+    }
+
+    /**
+     * Look up the raw catalog entry of a key
+     * @param {String} locale - Locale code
+     * @param {String} key - Dot-separated key, e.g. "yt.tooLong"
+     * @returns {String|Object|undefined}
+     */
+    lookup(locale, key) {
+        return key
+            .split(".")
+            .reduce(
+                (node, part) => (node == null ? undefined : node[part]),
+                this.catalogs[locale]
+            );
+    }
+
+    /**
+     * Check whether a key exists in a locale (or the fallback locale)
+     * @param {String} locale - Locale code
+     * @param {String} key - Dot-separated key
+     * @returns {Boolean}
+     */
+    has(locale, key) {
+        return (
+            this.lookup(locale, key) !== undefined ||
+            this.lookup(FALLBACK_LOCALE, key) !== undefined
+        );
+    }
+
+    /**
+     * Translate a key
+     * @param {String} locale - Locale code
+     * @param {String} key - Dot-separated key
+     * @param {Object} vars - Placeholder values; `count` selects the plural form
+     * @returns {String} - The message, or the key itself if it doesn't exist
+     */
+    translate(locale, key, vars = {}) {
+        const candidates = [locale, this.defaultLocale, FALLBACK_LOCALE];
+        const found = candidates.find(
+            candidate => this.lookup(candidate, key) !== undefined
+        );
+
+        if (!found) {
+            if (!this.missing.has(key)) {
+                this.missing.add(key);
+                logger.log({
+                    type: "warning",
+                    message: `Missing translation for "${key}"`
+                });
+            }
+            return key;
+        }
+
+        let message = this.lookup(found, key);
+        if (typeof message === "object") {
+            message = selectPlural(found, message, vars.count);
+        }
+
+        return interpolate(String(message), vars);
+    }
+
+    /**
+     * Create a t() function bound to a locale
+     * @param {String} locale - Locale code (falls back to the default)
+     * @returns {Function} - t(key, vars) with `t.locale` and `t.has(key)`
+     */
+    translator(locale) {
+        const resolved = this.catalogs[locale] ? locale : this.defaultLocale;
+        const t = (key, vars) => this.translate(resolved, key, vars);
+        t.locale = resolved;
+        t.has = key => this.has(resolved, key);
+        return t;
+    }
+}
+
+/**
+ * Pick the plural form for a count
+ * @param {String} locale - Locale code
+ * @param {Object} forms - { zero?, one?, two?, few?, many?, other }
+ * @param {Number} count - The count
+ * @returns {String}
+ */
+function selectPlural(locale, forms, count = 0) {
+    if (count === 0 && forms.zero !== undefined) return forms.zero;
+
+    const category = new Intl.PluralRules(locale).select(count);
+    return forms[category] ?? forms.other ?? "";
+}
+
+/**
+ * Replace {name} placeholders; unknown placeholders are left as they are
+ * @param {String} message - Message with placeholders
+ * @param {Object} vars - Placeholder values
+ * @returns {String}
+ */
+function interpolate(message, vars) {
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        vars[name] === undefined || vars[name] === null
+            ? match
+            : String(vars[name])
+    );
+}
+
+// Shared instance used by the bot and by commands that format text
+// outside of execute() (captions etc.)
+const i18n = new I18n(LOCALES_DIR, { defaultLocale: config.language || "id" });
+
+export default i18n;
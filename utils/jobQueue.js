@@ -0,0 +1,281 @@
+import { Logger } from "./AzusaLogger.js";
+
+const logger = new Logger();
+
+/**
+ * Error thrown when a job can't be queued. `code` ("queueFull" or
+ * "userLimit") and `data` let callers build a translated message.
+ */
+export class JobQueueError extends Error {
+    constructor(message, code, data = {}) {
+        super(message);
+        this.name = "JobQueueError";
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Bounded queue for heavy work (downloads) with a global and a per-user
+ * concurrency limit. Jobs run in the order they were added, except that a
+ * job whose user already has `perUser` jobs running lets later jobs of
+ * other users go first.
+ *
+ * Job statuses: queued -> running -> done | failed, or cancelled.
+ */
+export class JobQueue {
+    /**
+     * @param {Object} options
+     * @param {Number} options.concurrency - Jobs running at the same time
+     * @param {Number} options.perUser - Jobs of one user running at the same time
+     * @param {Number} options.maxQueued - Jobs waiting at most (0 = unlimited)
+     * @param {Number} options.maxQueuedPerUser - Jobs of one user waiting at most (0 = unlimited)
+     */
+    constructor({
+        concurrency = 2,
+        perUser = 1,
+        maxQueued = 20,
+        maxQueuedPerUser = 3
+    } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.perUser = Math.max(1, perUser);
+        this.maxQueued = maxQueued;
+        this.maxQueuedPerUser = maxQueuedPerUser;
+        this.jobs = []; // queued and running jobs, oldest first
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {Object} options
+     * @param {String} options.userId - Who started the job
+     * @param {String} options.chatId - Chat the job was started in
+     * @param {String} options.label - Short description (e.g. the command)
+     * @param {Function} options.run - async (job) => result; check job.signal to stop early
+     * @param {Function} options.onUpdate - Called with the job when its status or position changes
+     * @returns {Object} - The job; `job.done` settles when it finished
+     * @throws {JobQueueError} - If the queue (or the user's share of it) is full
+     */
+    add({ userId, chatId, label, run, onUpdate }) {
+        const queued = this.list("queued");
+
+        if (this.maxQueued && queued.length >= this.maxQueued) {
+            throw new JobQueueError(
+                "The queue is full right now, please try again in a few minutes.",
+                "queueFull"
+            );
+        }
+        if (
+            this.maxQueuedPerUser &&
+            queued.filter(job => job.userId === userId).length >=
+                this.maxQueuedPerUser
+        ) {
+            throw new JobQueueError(
+                `You already have ${this.maxQueuedPerUser} requests waiting, please wait for them to finish.`,
+                "userLimit",
+                { count: this.maxQueuedPerUser }
+            );
+        }
+
+        const controller = new AbortController();
+        const job = {
+            id: String(this.nextId++),
+            userId,
+            chatId,
+            label,
+            status: "queued",
+            position: 0,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            signal: controller.signal,
+            controller,
+            run,
+            onUpdate
+        };
+        job.done = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        // Callers that don't await `done` shouldn't cause unhandled rejections
+        job.done.catch(() => {});
+
+        this.jobs.push(job);
+        this.schedule();
+
+        return job;
+    }
+
+    /**
+     * Get queued and running jobs
+     * @param {String} status - Only jobs with this status (optional)
+     * @returns {Array<Object>}
+     */
+    list(status = null) {
+        return this.jobs.filter(job => !status || job.status === status);
+    }
+
+    /**
+     * Find a queued or running job
+     * @param {String} id - Job ID
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.jobs.find(job => job.id === String(id)) || null;
+    }
+
+    /**
+     * Cancel a job. Queued jobs are removed right away; running jobs get
+     * their signal aborted and keep their slot until they return.
+     * @param {String} id - Job ID
+     * @returns {Object|null} - The cancelled job, or null if not found
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || job.status === "cancelled") return null;
+
+        const wasQueued = job.status === "queued";
+        job.status = "cancelled";
+        job.controller.abort();
+        this.notify(job);
+
+        if (wasQueued) {
+            this.remove(job);
+            job.finishedAt = Date.now();
+            job.resolve();
+            this.schedule();
+        }
+
+        return job;
+    }
+
+    /**
+     * Start whatever fits in the free slots and refresh queue positions
+     */
+    schedule() {
+        const running = this.list("running").concat(
+            this.jobs.filter(job => job.status === "cancelled")
+        );
+        const perUser = new Map();
+        for (const job of running) {
+            perUser.set(job.userId, (perUser.get(job.userId) || 0) + 1);
+        }
+
+        let slots = this.concurrency - running.length;
+        for (const job of this.list("queued")) {
+            if (slots <= 0) break;
+            if ((perUser.get(job.userId) || 0) >= this.perUser) continue;
+
+            perUser.set(job.userId, (perUser.get(job.userId) || 0) + 1);
+            slots--;
+            this.start(job);
+        }
+
+        this.list("queued").forEach((job, index) => {
+            if (job.position !== index + 1) {
+                job.position = index + 1;
+                this.notify(job);
+            }
+        });
+    }
+
+    /**
+     * Run a job and free its slot once it settles
+     * @param {Object} job - Queued job
+     */
+    start(job) {
+        job.status = "running";
+        job.position = 0;
+        job.startedAt = Date.now();
+        this.notify(job);
+
+        Promise.resolve()
+            .then(() => job.run(job))
+            .then(
+                result => this.finish(job, "done", null, result),
+                err => this.finish(job, "failed", err)
+            );
+    }
+
+    /**
+     * Record the outcome of a running job
+     * @param {Object} job - The job
+     * @param {String} status - "done" or "failed"
+     * @param {Error} error - Error if it failed
+     * @param {*} result - Value returned by run
+     */
+    finish(job, status, error = null, result = undefined) {
+        this.remove(job);
+        job.finishedAt = Date.now();
+
+        if (job.status !== "cancelled") {
+            job.status = status;
+            job.error = error;
+            this.notify(job);
+        }
+
+        if (error && job.status !== "cancelled") job.reject(error);
+        else job.resolve(result);
+
+        this.schedule();
+    }
+
+    /**
+     * @param {Object} job - Job to drop from the list
+     */
+    remove(job) {
+        this.jobs = this.jobs.filter(existing => existing !== job);
+    }
+
+    /**
+     * Tell the job's owner that its status or position changed
+     * @param {Object} job - The job
+     */
+    notify(job) {
+        try {
+            const pending = job.onUpdate?.(job);
+            if (pending?.catch) {
+                pending.catch(err =>
+                    logger.handleError(err, `Job ${job.id} update failed`)
+                );
+            }
+        } catch (err) {
+            logger.handleError(err, `Job ${job.id} update failed`);
+        }
+    }
+}
+
+/**
+ * A status message that is sent once and edited afterwards. Updates are
+ * applied in order even when they are requested faster than WhatsApp
+ * answers.
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {String} chatId - Chat to send the status message to
+ * @param {Object} quoted - Message the status message replies to
+ * @returns {Function} - async (text) => { key } of the status message
+ */
+export function createStatusMessage(sock, chatId, quoted) {
+    let key = null;
+    let chain = Promise.resolve();
+
+    return text => {
+        chain = chain
+            .then(async () => {
+                if (key) {
+                    await sock.sendMessage(chatId, { text, edit: key });
+                } else {
+                    const sent = await sock.sendMessage(
+                        chatId,
+                        { text },
+                        { quoted }
+                    );
+                    key = sent?.key || null;
+                }
+            })
+            .catch(err => logger.handleError(err, "Failed to update status message"))
+            .then(() => ({ key }));
+
+        return chain;
+    };
+}
@@ -0,0 +1,28 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Read and parse a JSON file
+ * @param {String} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned when the file doesn't exist
+ * @returns {*} - Parsed content or the fallback
+ * @throws {Error} - If the file exists but can't be parsed
+ */
+export function readJson(filePath, fallback = null) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename), so a
+ * crash mid-write never leaves a truncated file behind
+ * @param {String} filePath - Path to the JSON file
+ * @param {*} data - Data to serialize
+ */
+export function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
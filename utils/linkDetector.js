@@ -0,0 +1,61 @@
+import { isValidTikTokUrl } from "../modules/tiktok.js";
+import { InstagramUrlParser } from "../modules/instagram.js";
+import { isValidYoutubeUrl } from "../modules/youtube.js";
+import MessageHelper from "./messageHelper.js";
+
+/**
+ * Platforms the bot can download from, and the command that handles each
+ */
+export const LINK_PLATFORMS = [
+    {
+        platform: "tiktok",
+        label: "TikTok",
+        command: "tiktok",
+        match: url => isValidTikTokUrl(url)
+    },
+    {
+        platform: "instagram",
+        label: "Instagram",
+        command: "ig",
+        match: url => !!InstagramUrlParser.getShortcode(url)
+    },
+    {
+        platform: "youtube",
+        label: "YouTube",
+        command: "youtube",
+        match: url => !!isValidYoutubeUrl(url)
+    }
+];
+
+/**
+ * Find downloadable links in a text
+ * @param {String} text - The message text
+ * @returns {Array<Object>} - [{ platform, label, command, url }] in order of appearance
+ */
+export function detectLinks(text) {
+    const links = [];
+
+    for (const url of MessageHelper.extractUrls(text)) {
+        const platform = LINK_PLATFORMS.find(entry => entry.match(url));
+        if (platform) {
+            const { match, ...info } = platform;
+            links.push({ ...info, url });
+        }
+    }
+
+    return links;
+}
+
+/**
+ * Check whether a text contains a prefixed command anywhere
+ * @param {String} text - The message text
+ * @param {Array<String>} prefixes - Command prefixes
+ * @param {Map} commands - Loaded commands
+ * @returns {Boolean}
+ */
+export function containsPrefixedCommand(text, prefixes, commands) {
+    return (text || "").split(/\s+/).some(token => {
+        const prefix = prefixes.find(p => token.startsWith(p));
+        return !!prefix && commands.has(token.slice(prefix.length).toLowerCase());
+    });
+}
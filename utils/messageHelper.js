@@ -61,6 +61,25 @@ class MessageHelper {
     }
   }
 
+  /**
+   * Unwrap ephemeral/view-once/document-with-caption containers
+   * @param {Object} message - The message content (msg.message)
+   * @returns {Object} - The inner message content
+   */
+  static unwrapMessage(message) {
+    let content = message;
+    for (let depth = 0; content && depth < 5; depth++) {
+      const inner = content.ephemeralMessage?.message ||
+        content.viewOnceMessage?.message ||
+        content.viewOnceMessageV2?.message ||
+        content.viewOnceMessageV2Extension?.message ||
+        content.documentWithCaptionMessage?.message;
+      if (!inner) break;
+      content = inner;
+    }
+    return content;
+  }
+
   /**
    * Extract message body from different message types
    * @param {Object} msg - The message object
@@ -69,29 +88,110 @@ class MessageHelper {
   static getMessageBody(msg) {
     if (!msg.message) return '';
     
-    const type = Object.keys(msg.message)[0];
+    const message = MessageHelper.unwrapMessage(msg.message);
+    const type = Object.keys(message)[0];
     
     // Handle different message types
     switch (type) {
       case 'conversation':
-        return msg.message.conversation;
+        return message.conversation || '';
       case 'imageMessage':
-        return msg.message.imageMessage.caption;
+        return message.imageMessage.caption || '';
       case 'videoMessage':
-        return msg.message.videoMessage.caption;
+        return message.videoMessage.caption || '';
+      case 'documentMessage':
+        return message.documentMessage.caption || '';
       case 'extendedTextMessage':
-        return msg.message.extendedTextMessage.text;
+        return message.extendedTextMessage.text || '';
       case 'buttonsResponseMessage':
-        return msg.message.buttonsResponseMessage.selectedButtonId;
+        return message.buttonsResponseMessage.selectedButtonId;
       case 'listResponseMessage':
-        return msg.message.listResponseMessage.singleSelectReply.selectedRowId;
+        return message.listResponseMessage.singleSelectReply.selectedRowId;
       case 'templateButtonReplyMessage':
-        return msg.message.templateButtonReplyMessage.selectedId;
+        return message.templateButtonReplyMessage.selectedId;
       default:
         return '';
     }
   }
 
+  /**
+   * Find all http(s) URLs in a text
+   * @param {String} text - The text to search
+   * @returns {Array<String>} - URLs in order of appearance
+   */
+  static extractUrls(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const matches = text.match(/https?:\/\/[^\s<>"'`]+/gi) || [];
+    // Drop punctuation that usually ends a sentence rather than the URL
+    return matches.map(url => url.replace(/[.,!?;:)\]}*_~]+$/, ''));
+  }
+
+  /**
+   * Get the media type of a message
+   * @param {Object} message - The message content (msg.message)
+   * @returns {String|null} - image, video, audio, document, sticker or null
+   */
+  static getMediaType(message) {
+    const content = MessageHelper.unwrapMessage(message);
+    if (!content) return null;
+
+    const mediaTypes = ['image', 'video', 'audio', 'document', 'sticker'];
+    return mediaTypes.find(type => content[`${type}Message`]) || null;
+  }
+
+  /**
+   * Get the contextInfo (mentions, quoted message) of a message
+   * @param {Object} msg - The message object
+   * @returns {Object|null} - The contextInfo or null
+   */
+  static getContextInfo(msg) {
+    if (!msg?.message) return null;
+
+    const message = MessageHelper.unwrapMessage(msg.message);
+    const type = Object.keys(message)[0];
+    return message[type]?.contextInfo || null;
+  }
+
+  /**
+   * Get the message the user replied to
+   * @param {Object} msg - The message object
+   * @returns {Object|null} - { key, message, type, body, urls, sender, mediaType } or null
+   */
+  static getQuotedMessage(msg) {
+    const contextInfo = MessageHelper.getContextInfo(msg);
+    if (!contextInfo?.quotedMessage) return null;
+
+    const message = MessageHelper.unwrapMessage(contextInfo.quotedMessage);
+    const remoteJid = contextInfo.remoteJid || msg.key.remoteJid;
+    // In private chats the participant is omitted; the quoted sender is the chat itself
+    const sender = contextInfo.participant || remoteJid;
+    const body = MessageHelper.getMessageBody({ message });
+
+    return {
+      key: {
+        remoteJid,
+        id: contextInfo.stanzaId,
+        participant: contextInfo.participant
+      },
+      message,
+      type: Object.keys(message)[0] || '',
+      body,
+      urls: MessageHelper.extractUrls(body),
+      sender,
+      mediaType: MessageHelper.getMediaType(message)
+    };
+  }
+
+  /**
+   * Get the JIDs mentioned in a message
+   * @param {Object} msg - The message object
+   * @returns {Array<String>} - Mentioned JIDs
+   */
+  static getMentionedJids(msg) {
+    return MessageHelper.getContextInfo(msg)?.mentionedJid || [];
+  }
+
   /**
    * Check if a message is from a specific JID
    * @param {Object} sock - The WhatsApp socket instance
@@ -110,8 +210,10 @@ class MessageHelper {
    * @returns {Boolean} - True if user is admin
    */
   static isAdmin(jid, adminList) {
-    // Remove @s.whatsapp.net for comparison
-    const number = jid.split('@')[0];
+    if (!jid || !Array.isArray(adminList)) return false;
+
+    // Remove @s.whatsapp.net and any device suffix (":12") for comparison
+    const number = jid.split('@')[0].split(':')[0];
     return adminList.includes(number);
   }
 }
@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Logger } from "./AzusaLogger.js";
+
+const logger = new Logger();
+
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * Check that a module looks like a middleware definition
+ * @param {Object} middleware - The candidate middleware object
+ * @returns {Boolean}
+ */
+export function isMiddleware(middleware) {
+    return (
+        !!middleware &&
+        typeof middleware.name === "string" &&
+        ["before", "after", "onError"].some(
+            hook => typeof middleware[hook] === "function"
+        )
+    );
+}
+
+/**
+ * Composable chain of before/after/onError hooks around command execution.
+ *
+ * - before(ctx): runs in priority order; returning `false` stops the chain
+ *   and the command is not executed
+ * - after(ctx): runs in priority order once the command finished
+ * - onError(ctx, err): runs in priority order when a before hook or the
+ *   command throws; returning `true` marks the error as handled
+ */
+export class MiddlewarePipeline {
+    constructor() {
+        // Middleware grouped by where it came from, so a source can be swapped on reload
+        this.sources = new Map();
+        this.chain = [];
+    }
+
+    /**
+     * Replace all middleware registered by a source
+     * @param {String} source - Source identifier (e.g. "middleware", "commands")
+     * @param {Array} middlewareList - Middleware objects
+     */
+    setSource(source, middlewareList = []) {
+        this.sources.set(source, middlewareList.filter(isMiddleware));
+        this.rebuild();
+    }
+
+    /**
+     * Register a single middleware
+     * @param {Object} middleware - Middleware object
+     * @param {String} source - Source identifier (default: "runtime")
+     */
+    use(middleware, source = "runtime") {
+        if (!isMiddleware(middleware)) {
+            throw new Error(
+                "Middleware needs a name and at least one of before/after/onError"
+            );
+        }
+
+        const list = (this.sources.get(source) || []).filter(
+            existing => existing.name !== middleware.name
+        );
+        list.push(middleware);
+        this.sources.set(source, list);
+        this.rebuild();
+    }
+
+    /**
+     * Sort all registered middleware by priority (lower runs first)
+     */
+    rebuild() {
+        this.chain = [...this.sources.values()]
+            .flat()
+            .map((middleware, index) => ({ middleware, index }))
+            .sort(
+                (a, b) =>
+                    (a.middleware.priority ?? DEFAULT_PRIORITY) -
+                        (b.middleware.priority ?? DEFAULT_PRIORITY) ||
+                    a.index - b.index
+            )
+            .map(entry => entry.middleware);
+    }
+
+    /**
+     * List registered middleware names in execution order
+     * @returns {Array<String>}
+     */
+    list() {
+        return this.chain.map(middleware => middleware.name);
+    }
+
+    /**
+     * Run a handler through the middleware chain
+     * @param {Object} ctx - Shared context passed to every hook
+     * @param {Function} handler - The command execution, receives ctx
+     * @returns {Promise<Boolean>} - True if the handler ran successfully
+     * @throws {Error} - If an error occurs that no onError hook handled
+     */
+    async run(ctx, handler) {
+        const chain = [...this.chain];
+
+        try {
+            for (const middleware of chain) {
+                if (typeof middleware.before !== "function") continue;
+                if ((await middleware.before(ctx)) === false) {
+                    ctx.haltedBy = middleware.name;
+                    return false;
+                }
+            }
+
+            ctx.result = await handler(ctx);
+        } catch (err) {
+            ctx.error = err;
+
+            for (const middleware of chain) {
+                if (typeof middleware.onError !== "function") continue;
+                try {
+                    if ((await middleware.onError(ctx, err)) === true) {
+                        return false;
+                    }
+                } catch (hookErr) {
+                    logger.handleError(
+                        hookErr,
+                        `Middleware ${middleware.name} failed in onError`
+                    );
+                }
+            }
+
+            throw err;
+        }
+
+        for (const middleware of chain) {
+            if (typeof middleware.after !== "function") continue;
+            try {
+                await middleware.after(ctx);
+            } catch (hookErr) {
+                logger.handleError(
+                    hookErr,
+                    `Middleware ${middleware.name} failed in after`
+                );
+            }
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Loads all middleware modules from a directory
+ * @param {string} middlewareDir - Path to middleware directory
+ * @returns {Array} - Middleware objects
+ */
+export async function loadMiddleware(middlewareDir) {
+    const middlewareList = [];
+
+    try {
+        const __dirname = path.dirname(fileURLToPath(import.meta.url));
+        const absMiddlewareDir = path.resolve(__dirname, "..", middlewareDir);
+
+        if (!fs.existsSync(absMiddlewareDir)) {
+            return middlewareList;
+        }
+
+        const files = fs
+            .readdirSync(absMiddlewareDir)
+            .filter(file => file.endsWith(".js"))
+            .sort();
+
+        for (const file of files) {
+            try {
+                const filePath = path.join(absMiddlewareDir, file);
+                const module = await import(
+                    `file://${path.resolve(filePath)}?update=${Date.now()}`
+                );
+
+                if (!isMiddleware(module.default)) {
+                    logger.log({
+                        type: "warning",
+                        message: `Invalid middleware structure in ${file}. Skipping...`
+                    });
+                    continue;
+                }
+
+                middlewareList.push(module.default);
+            } catch (error) {
+                logger.handleError(
+                    error,
+                    `Failed to load middleware file: ${file}`
+                );
+            }
+        }
+    } catch (error) {
+        logger.handleError(error, "Error loading middleware");
+    }
+
+    return middlewareList;
+}
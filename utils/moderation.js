@@ -0,0 +1,210 @@
+/**
+ * Warnings, mutes and the moderation audit log of groups (/warn, /warns,
+ * /unwarn, /unmute, /modlog). Warnings and mutes are kept per group in the
+ * groups collection of the database, the audit log in the audit collection
+ * (one document per group, newest entries last).
+ */
+import config from "../config.js";
+
+/**
+ * Give a member a warning
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @param {Object} warning
+ * @param {String} warning.by - Number of the admin who warned
+ * @param {String} warning.reason - Why (may be empty)
+ * @returns {Array<Object>} - The member's warnings now ([{ by, reason, at }])
+ */
+export function warnMember(groups, groupId, number, { by, reason = "" }) {
+    const group = groups.update(groupId, current => ({
+        ...current,
+        warnings: {
+            ...current.warnings,
+            [number]: [
+                ...(current.warnings?.[number] || []),
+                { by, reason, at: Date.now() }
+            ]
+        }
+    }));
+    return group.warnings[number];
+}
+
+/**
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @returns {Array<Object>} - [{ by, reason, at }], oldest first
+ */
+export function getWarnings(groups, groupId, number) {
+    return groups.get(groupId)?.warnings?.[number] || [];
+}
+
+/**
+ * Members of a group that have warnings, most warned first
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @returns {Array<Array>} - [[number, warnings]]
+ */
+export function listWarnings(groups, groupId) {
+    return Object.entries(groups.get(groupId)?.warnings || {})
+        .filter(([, warnings]) => warnings.length)
+        .sort((a, b) => b[1].length - a[1].length);
+}
+
+/**
+ * Take back a member's latest warning, or all of them
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @param {Boolean} all - Remove every warning
+ * @returns {Number} - How many warnings were removed
+ */
+export function removeWarnings(groups, groupId, number, all = false) {
+    const warnings = getWarnings(groups, groupId, number);
+    if (!warnings.length) return 0;
+
+    const kept = all ? [] : warnings.slice(0, -1);
+    groups.update(groupId, current => {
+        const next = { ...current.warnings, [number]: kept };
+        if (!kept.length) delete next[number];
+        return { ...current, warnings: next };
+    });
+    return warnings.length - kept.length;
+}
+
+/**
+ * Make the bot ignore a member's commands in a group
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @param {Object} options
+ * @param {String} options.by - Number of the admin responsible
+ * @param {String} options.reason - Why
+ * @param {Number} options.minutes - How long (0 = until unmuted)
+ * @returns {Object} - { by, reason, at, until } (until is null without an end)
+ */
+export function mute(groups, groupId, number, { by, reason = "", minutes }) {
+    const at = Date.now();
+    const entry = {
+        by,
+        reason,
+        at,
+        until: minutes ? at + minutes * 60 * 1000 : null
+    };
+    groups.update(groupId, current => ({
+        ...current,
+        mutes: { ...current.mutes, [number]: entry }
+    }));
+    return entry;
+}
+
+/**
+ * Lift a mute
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @returns {Boolean} - Whether the member was muted
+ */
+export function unmute(groups, groupId, number) {
+    const muted = Boolean(getMute(groups, groupId, number));
+    groups.update(groupId, current => {
+        const mutes = { ...current.mutes };
+        delete mutes[number];
+        return { ...current, mutes };
+    });
+    return muted;
+}
+
+/**
+ * Current mute of a member; expired mutes count as none
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @param {String} number - The member's number
+ * @returns {Object|null} - { by, reason, at, until }
+ */
+export function getMute(groups, groupId, number) {
+    const entry = groups.get(groupId)?.mutes?.[number];
+    if (!entry || (entry.until && entry.until <= Date.now())) return null;
+    return entry;
+}
+
+/**
+ * Members muted in a group right now
+ * @param {Collection} groups - The groups collection
+ * @param {String} groupId - The group JID
+ * @returns {Array<Array>} - [[number, { by, reason, at, until }]]
+ */
+export function listMutes(groups, groupId) {
+    return Object.keys(groups.get(groupId)?.mutes || {})
+        .map(number => [number, getMute(groups, groupId, number)])
+        .filter(([, entry]) => entry);
+}
+
+/**
+ * Add an entry to a group's audit log, dropping the oldest beyond the limit
+ * @param {Collection} audit - The audit collection
+ * @param {String} groupId - The group JID
+ * @param {Object} entry
+ * @param {String} entry.action - warn, unwarn, mute, unmute, remove, add, promote, demote, group, pardon
+ * @param {String} entry.by - Number of the admin (null when the bot acted on its own)
+ * @param {String} entry.auto - What made the bot act on its own (warnLimit, antilink)
+ * @param {String} entry.target - Number of the member it was done to (null for group changes)
+ * @param {String} entry.reason - Why, or what was changed
+ * @param {Number} limit - Entries to keep per group (0 = all)
+ * @returns {Object} - The stored entry (with `at`)
+ */
+export function logAction(
+    audit,
+    groupId,
+    { action, by = null, auto = null, target = null, reason = "" },
+    limit = config.moderation?.auditLimit ?? 500
+) {
+    const stored = { action, by, auto, target, reason, at: Date.now() };
+    audit.update(groupId, current => {
+        const entries = [...(current.entries || []), stored];
+        return {
+            ...current,
+            entries: limit ? entries.slice(-limit) : entries
+        };
+    });
+    return stored;
+}
+
+/**
+ * Latest audit log entries of a group
+ * @param {Collection} audit - The audit collection
+ * @param {String} groupId - The group JID
+ * @param {Object} options
+ * @param {String} options.number - Only entries done by or to this member
+ * @param {Number} options.limit - How many
+ * @returns {Array<Object>} - Newest first
+ */
+export function getAuditLog(
+    audit,
+    groupId,
+    { number = null, limit = 10 } = {}
+) {
+    const entries = (audit.get(groupId)?.entries || []).filter(
+        entry => !number || entry.target === number || entry.by === number
+    );
+    return entries.slice(-limit).reverse();
+}
+
+/**
+ * Short date and time of a moderation action or the end of a mute
+ * @param {Number} timestamp - Milliseconds
+ * @param {String} timezone - Timezone of the chat
+ * @param {Function} t - Translator from the command context
+ * @returns {String} - e.g. "19 Oct, 14:05"
+ */
+export function formatDate(timestamp, timezone, t) {
+    return new Date(timestamp).toLocaleString(t("_meta.dateLocale"), {
+        timeZone: timezone,
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+    });
+}
@@ -0,0 +1,218 @@
+import MessageHelper from "./messageHelper.js";
+import { isGroupAdmin } from "./groupHelper.js";
+import config from "../config.js";
+
+/**
+ * Permission levels a command can declare, lowest to highest.
+ * "chatAdmin" means an admin of the group the command is used in
+ * (in private chats the user manages their own chat).
+ */
+export const PERMISSION_LEVELS = ["user", "chatAdmin", "admin", "owner"];
+
+/**
+ * Reduce a JID or phone number to its bare number
+ * e.g. "628123:12@s.whatsapp.net" -> "628123"
+ * @param {String} jid - JID or phone number
+ * @returns {String} - Bare number (empty string if nothing usable)
+ */
+export function normalizeNumber(jid) {
+    if (!jid || typeof jid !== "string") return "";
+    const user = jid.split("@")[0].split(":")[0];
+    return user.replace(/[^0-9]/g, "");
+}
+
+/**
+ * Convert a JID or number to a user JID on the phone-number server
+ * @param {String} jid - JID or phone number
+ * @returns {String} - "<number>@s.whatsapp.net" or empty string
+ */
+export function toUserJid(jid) {
+    const number = normalizeNumber(jid);
+    return number ? `${number}@s.whatsapp.net` : "";
+}
+
+/**
+ * Look up the phone-number JID for a LID using group metadata
+ * @param {String} lid - The LID JID
+ * @param {Object} groupMetadata - Group metadata (optional)
+ * @returns {String|null} - Phone-number JID or null when unknown
+ */
+function lidToPhoneJid(lid, groupMetadata) {
+    const participants = groupMetadata?.participants || [];
+    const lidUser = lid.split("@")[0].split(":")[0];
+
+    for (const participant of participants) {
+        const ids = [participant.id, participant.lid].filter(Boolean);
+        const matches = ids.some(
+            id => id.endsWith("@lid") && id.split("@")[0].split(":")[0] === lidUser
+        );
+        if (!matches) continue;
+
+        const phoneJid = [participant.jid, participant.phoneNumber, participant.id]
+            .filter(Boolean)
+            .find(id => id.endsWith("@s.whatsapp.net"));
+        if (phoneJid) return phoneJid;
+    }
+
+    return null;
+}
+
+/**
+ * Resolve who actually sent a message, including group participants and
+ * LID-addressed senders
+ * @param {Object} sock - The WhatsApp socket instance
+ * @param {Object} msg - The message object
+ * @param {Object} groupMetadata - Group metadata used to map LIDs (optional)
+ * @returns {Object} - { jid, number, lid }
+ */
+export function resolveSender(sock, msg, groupMetadata = null) {
+    const key = msg?.key || {};
+    const isGroup = key.remoteJid?.endsWith("@g.us");
+
+    let jid;
+    if (key.fromMe) {
+        jid = sock?.user?.id || `${config.botNumber}@s.whatsapp.net`;
+    } else if (isGroup) {
+        jid = key.participant || msg.participant || "";
+    } else {
+        jid = key.remoteJid || "";
+    }
+
+    let lid = null;
+    if (jid.endsWith("@lid")) {
+        lid = jid;
+        // Newer Baileys versions attach the phone-number JID to the key
+        const alternative = [
+            key.participantPn,
+            key.senderPn,
+            key.participantAlt,
+            key.remoteJidAlt
+        ].find(id => id && id.endsWith("@s.whatsapp.net"));
+
+        jid = alternative || lidToPhoneJid(lid, groupMetadata) || lid;
+    }
+
+    const number = jid.endsWith("@lid") ? "" : normalizeNumber(jid);
+
+    return {
+        jid: number ? `${number}@s.whatsapp.net` : jid,
+        number,
+        lid
+    };
+}
+
+/**
+ * Resolve a member JID taken from a message (a mention or the author of a
+ * quoted message) to their phone number, mapping LIDs like resolveSender
+ * @param {String} jid - Phone-number JID or LID
+ * @param {Object} groupMetadata - Group metadata used to map LIDs (optional)
+ * @returns {Object} - { jid, number, lid } (number is empty for unknown LIDs)
+ */
+export function resolveParticipant(jid, groupMetadata = null) {
+    if (!jid?.endsWith("@lid")) {
+        const number = normalizeNumber(jid);
+        return { jid: number ? toUserJid(number) : jid, number, lid: null };
+    }
+
+    const phoneJid = lidToPhoneJid(jid, groupMetadata);
+    return {
+        jid: phoneJid ? toUserJid(phoneJid) : jid,
+        number: phoneJid ? normalizeNumber(phoneJid) : "",
+        lid: jid
+    };
+}
+
+/**
+ * Check whether a number belongs to a bot owner
+ * @param {String} number - Bare number or JID
+ * @returns {Boolean}
+ */
+export function isOwner(number) {
+    const owners = (config.owner || []).map(normalizeNumber);
+    return owners.includes(normalizeNumber(number));
+}
+
+/**
+ * Get the permission role of a number
+ * @param {String} number - Bare number or JID
+ * @returns {String} - "owner", "admin" or "user"
+ */
+export function getRole(number) {
+    if (!number) return "user";
+    if (isOwner(number)) return "owner";
+
+    const admins = (config.security?.adminNumbers || []).map(normalizeNumber);
+    if (MessageHelper.isAdmin(number, admins)) return "admin";
+
+    return "user";
+}
+
+/**
+ * Get the role of a sender within a specific chat
+ * @param {Object} sender - Resolved sender ({ jid, number, lid })
+ * @param {Object} options
+ * @param {Boolean} options.isGroup - Whether the chat is a group
+ * @param {Object} options.groupMetadata - Group metadata (for groups)
+ * @returns {String} - "owner", "admin", "chatAdmin" or "user"
+ */
+export function getChatRole(sender, { isGroup, groupMetadata = null }) {
+    const role = getRole(sender.number);
+    if (role !== "user") return role;
+
+    if (!isGroup || isGroupAdmin(groupMetadata, [sender.jid, sender.lid])) {
+        return "chatAdmin";
+    }
+
+    return "user";
+}
+
+/**
+ * Check whether a role satisfies the permission a command requires
+ * @param {String} role - The caller's role
+ * @param {String} required - The permission declared by the command
+ * @returns {Boolean}
+ */
+export function hasPermission(role, required = "user") {
+    const roleLevel = PERMISSION_LEVELS.indexOf(role);
+    const requiredLevel = PERMISSION_LEVELS.indexOf(required);
+    return roleLevel >= 0 && roleLevel >= Math.max(requiredLevel, 0);
+}
+
+/**
+ * Apply the block/allow/whitelist rules from config.security
+ * @param {String} number - Bare number of the sender
+ * @param {Object} options
+ * @param {Object} options.blocklist - Numbers blocked at runtime (anything with has(number))
+ * @returns {Object} - { allowed, reason }
+ */
+export function checkAccess(number, { blocklist = null } = {}) {
+    const security = config.security || {};
+
+    // Owners and admins are never locked out of their own bot
+    if (getRole(number) !== "user") {
+        return { allowed: true, reason: null };
+    }
+
+    // A non-empty allow list restricts access even without whitelistOnly
+    const allowed = (security.allowedNumbers || []).map(normalizeNumber);
+    const restricted = security.whitelistOnly || allowed.length > 0;
+
+    // A LID without a known phone number can't be matched against the
+    // lists: only refuse it when access is limited to listed numbers
+    if (!number) {
+        return restricted
+            ? { allowed: false, reason: "unresolved" }
+            : { allowed: true, reason: null };
+    }
+
+    const blocked = (security.blockedNumbers || []).map(normalizeNumber);
+    if (blocked.includes(number) || blocklist?.has(number)) {
+        return { allowed: false, reason: "blocked" };
+    }
+
+    if (restricted && !allowed.includes(number)) {
+        return { allowed: false, reason: "not-whitelisted" };
+    }
+
+    return { allowed: true, reason: null };
+}
@@ -0,0 +1,312 @@
+import { Logger } from "./AzusaLogger.js";
+import { nextCronRun, parseCron } from "./cron.js";
+import config from "../config.js";
+
+const logger = new Logger();
+
+// Longest single timer; the scheduler re-checks at least this often
+const MAX_TIMER_MS = 60 * 1000;
+
+/**
+ * Error thrown when a job can't be scheduled
+ */
+export class SchedulerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SchedulerError";
+    }
+}
+
+/**
+ * Persistent scheduler for recurring (cron) and one-off (timestamp) jobs,
+ * stored in the database's jobs collection so they survive restarts.
+ *
+ * Code registers what a job type does with define(type, handler) (usually
+ * in a command's onLoad hook) and adds jobs with schedule(). Jobs only run
+ * while the scheduler is resumed, i.e. while WhatsApp is connected.
+ *
+ * Runs that were missed (bot offline, disconnected) are handled by the
+ * job's `misfire` policy once the scheduler can run again:
+ * - "catchUp": run once now (several missed runs are merged into one)
+ * - "skip": drop the missed run and wait for the next one
+ * Runs late by less than `graceSeconds` always happen.
+ */
+export class Scheduler {
+    /**
+     * @param {Collection} collection - The jobs collection (see utils/database.js)
+     * @param {Object} options
+     * @param {String} options.timezone - Default timezone for cron jobs
+     * @param {Number} options.graceSeconds - How late a run may be before it counts as missed
+     * @param {String} options.misfire - Default misfire policy ("catchUp" or "skip")
+     * @param {Function} options.getContext - Returns the context passed to handlers
+     */
+    constructor(
+        collection,
+        {
+            timezone = config.timezone || "Asia/Jakarta",
+            graceSeconds = 60,
+            misfire = "catchUp",
+            getContext = () => ({})
+        } = {}
+    ) {
+        this.collection = collection;
+        this.timezone = timezone;
+        this.graceMs = graceSeconds * 1000;
+        this.misfire = misfire;
+        this.getContext = getContext;
+        this.handlers = new Map();
+        this.running = new Set(); // IDs of jobs whose handler is running
+        this.paused = true;
+        this.timer = null;
+    }
+
+    /**
+     * Register the handler of a job type (replaces an existing one)
+     * @param {String} type - Job type, e.g. "jikan.daily"
+     * @param {Function} handler - async (job, context) => void
+     */
+    define(type, handler) {
+        this.handlers.set(type, handler);
+        // Jobs of this type may have been waiting for it
+        this.tick();
+    }
+
+    /**
+     * Remove the handler of a job type. Its jobs stay stored and wait
+     * until the type is defined again.
+     * @param {String} type - Job type
+     */
+    undefine(type) {
+        this.handlers.delete(type);
+    }
+
+    /**
+     * Add or replace a job
+     * @param {Object} options
+     * @param {String} options.id - Job ID (generated if omitted; an existing job with this ID is replaced)
+     * @param {String} options.type - Job type (see define)
+     * @param {String} options.cron - Cron expression for recurring jobs
+     * @param {Number} options.at - Timestamp (ms) for one-off jobs
+     * @param {String} options.timezone - Timezone of the cron expression
+     * @param {String} options.misfire - "catchUp" or "skip"
+     * @param {Object} options.data - Anything the handler needs (JSON)
+     * @returns {Object} - The stored job
+     * @throws {SchedulerError} - If the job has no valid schedule
+     */
+    schedule({
+        id = null,
+        type,
+        cron = null,
+        at = null,
+        timezone = this.timezone,
+        misfire = this.misfire,
+        data = {}
+    }) {
+        if (!type) throw new SchedulerError("A job needs a type");
+        if (!cron === !at) {
+            throw new SchedulerError("A job needs either cron or at");
+        }
+        if (!["catchUp", "skip"].includes(misfire)) {
+            throw new SchedulerError(`Unknown misfire policy "${misfire}"`);
+        }
+
+        let nextRunAt = at;
+        if (cron) {
+            try {
+                nextRunAt = nextCronRun(parseCron(cron), Date.now(), timezone);
+            } catch (err) {
+                throw new SchedulerError(err.message);
+            }
+            if (!nextRunAt) {
+                throw new SchedulerError(`"${cron}" never runs`);
+            }
+        }
+
+        const jobId = id || this.generateId(type);
+        const job = this.collection.set(jobId, {
+            type,
+            cron,
+            timezone: cron ? timezone : null,
+            misfire,
+            data,
+            nextRunAt,
+            lastRunAt: null,
+            lastError: null,
+            runs: 0,
+            createdAt: Date.now()
+        });
+
+        this.arm();
+        return { id: jobId, ...job };
+    }
+
+    /**
+     * Remove a job
+     * @param {String} id - Job ID
+     * @returns {Boolean} - Whether the job existed
+     */
+    cancel(id) {
+        const removed = this.collection.delete(id);
+        if (removed) this.arm();
+        return removed;
+    }
+
+    /**
+     * @param {String} id - Job ID
+     * @returns {Object|null} - { id, ...job }
+     */
+    get(id) {
+        const job = this.collection.get(id);
+        return job ? { id, ...job } : null;
+    }
+
+    /**
+     * List jobs, soonest first
+     * @param {Function} predicate - (job, id) => Boolean (all jobs if omitted)
+     * @returns {Array<Object>}
+     */
+    list(predicate = () => true) {
+        return this.collection
+            .find(predicate)
+            .sort((a, b) => a.nextRunAt - b.nextRunAt);
+    }
+
+    /**
+     * Start running due jobs (call when the connection is open)
+     */
+    resume() {
+        this.paused = false;
+        this.tick();
+    }
+
+    /**
+     * Stop running jobs until resume() (call when the connection closed)
+     */
+    pause() {
+        this.paused = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Set the timer for the next due job
+     */
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.paused) return;
+
+        // Jobs without a handler or still running can't be started anyway
+        const next = this.list(
+            (job, id) => this.handlers.has(job.type) && !this.running.has(id)
+        )[0];
+        if (!next) return;
+
+        const delay = Math.min(
+            Math.max(next.nextRunAt - Date.now(), 0),
+            MAX_TIMER_MS
+        );
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    /**
+     * Run every job that is due, then re-arm the timer
+     */
+    tick() {
+        if (this.paused) return;
+
+        const now = Date.now();
+        for (const job of this.list(job => job.nextRunAt <= now)) {
+            if (this.running.has(job.id)) continue;
+
+            const late = now - job.nextRunAt > this.graceMs;
+            if (late && job.misfire === "skip") {
+                this.skip(job, now);
+            } else {
+                this.run(job, now);
+            }
+        }
+
+        this.arm();
+    }
+
+    /**
+     * Drop a missed run: move a cron job to its next time, remove a one-off job
+     * @param {Object} job - The job
+     * @param {Number} now - Current timestamp
+     */
+    skip(job, now) {
+        logger.log({
+            type: "warning",
+            message: `Skipped missed run of job ${job.id} (${job.type})`
+        });
+        this.advance(job.id, now);
+    }
+
+    /**
+     * Run a job's handler and store the outcome
+     * @param {Object} job - The job
+     * @param {Number} now - Current timestamp
+     */
+    async run(job, now) {
+        const handler = this.handlers.get(job.type);
+        // The command that defines it isn't loaded (yet), define() retries
+        if (!handler) return;
+
+        this.running.add(job.id);
+        let error = null;
+
+        try {
+            await handler(job, this.getContext());
+        } catch (err) {
+            error = err;
+            logger.handleError(err, `Scheduled job ${job.id} (${job.type}) failed`);
+        } finally {
+            this.running.delete(job.id);
+        }
+
+        // The handler may have cancelled or replaced its own job
+        const stored = this.collection.get(job.id);
+        if (!stored || stored.nextRunAt !== job.nextRunAt) return;
+
+        this.collection.update(job.id, {
+            lastRunAt: now,
+            lastError: error ? error.message : null,
+            runs: (stored.runs || 0) + 1
+        });
+        this.advance(job.id, Date.now());
+        this.arm();
+    }
+
+    /**
+     * Move a job to its next run after `now`, or remove it if there is none
+     * @param {String} id - Job ID
+     * @param {Number} now - Current timestamp
+     */
+    advance(id, now) {
+        const job = this.collection.get(id);
+        if (!job) return;
+
+        const nextRunAt = job.cron
+            ? nextCronRun(job.cron, now, job.timezone || this.timezone)
+            : null;
+
+        if (nextRunAt) {
+            this.collection.update(id, { nextRunAt });
+        } else {
+            this.collection.delete(id);
+        }
+    }
+
+    /**
+     * @param {String} type - Job type
+     * @returns {String} - A new unused job ID
+     */
+    generateId(type) {
+        let id;
+        do {
+            id = `${type.split(".")[0]}-${Math.random().toString(36).slice(2, 8)}`;
+        } while (this.collection.has(id));
+        return id;
+    }
+}
@@ -0,0 +1,396 @@
+import moment from "moment-timezone";
+
+/**
+ * Natural time expressions in English and Indonesian, as typed at the start
+ * of a reminder:
+ *
+ *   relative   30m, 1h30m, in 2 hours, dalam 2 jam, 30 menit lagi
+ *   time       08:00, at 9pm, jam 8 malam, pukul 7.30 (tomorrow if passed)
+ *   day        tomorrow 08:00, besok jam 8, lusa, monday 9:00, senin depan,
+ *              tonight, nanti malam, minggu depan (a week from today)
+ *   date       2026-12-31 20:00, 31/12, 31/12/2026 20:00
+ *   recurring  every day 07:00, setiap senin 9:00, every weekday 8am
+ *
+ * Whatever follows the time expression is returned as the text. "today",
+ * "nanti" and "hari ini" need a time, "tonight" defaults to 20:00.
+ */
+
+const UNITS = {
+    s: ["s", "sec", "secs", "second", "seconds", "detik", "dtk"],
+    m: ["m", "min", "mins", "minute", "minutes", "menit", "mnt"],
+    h: ["h", "hr", "hrs", "hour", "hours", "jam"],
+    d: ["d", "day", "days", "hari"],
+    w: ["w", "week", "weeks", "minggu", "pekan"]
+};
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Index = moment's day() (0 = Sunday)
+const WEEKDAYS = [
+    ["sunday", "sun", "minggu", "ahad"],
+    ["monday", "mon", "senin"],
+    ["tuesday", "tue", "tues", "selasa"],
+    ["wednesday", "wed", "rabu"],
+    ["thursday", "thu", "thurs", "kamis"],
+    ["friday", "fri", "jumat", "jum'at"],
+    ["saturday", "sat", "sabtu"]
+];
+
+const EVERY = ["every", "each", "setiap", "tiap"];
+const IN = ["in", "dalam"];
+const AT = ["at", "@", "jam", "pukul", "pkl"];
+// Word after a time that moves it into the afternoon/evening
+const PERIODS = ["am", "pm", "pagi", "siang", "sore", "malam"];
+
+// Time used when only a day is given ("besok", "every monday")
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+const EVENING = { hour: 20, minute: 0 };
+
+// Days said in words: days from today and the time used without one
+// (null: a time is required, 09:00 today has often passed already)
+const DAY_WORDS = {
+    today: { offset: 0, time: null },
+    "hari ini": { offset: 0, time: null },
+    nanti: { offset: 0, time: null },
+    tonight: { offset: 0, time: EVENING, evening: true },
+    "malam ini": { offset: 0, time: EVENING, evening: true },
+    "nanti malam": { offset: 0, time: EVENING, evening: true },
+    tomorrow: { offset: 1, time: DEFAULT_TIME },
+    besok: { offset: 1, time: DEFAULT_TIME },
+    lusa: { offset: 2, time: DEFAULT_TIME },
+    "day after tomorrow": { offset: 2, time: DEFAULT_TIME },
+    // A week from today, not next Sunday ("minggu" is also Sunday)
+    "next week": { offset: 7, time: DEFAULT_TIME },
+    "minggu depan": { offset: 7, time: DEFAULT_TIME },
+    "pekan depan": { offset: 7, time: DEFAULT_TIME }
+};
+
+/**
+ * Parse a time expression at the start of a text
+ * @param {String} input - e.g. "besok 08:00 meeting"
+ * @param {Object} options
+ * @param {String} options.timezone - Timezone the user means
+ * @param {Number} options.now - Current timestamp (ms)
+ * @returns {Object|null} - { at, text, when } for one-off times, { cron, text, when }
+ *   for recurring ones (`when` is the matched expression), { needsTime, text, when }
+ *   for a day that needs a time ("today"), or null if there is none
+ */
+export function parseTime(input, { timezone, now = Date.now() }) {
+    const words = String(input || "").trim().split(/\s+/).filter(Boolean);
+    const tokens = words.map(word => word.toLowerCase());
+    const reader = { tokens, index: 0 };
+    const base = moment(now).tz(timezone);
+
+    const result =
+        readRecurring(reader) ||
+        readRelative(reader, base) ||
+        readAbsolute(reader, base);
+    if (!result) return null;
+
+    return {
+        ...result,
+        when: words.slice(0, reader.index).join(" "),
+        text: words.slice(reader.index).join(" ")
+    };
+}
+
+/**
+ * "every day 07:00", "setiap senin jam 9", "every weekday 8am"
+ * @param {Object} reader - { tokens, index }
+ * @returns {Object|null} - { cron }
+ */
+function readRecurring(reader) {
+    if (!EVERY.includes(peek(reader))) return null;
+    const start = reader.index;
+    reader.index++;
+
+    // "setiap hari senin" -> senin
+    if (peek(reader) === "hari" && weekdayOf(peek(reader, 1)) !== null) {
+        reader.index++;
+    }
+
+    let days = null;
+    const word = peek(reader);
+    if (["day", "hari"].includes(word)) {
+        days = "*";
+        reader.index++;
+        // "hari kerja" = weekdays
+        if (peek(reader) === "kerja") {
+            days = "1-5";
+            reader.index++;
+        }
+    } else if (["weekday", "weekdays"].includes(word)) {
+        days = "1-5";
+        reader.index++;
+    } else if (weekdayOf(word) !== null) {
+        days = String(weekdayOf(word));
+        reader.index++;
+    }
+
+    if (days === null) {
+        reader.index = start;
+        return null;
+    }
+
+    const time = readTime(reader) || DEFAULT_TIME;
+    return { cron: `${time.minute} ${time.hour} * * ${days}` };
+}
+
+/**
+ * "30m", "1h30m", "in 2 hours", "dalam 1 jam 30 menit", "10 menit lagi"
+ * @param {Object} reader - { tokens, index }
+ * @param {Object} base - Current time (moment)
+ * @returns {Object|null} - { at }
+ */
+function readRelative(reader, base) {
+    const start = reader.index;
+    if (IN.includes(peek(reader))) reader.index++;
+
+    let seconds = 0;
+    let parts = 0;
+    while (reader.index < reader.tokens.length) {
+        const part = readDurationPart(reader);
+        if (part === null) break;
+        seconds += part;
+        parts++;
+        // "1 hour and 30 minutes", "1 jam dan 30 menit"
+        const joined = ["and", "dan"].includes(peek(reader));
+        if (joined && /^\d/.test(peek(reader, 1))) reader.index++;
+    }
+
+    if (!parts) {
+        reader.index = start;
+        return null;
+    }
+    if (peek(reader) === "lagi") reader.index++;
+
+    return { at: base.valueOf() + seconds * 1000 };
+}
+
+/**
+ * One duration: "1h30m", "30 menit", "2jam"
+ * @param {Object} reader - { tokens, index }
+ * @returns {Number|null} - Seconds
+ */
+function readDurationPart(reader) {
+    const token = peek(reader);
+
+    // Compact: 1h30m, 2d, 45min
+    const compact = token.match(/^(?:\d+[a-z]+)+$/)
+        ? [...token.matchAll(/(\d+)([a-z]+)/g)]
+        : null;
+    if (compact?.every(([, , unit]) => unitOf(unit))) {
+        reader.index++;
+        return compact.reduce(
+            (total, [, amount, unit]) =>
+                total + Number(amount) * UNIT_SECONDS[unitOf(unit)],
+            0
+        );
+    }
+
+    // Number and unit word: 30 menit, 2 hours
+    if (/^\d+$/.test(token) && unitOf(peek(reader, 1))) {
+        const seconds = Number(token) * UNIT_SECONDS[unitOf(peek(reader, 1))];
+        reader.index += 2;
+        return seconds;
+    }
+
+    return null;
+}
+
+/**
+ * A day (today, besok, monday, 31/12, 2026-12-31) and/or a time
+ * @param {Object} reader - { tokens, index }
+ * @param {Object} base - Current time (moment)
+ * @returns {Object|null} - { at }
+ */
+function readAbsolute(reader, base) {
+    const start = reader.index;
+    const day = readDay(reader, base);
+    const time = readTime(reader);
+
+    if (!day && !time) {
+        reader.index = start;
+        return null;
+    }
+
+    if (!day) {
+        // Only a time: today, or tomorrow if it already passed
+        const at = base.clone().set({ ...time, second: 0, millisecond: 0 });
+        if (!at.isAfter(base)) at.add(1, "day");
+        return { at: at.valueOf() };
+    }
+
+    // "tonight at 9" is 21:00
+    if (day.evening && time && time.hour >= 1 && time.hour < 12) {
+        time.hour += 12;
+    }
+
+    const at = day.date.set({
+        ...(time || day.time),
+        second: 0,
+        millisecond: 0
+    });
+    // "monday 9:00" on a Monday after 9:00 means next week
+    if (day.weekday && !at.isAfter(base)) at.add(7, "days");
+    // "today" without a time, or "tonight" after 20:00: ask for the time
+    if (!time && (!day.time || !at.isAfter(base))) return { needsTime: true };
+    return { at: at.valueOf() };
+}
+
+/**
+ * @param {Object} reader - { tokens, index }
+ * @param {Object} base - Current time (moment)
+ * @returns {Object|null} - { date (moment), time (default or null), weekday, evening }
+ */
+function readDay(reader, base) {
+    const token = peek(reader);
+
+    // Longest phrase first: "nanti malam" before "nanti"
+    for (const length of [3, 2, 1]) {
+        const words = reader.tokens.slice(reader.index, reader.index + length);
+        const phrase = DAY_WORDS[words.join(" ")];
+        if (phrase) {
+            reader.index += length;
+            return {
+                date: base.clone().add(phrase.offset, "days"),
+                time: phrase.time,
+                evening: Boolean(phrase.evening)
+            };
+        }
+    }
+
+    // "monday", "next monday", "senin depan", "hari senin"
+    const prefixed = ["next", "hari"].includes(token);
+    if (prefixed && weekdayOf(peek(reader, 1)) !== null) reader.index++;
+
+    const weekday = weekdayOf(peek(reader));
+    if (weekday !== null) {
+        reader.index++;
+        let next = token === "next";
+        if (peek(reader) === "depan") {
+            next = true;
+            reader.index++;
+        }
+        // "next monday" said on a Monday is a week away, not today
+        const offset = (weekday - base.day() + 7) % 7 || (next ? 7 : 0);
+        return {
+            date: base.clone().add(offset, "days"),
+            time: DEFAULT_TIME,
+            weekday: true
+        };
+    }
+
+    // 2026-12-31, 31/12, 31/12/2026, 31-12-2026
+    const iso = peek(reader).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const local = peek(reader).match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?$/);
+    if (iso || local) {
+        const [year, month, date] = iso
+            ? [iso[1], iso[2], iso[3]]
+            : [local[3] || base.year(), local[2], local[1]];
+        const day = base.clone().set({
+            year: Number(year),
+            month: Number(month) - 1,
+            date: Number(date)
+        });
+        if (day.date() !== Number(date)) return null; // e.g. 31/02
+        reader.index++;
+
+        // 31/12 without a year that already passed means next year
+        if (local && !local[3] && day.isBefore(base, "day")) day.add(1, "year");
+        return { date: day, time: DEFAULT_TIME };
+    }
+
+    return null;
+}
+
+/**
+ * "08:00", "7.30", "at 9pm", "jam 8 malam", "9:30 pm"
+ * @param {Object} reader - { tokens, index }
+ * @returns {Object|null} - { hour, minute }
+ */
+function readTime(reader) {
+    const start = reader.index;
+    const hasPrefix = AT.includes(peek(reader));
+    if (hasPrefix) reader.index++;
+
+    const match = peek(reader).match(/^(\d{1,2})(?:[:.](\d{2}))?(am|pm)?$/);
+    if (!match) {
+        reader.index = start;
+        return null;
+    }
+
+    let period = match[3] || null;
+    if (!period && PERIODS.includes(peek(reader, 1))) period = peek(reader, 1);
+
+    // A bare "8" is only a time after "at"/"jam" or with am/pm/malam
+    if (!match[2] && !hasPrefix && !period) {
+        reader.index = start;
+        return null;
+    }
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (hour > 23 || minute > 59 || (period && hour > 12)) {
+        reader.index = start;
+        return null;
+    }
+
+    reader.index++;
+    if (period && !match[3]) reader.index++;
+    hour = applyPeriod(hour, period);
+
+    return { hour, minute };
+}
+
+/**
+ * Convert a 12-hour time to 24 hours
+ * @param {Number} hour - Hour as written
+ * @param {String} period - am, pm, pagi, siang, sore, malam or null
+ * @returns {Number}
+ */
+function applyPeriod(hour, period) {
+    switch (period) {
+        case "am":
+        case "pagi":
+            return hour === 12 ? 0 : hour;
+        case "pm":
+        case "sore":
+            return hour === 12 ? 12 : hour + 12;
+        case "siang":
+            // jam 12 siang = 12:00, jam 1 siang = 13:00, jam 11 siang = 11:00
+            return hour <= 10 ? hour + 12 : hour;
+        case "malam":
+            // jam 12 malam = 00:00, jam 3 malam = 03:00, jam 8 malam = 20:00
+            return hour === 12 ? 0 : hour < 5 ? hour : hour + 12;
+        default:
+            return hour;
+    }
+}
+
+/**
+ * @param {Object} reader - { tokens, index }
+ * @param {Number} ahead - Tokens to look ahead
+ * @returns {String} - The token, or "" past the end
+ */
+function peek(reader, ahead = 0) {
+    return reader.tokens[reader.index + ahead] || "";
+}
+
+/**
+ * @param {String} word - Unit word (menit, hours, h, ...)
+ * @returns {String|null} - s, m, h, d or w
+ */
+function unitOf(word) {
+    return (
+        Object.keys(UNITS).find(unit => UNITS[unit].includes(word)) || null
+    );
+}
+
+/**
+ * @param {String} word - Weekday name (monday, senin, ...)
+ * @returns {Number|null} - 0 (Sunday) to 6
+ */
+function weekdayOf(word) {
+    const index = WEEKDAYS.findIndex(names => names.includes(word));
+    return index >= 0 ? index : null;
+}
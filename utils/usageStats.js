@@ -0,0 +1,229 @@
+import moment from "moment-timezone";
+import config from "../config.js";
+
+/**
+ * Command usage analytics, aggregated per day in the database's usage
+ * collection. One document per day (keyed YYYY-MM-DD in config.timezone):
+ *
+ *   {
+ *     total, failed,
+ *     commands: { [name]: { count, failed, totalMs, maxMs, errors: { [class]: n } } },
+ *     groups: { [jid]: { count, subject } },
+ *     users: { [number]: { count, name } },
+ *     private: n
+ *   }
+ *
+ * Days older than `retentionDays` are dropped.
+ */
+export class UsageStats {
+    /**
+     * @param {Collection} collection - The usage collection (see utils/database.js)
+     * @param {Object} options
+     * @param {Number} options.retentionDays - Days of history to keep (0 = forever)
+     * @param {String} options.timezone - Timezone days are counted in
+     */
+    constructor(
+        collection,
+        { retentionDays = 90, timezone = config.timezone || "Asia/Jakarta" } = {}
+    ) {
+        this.collection = collection;
+        this.retentionDays = retentionDays;
+        this.timezone = timezone;
+        this.lastPrunedDay = null;
+    }
+
+    /**
+     * Day key of a timestamp
+     * @param {Number} timestamp - Milliseconds
+     * @returns {String} - YYYY-MM-DD
+     */
+    dayOf(timestamp = Date.now()) {
+        return moment(timestamp).tz(this.timezone).format("YYYY-MM-DD");
+    }
+
+    /**
+     * Record one command invocation
+     * @param {Object} entry
+     * @param {String} entry.command - Command name
+     * @param {String} entry.chatId - Chat JID
+     * @param {Boolean} entry.isGroup - Whether the chat is a group
+     * @param {String} entry.groupName - Group subject (groups only)
+     * @param {String} entry.userId - Sender number
+     * @param {String} entry.userName - Sender push name
+     * @param {Number} entry.durationMs - How long the command took
+     * @param {Error} entry.error - Why it failed (null on success)
+     * @param {Number} entry.timestamp - When it started
+     */
+    record({
+        command,
+        chatId,
+        isGroup,
+        groupName = null,
+        userId,
+        userName = null,
+        durationMs = 0,
+        error = null,
+        timestamp = Date.now()
+    }) {
+        const day = this.dayOf(timestamp);
+        const failed = error ? 1 : 0;
+
+        this.collection.update(day, doc => {
+            doc.total = (doc.total || 0) + 1;
+            doc.failed = (doc.failed || 0) + failed;
+
+            const commands = (doc.commands ||= {});
+            const stats = (commands[command] ||= {
+                count: 0,
+                failed: 0,
+                totalMs: 0,
+                maxMs: 0,
+                errors: {}
+            });
+            stats.count++;
+            stats.failed += failed;
+            stats.totalMs += durationMs;
+            stats.maxMs = Math.max(stats.maxMs, durationMs);
+            if (error) {
+                const errorClass = getErrorClass(error);
+                stats.errors[errorClass] = (stats.errors[errorClass] || 0) + 1;
+            }
+
+            if (isGroup) {
+                const group = ((doc.groups ||= {})[chatId] ||= { count: 0 });
+                group.count++;
+                if (groupName) group.subject = groupName;
+            } else {
+                doc.private = (doc.private || 0) + 1;
+            }
+
+            if (userId) {
+                const user = ((doc.users ||= {})[userId] ||= { count: 0 });
+                user.count++;
+                if (userName) user.name = userName;
+            }
+
+            return doc;
+        });
+
+        if (this.lastPrunedDay !== day) {
+            this.lastPrunedDay = day;
+            this.prune();
+        }
+    }
+
+    /**
+     * Drop days older than the retention period
+     * @returns {Number} - Number of days removed
+     */
+    prune() {
+        if (!this.retentionDays) return 0;
+
+        const oldest = this.dayOf(
+            Date.now() - (this.retentionDays - 1) * 24 * 60 * 60 * 1000
+        );
+        const expired = this.collection.find((doc, day) => day < oldest);
+        for (const { id } of expired) this.collection.delete(id);
+
+        return expired.length;
+    }
+
+    /**
+     * Summarize the last `days` days (today included)
+     * @param {Number} days - Period length
+     * @returns {Object} - { from, to, total, failed, days, commands, groups, users, private }
+     *   with commands/groups/users as arrays sorted by count (highest first)
+     */
+    summary(days = 7) {
+        const to = this.dayOf();
+        const from = this.dayOf(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+        const result = {
+            from,
+            to,
+            total: 0,
+            failed: 0,
+            private: 0,
+            days: [],
+            commands: {},
+            groups: {},
+            users: {}
+        };
+
+        const docs = this.collection
+            .find((doc, day) => day >= from && day <= to)
+            .sort((a, b) => a.id.localeCompare(b.id));
+
+        for (const doc of docs) {
+            result.total += doc.total || 0;
+            result.failed += doc.failed || 0;
+            result.private += doc.private || 0;
+            result.days.push({
+                day: doc.id,
+                count: doc.total || 0,
+                failed: doc.failed || 0
+            });
+
+            for (const [name, stats] of Object.entries(doc.commands || {})) {
+                const merged = (result.commands[name] ||= {
+                    count: 0,
+                    failed: 0,
+                    totalMs: 0,
+                    maxMs: 0,
+                    errors: {}
+                });
+                merged.count += stats.count;
+                merged.failed += stats.failed;
+                merged.totalMs += stats.totalMs;
+                merged.maxMs = Math.max(merged.maxMs, stats.maxMs);
+                for (const [errorClass, count] of Object.entries(stats.errors)) {
+                    merged.errors[errorClass] =
+                        (merged.errors[errorClass] || 0) + count;
+                }
+            }
+
+            for (const [jid, group] of Object.entries(doc.groups || {})) {
+                const merged = (result.groups[jid] ||= { count: 0 });
+                merged.count += group.count;
+                // Later days have the most recent subject
+                if (group.subject) merged.subject = group.subject;
+            }
+
+            for (const [number, user] of Object.entries(doc.users || {})) {
+                const merged = (result.users[number] ||= { count: 0 });
+                merged.count += user.count;
+                if (user.name) merged.name = user.name;
+            }
+        }
+
+        return {
+            ...result,
+            commands: toSortedList(result.commands, "name"),
+            groups: toSortedList(result.groups, "jid"),
+            users: toSortedList(result.users, "number")
+        };
+    }
+}
+
+/**
+ * Name of an error's class, used to group failures
+ * @param {Error} error - The error
+ * @returns {String}
+ */
+export function getErrorClass(error) {
+    if (!(error instanceof Error)) return typeof error;
+    return error.name && error.name !== "Error"
+        ? error.name
+        : error.constructor?.name || "Error";
+}
+
+/**
+ * Turn { key: { count, ... } } into [{ [idField]: key, count, ... }] sorted by count
+ * @param {Object} map - Stats by key
+ * @param {String} idField - Name of the key field
+ * @returns {Array<Object>}
+ */
+function toSortedList(map, idField) {
+    return Object.entries(map)
+        .map(([id, stats]) => ({ [idField]: id, ...stats }))
+        .sort((a, b) => b.count - a.count);
+}